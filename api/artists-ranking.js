@@ -1,11 +1,39 @@
+// Loads .env before any module below reads process.env
+import 'dotenv/config';
 import express from 'express';
 import path from 'path';
 import cors from 'cors';
-import dotenv from 'dotenv';
-import axios from 'axios';
 import { fileURLToPath } from 'url';
-
-dotenv.config();
+import { createHash, timingSafeEqual } from 'crypto';
+import { getArtistHistory, listSnapshots } from '../lib/snapshots.js';
+import { DEFAULT_STRATEGY, getStrategy, listStrategies } from '../lib/ranking-strategies.js';
+import { getArtist, getArtistTopTracks, getArtistAlbums, getTokenStatus, SpotifyError } from '../lib/spotify-client.js';
+import {
+    config, cache, rankingEvents, collectHits, scoringContext, getRankingConfig,
+    snapshotKey, rankingKey, getRankingData, getLastRefresh, getArtistsRanking, setRecording
+} from '../lib/rankings.js';
+import { listWatchlist, addToWatchlist, removeFromWatchlist, watchlistStorage, WatchlistError, DEFAULT_MOVE_THRESHOLD } from '../lib/watchlist.js';
+import { parseListQuery, applyListQuery, countGenres, parseMarket } from '../lib/list-query.js';
+import { createSearchHandler, createSuggestHandler } from '../lib/search-service.js';
+import { toCsv, toJsonLines, toAtomFeed } from '../lib/ranking-export.js';
+import {
+    parseEmbedOptions, renderEmbedPage, renderShareCard, renderShareCardPng, isSpotifyImageUrl, fetchPhotoDataUri
+} from '../lib/embeds.js';
+import { setupSpotifyFixtures, MissingFixtureError } from '../lib/spotify-fixtures.js';
+import { contentSecurityPolicy, EMBED_CONTENT_SECURITY_POLICY } from '../lib/security-headers.js';
+import { log, errorFields, getRequestId, requestLogging } from '../lib/logger.js';
+import { renderMetrics } from '../lib/metrics.js';
+
+// SPOTIFY_FIXTURES=record|replay routes Spotify calls through the local fixture server.
+// Exported so scripts/record-fixtures.js can close it once the recording is saved.
+export const fixtureServer = await setupSpotifyFixtures();
+
+// The server keeps the snapshot history and sends watchlist alerts. A Vercel function is
+// frozen once it answers, so there waitUntil keeps it running while the alerts go out.
+// @vercel/functions (Node 20+) is only loaded there, the one place that needs it.
+const waitUntil = process.env.VERCEL === '1' ? (await import('@vercel/functions')).waitUntil : null;
+setRecording({ snapshots: true, alerts: true, waitUntil });
+if (!watchlistStorage()) log.warn('watchlist disabled: Vercel instances only share it through Redis (set REDIS_URL)');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -14,183 +42,727 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Middleware
-app.use(cors());
+// Request ids first, so every later log line and 500 body can carry one
+app.use(requestLogging);
+app.use(cors({ exposedHeaders: ['ETag', 'Last-Modified', 'X-Ranking-Strategy', 'X-Ranking-Degraded', 'X-Cache', 'X-Request-Id'] }));
+// Strict CSP: no inline script or style anywhere in public/
+app.use(contentSecurityPolicy());
 app.use(express.static(path.join(__dirname, '../public')));
 
-// ---- Spotify Token Handling ----
-let spotifyAccessToken = null;
-let tokenExpiryTime = 0;
-const TOKEN_REFRESH_THRESHOLD = 60 * 5;
+// ---- Artist Details ----
+const ARTIST_DETAIL_LIFETIME = 1000 * 60 * 60;
+const TOP_TRACKS_MARKET = 'US';
+const LATEST_RELEASES = 5;
+// Spotify IDs are base62
+const ARTIST_ID_PATTERN = /^[A-Za-z0-9]+$/;
+
+const toImage = ({ url, width, height }) => ({ url, width: width ?? null, height: height ?? null });
+
+// Profile, top tracks and latest releases from Spotify. Top tracks and releases are
+// null when Spotify won't serve them (some endpoints are restricted in Development Mode).
+async function fetchSpotifyArtist(id, market) {
+    const [artist, topTracks, albums] = await Promise.allSettled([
+        getArtist(id),
+        getArtistTopTracks(id, { market }),
+        getArtistAlbums(id, { includeGroups: 'album,single', limit: 20 })
+    ]);
+
+    if (artist.status === 'rejected') throw artist.reason;
+
+    return {
+        id: artist.value.id,
+        name: artist.value.name,
+        genres: artist.value.genres || [],
+        spotifyUrl: artist.value.external_urls?.spotify || null,
+        images: (artist.value.images || []).map(toImage),
+        topTracks: topTracks.status === 'fulfilled'
+            ? topTracks.value.map(track => ({
+                id: track.id,
+                name: track.name,
+                albumName: track.album?.name || null,
+                imageUrl: track.album?.images?.[0]?.url || null,
+                previewUrl: track.preview_url || null,
+                spotifyUrl: track.external_urls?.spotify || null
+            }))
+            : null,
+        latestReleases: albums.status === 'fulfilled'
+            ? albums.value
+                .slice()
+                .sort((a, b) => (b.release_date || '').localeCompare(a.release_date || ''))
+                .slice(0, LATEST_RELEASES)
+                .map(album => ({
+                    id: album.id,
+                    name: album.name,
+                    type: album.album_type,
+                    releaseDate: album.release_date || null,
+                    imageUrl: album.images?.[0]?.url || null,
+                    spotifyUrl: album.external_urls?.spotify || null
+                }))
+            : null
+    };
+}
 
-async function getSpotifyAccessToken() {
-    const now = Date.now();
+// Name and photo of any artist, ranked or not (for share cards and comparisons)
+async function getArtistProfile(id) {
+    const { value: profile } = await cache.wrap(`profile:${id}`, { ttl: ARTIST_DETAIL_LIFETIME }, () => getArtist(id));
+    return { id: profile.id, name: profile.name, imageUrl: profile.images?.[0]?.url || null };
+}
 
-    if (spotifyAccessToken && now < tokenExpiryTime - TOKEN_REFRESH_THRESHOLD * 1000) {
-        return spotifyAccessToken;
+// Spotify profile plus where the artist stands in a ranking: rank, score and every
+// search appearance (query, 1-based position, points it earned under the strategy)
+async function getArtistDetails(id, { ranking: rankingName = config.defaultRanking, market = null } = {}) {
+    const rankingConfig = getRankingConfig(rankingName);
+    const strategy = getStrategy(rankingConfig.strategy || DEFAULT_STRATEGY);
+    const tracksMarket = market || TOP_TRACKS_MARKET;
+
+    const [{ value: spotifyArtist }, ranking, { data }] = await Promise.all([
+        cache.wrap(`artist:${id}:${tracksMarket}`, { ttl: ARTIST_DETAIL_LIFETIME }, () => fetchSpotifyArtist(id, tracksMarket)),
+        getArtistsRanking({ ranking: rankingConfig.name, market }),
+        getRankingData(rankingConfig, market)
+    ]);
+
+    const { artists, resultCounts } = collectHits(data.results);
+    const context = scoringContext(rankingConfig, resultCounts);
+    const hits = artists.get(id)?.hits || [];
+    const ranked = ranking.artists.find(a => a.id === id);
+
+    return {
+        ...spotifyArtist,
+        ranking: rankingConfig.name,
+        strategy: strategy.name,
+        market,
+        rank: ranked ? ranked.rank : -1,
+        score: ranked ? ranked.score : strategy.score(hits, context),
+        appearances: hits.map(hit => ({
+            query: hit.query,
+            position: hit.position + 1,
+            points: strategy.score([hit], context)
+        }))
+    };
+}
+
+// ---- Artist Comparison ----
+const MAX_COMPARED_ARTISTS = 4;
+
+// Parses ?ids=a,b,c into distinct artist ids. Returns { ids } or { error }.
+function parseCompareIds(value) {
+    const ids = [...new Set(String(value || '').split(',').map(id => id.trim()).filter(Boolean))];
+    if (ids.length < 2 || ids.length > MAX_COMPARED_ARTISTS) {
+        return { error: `ids must list 2 to ${MAX_COMPARED_ARTISTS} different artist ids` };
     }
+    const invalid = ids.filter(id => !ARTIST_ID_PATTERN.test(id));
+    if (invalid.length) return { error: `Invalid artist id(s): ${invalid.join(', ')}` };
+    return { ids };
+}
 
-    const clientId = process.env.SPOTIFY_CLIENT_ID;
-    const clientSecret = process.env.SPOTIFY_CLIENT_SECRET;
+// Rank, score, query presence and stored rank history for several artists in one ranking.
+// queries lists the ranking's search queries; sharedQueries those every artist appears in.
+async function compareArtists(ids, { rankingConfig, market }) {
+    const strategy = getStrategy(rankingConfig.strategy || DEFAULT_STRATEGY);
+    const [ranking, { data }] = await Promise.all([
+        getArtistsRanking({ ranking: rankingConfig.name, market }),
+        getRankingData(rankingConfig, market)
+    ]);
+
+    const { artists: found, resultCounts } = collectHits(data.results);
+    const context = scoringContext(rankingConfig, resultCounts);
+    const key = snapshotKey(rankingConfig, market);
+
+    const artists = await Promise.all(ids.map(async id => {
+        const ranked = ranking.artists.find(a => a.id === id);
+        const hits = found.get(id)?.hits || [];
+        // Artists no query surfaced are only known to Spotify
+        const profile = ranked || found.get(id) || await getArtistProfile(id);
+        const history = await getArtistHistory(id, key);
+
+        return {
+            id,
+            name: profile.name,
+            imageUrl: profile.imageUrl,
+            rank: ranked ? ranked.rank : -1,
+            score: ranked ? ranked.score : strategy.score(hits, context),
+            queries: [...new Set(hits.map(hit => hit.query))],
+            appearances: hits.map(hit => ({
+                query: hit.query,
+                position: hit.position + 1,
+                points: strategy.score([hit], context)
+            })),
+            history: history ? history.history : []
+        };
+    }));
+
+    return {
+        ranking: rankingConfig.name,
+        strategy: strategy.name,
+        market,
+        generatedAt: new Date(ranking.generatedAt).toISOString(),
+        queries: rankingConfig.queries,
+        sharedQueries: rankingConfig.queries.filter(query => artists.every(artist => artist.queries.includes(query))),
+        artists
+    };
+}
 
-    if (!clientId || !clientSecret) throw new Error('Spotify credentials missing');
+// ---- Routes ----
 
-    const authHeader = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+// Logs the failure and answers 500 with the request id, which on-call can grep the logs for.
+// Replay mode missing a recording answers 503 with the fixture to record instead.
+function sendServerError(res, err, operation, fields = {}) {
+    if (err instanceof MissingFixtureError) {
+        return res.status(err.status).json({ error: err.message, fixture: err.key });
+    }
+    log.error(`${operation} failed`, { ...fields, ...errorFields(err) });
+    res.status(500).json({ error: 'Something went wrong.', requestId: getRequestId() });
+}
 
-    const res = await axios.post('https://accounts.spotify.com/api/token', 'grant_type=client_credentials', {
-        headers: {
-            Authorization: `Basic ${authHeader}`,
-            'Content-Type': 'application/x-www-form-urlencoded'
-        }
-    });
+// Spotify answers 400 for malformed ids and 404 for unknown ones; either way there is no
+// such artist. Returns true when the 404 was sent.
+function artistNotFound(err, res) {
+    if (!(err instanceof SpotifyError) || (err.status !== 404 && err.status !== 400)) return false;
+    res.status(404).json({ message: 'Artist not found' });
+    return true;
+}
+
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public/index.html'));
+});
 
-    spotifyAccessToken = res.data.access_token;
-    tokenExpiryTime = now + res.data.expires_in * 1000;
+// Validates ?strategy= and ?market= for a ranking request.
+// Returns { rankingConfig, strategyName, market } or { status, body } to reject with.
+function parseRankingRequest(req, rankingName) {
+    const rankingConfig = getRankingConfig(rankingName);
+    if (!rankingConfig) {
+        return { status: 404, body: { error: `Unknown ranking "${rankingName}"`, rankings: Object.keys(config.rankings) } };
+    }
+
+    const strategyName = req.query.strategy || rankingConfig.strategy || DEFAULT_STRATEGY;
+    if (!getStrategy(strategyName)) {
+        return {
+            status: 400,
+            body: { error: `Unknown ranking strategy "${strategyName}"`, strategies: listStrategies().map(s => s.name) }
+        };
+    }
 
-    return spotifyAccessToken;
+    const { market, error: marketError } = parseMarket(req.query.market, config.markets);
+    if (marketError) return { status: 400, body: { error: marketError, markets: config.markets } };
+
+    return { rankingConfig, strategyName, market };
 }
 
-// ---- Dynamic Artist Ranking ----
-const SEARCH_QUERIES = [
-    'a', 'e', 'i', 'o', 'u',
-    'pop', 'rock', 'hip hop', 'trap', 'reggae',
-    'dance', 'country', 'band', 'legend', 'star'
-];
-// Spotify Development Mode: max limit is now 10 (reduced from 50)
-const SEARCH_LIMIT = 10;
-const SEARCH_OFFSETS = [0, 10, 20];
-const RANKING_SIZE = 100;
-// Maximum absolute position used for scoring (offset + index)
-const MAX_POSITION = Math.max(...SEARCH_OFFSETS) + SEARCH_LIMIT;
-
-let cachedRanking = null;
-let lastCacheTime = 0;
-const CACHE_LIFETIME = 1000 * 60 * 60;
-
-async function getArtistsRanking() {
-    const now = Date.now();
-    if (cachedRanking && now < lastCacheTime + CACHE_LIFETIME) {
-        return cachedRanking;
-    }
-
-    const token = await getSpotifyAccessToken();
-    const headers = { Authorization: `Bearer ${token}` };
-    const allArtistsMap = new Map();
-    const searchPromises = [];
-
-    for (const query of SEARCH_QUERIES) {
-        for (const offset of SEARCH_OFFSETS) {
-            const url = `https://api.spotify.com/v1/search?q=${encodeURIComponent(query)}&type=artist&limit=${SEARCH_LIMIT}&offset=${offset}`;
-            searchPromises.push(
-                axios.get(url, { headers })
-                    .then(res => ({ items: res.data.artists.items || [], offset }))
-                    .catch(() => ({ items: [], offset }))
-            );
-        }
+// Sets the ranking headers plus ETag/Last-Modified for one representation of a ranking.
+// Returns true when the client's copy is current and a 304 was sent.
+function sendRankingHeaders(req, res, result, variant) {
+    res.set('X-Ranking-Strategy', result.strategy);
+    res.set('X-Cache', result.cacheStatus.toUpperCase());
+    if (result.degraded) {
+        res.set('X-Ranking-Degraded', `${result.failedRequests}/${result.totalRequests} searches failed`);
     }
 
-    const results = await Promise.all(searchPromises);
-
-    // Rank artists by search-result position score.
-    // popularity and followers are no longer available in Development Mode
-    // (removed per Spotify's February 2026 API changes).
-    for (const { items, offset } of results) {
-        items.forEach((artist, index) => {
-            if (artist?.id && artist?.name && artist?.images?.[0]?.url) {
-                // Artists appearing earlier in search results score higher
-                const positionScore = MAX_POSITION - (offset + index);
-                if (allArtistsMap.has(artist.id)) {
-                    allArtistsMap.get(artist.id).score += positionScore;
-                } else {
-                    allArtistsMap.set(artist.id, {
-                        id: artist.id,
-                        name: artist.name,
-                        imageUrl: artist.images[0].url,
-                        score: positionScore
-                    });
-                }
-            }
+    // The ranking only changes when it is regenerated, so its version plus the
+    // representation (list options or export format) identify the response
+    const etag = createHash('sha1')
+        .update(JSON.stringify([result.ranking, result.strategy, result.market, result.generatedAt, variant]))
+        .digest('base64url');
+    res.set({
+        ETag: `"${etag}"`,
+        'Last-Modified': new Date(result.generatedAt).toUTCString(),
+        'Cache-Control': 'no-cache'
+    });
+    if (!req.fresh) return false;
+    res.status(304).end();
+    return true;
+}
+
+async function sendRanking(req, res, rankingName) {
+    const { rankingConfig, strategyName, market, status, body } = parseRankingRequest(req, rankingName);
+    if (status) return res.status(status).json(body);
+
+    const { options, errors } = parseListQuery(req.query);
+    if (errors) return res.status(400).json({ error: errors.join('; ') });
+
+    try {
+        const result = await getArtistsRanking({ ranking: rankingConfig.name, strategy: strategyName, market });
+        if (sendRankingHeaders(req, res, result, options)) return;
+
+        const { total, artists } = applyListQuery(result.artists, options);
+        res.json({
+            ranking: result.ranking,
+            strategy: result.strategy,
+            market: result.market,
+            generatedAt: new Date(result.generatedAt).toISOString(),
+            expiresAt: new Date(result.expiresAt).toISOString(),
+            degraded: result.degraded,
+            total,
+            limit: options.limit ?? null,
+            offset: options.offset,
+            artists
         });
+    } catch (err) {
+        sendServerError(res, err, 'ranking', { ranking: rankingConfig.name, market: market || 'global' });
     }
+}
 
-    const uniqueArtists = Array.from(allArtistsMap.values());
-    uniqueArtists.sort((a, b) => b.score - a.score);
+app.get('/api/artists-ranking', (req, res) => sendRanking(req, res, config.defaultRanking));
+
+// ---- Live updates ----
+// Each stream re-reads the ranking this often, which is what triggers a recompute
+// once the cached one expires; any new ranking is then pushed as a diff
+const STREAM_POLL_INTERVAL = 1000 * 60;
+// Comment lines keep proxies from closing idle streams
+const STREAM_HEARTBEAT_INTERVAL = 1000 * 25;
+
+// Server-Sent Events: "ranking" with the current generatedAt on connect, then a "diff"
+// ({ generatedAt, previousGeneratedAt, degraded, entered, left, moved, updated }) per new ranking
+app.get('/api/artists-ranking/stream', async (req, res) => {
+    // Serverless functions time out and keep nothing between requests, so a stream can't be held open
+    if (process.env.VERCEL === '1') {
+        return res.status(501).json({ error: 'The live ranking stream needs a long-running server' });
+    }
 
-    cachedRanking = uniqueArtists.slice(0, RANKING_SIZE);
-    lastCacheTime = Date.now();
-    return cachedRanking;
-}
+    const { rankingConfig, strategyName, market, status, body } = parseRankingRequest(req, config.defaultRanking);
+    if (status) return res.status(status).json(body);
 
-// ---- Routes ----
+    const scoredKey = `${rankingConfig.name}:${market || 'global'}:${strategyName}`;
+    const load = () => getArtistsRanking({ ranking: rankingConfig.name, strategy: strategyName, market });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, '../public/index.html'));
+    let current;
+    try {
+        current = await load();
+    } catch (err) {
+        return sendServerError(res, err, 'ranking stream');
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Stop nginx-style proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    send('ranking', { generatedAt: new Date(current.generatedAt).toISOString() });
+
+    const onDiff = (key, diff) => {
+        if (key === scoredKey) send('diff', diff);
+    };
+    rankingEvents.on('diff', onDiff);
+
+    const poll = setInterval(() => {
+        load().catch(err => log.error('ranking stream refresh failed', errorFields(err)));
+    }, STREAM_POLL_INTERVAL);
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+        clearInterval(poll);
+        clearInterval(heartbeat);
+        rankingEvents.off('diff', onDiff);
+    });
 });
 
-app.get('/api/artists-ranking', async (req, res) => {
+// ---- Exports ----
+const EXPORT_FORMATS = {
+    csv: { type: 'text/csv; charset=utf-8', serialize: toCsv },
+    jsonl: { type: 'application/x-ndjson; charset=utf-8', serialize: toJsonLines }
+};
+
+// Full ranking as a download: /api/artists-ranking.csv and .jsonl
+for (const [format, { type, serialize }] of Object.entries(EXPORT_FORMATS)) {
+    app.get(`/api/artists-ranking.${format}`, async (req, res) => {
+        const { rankingConfig, strategyName, market, status, body } = parseRankingRequest(req, config.defaultRanking);
+        if (status) return res.status(status).json(body);
+
+        try {
+            const result = await getArtistsRanking({ ranking: rankingConfig.name, strategy: strategyName, market });
+            if (sendRankingHeaders(req, res, result, format)) return;
+
+            const date = new Date(result.generatedAt).toISOString().slice(0, 10);
+            res.attachment(`artists-ranking-${market || 'global'}-${date}.${format}`);
+            res.type(type).send(serialize(result.artists, result.generatedAt));
+        } catch (err) {
+            sendServerError(res, err, `${format} export`);
+        }
+    });
+}
+
+// Where the app is publicly served, for links in the feed. Never taken from the request:
+// Host is client-controlled and, behind Vercel's proxy, the protocol reads as http.
+function publicBaseUrl() {
+    if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+    if (process.env.VERCEL_PROJECT_PRODUCTION_URL) return `https://${process.env.VERCEL_PROJECT_PRODUCTION_URL}`;
+    return `http://localhost:${PORT}`;
+}
+
+// Atom feed with an entry each time the stored ranking changed
+app.get('/api/artists-ranking.atom', async (req, res) => {
+    const { rankingConfig, market, status, body } = parseRankingRequest(req, config.defaultRanking);
+    if (status) return res.status(status).json(body);
+
     try {
-        const artists = await getArtistsRanking();
-        res.json(artists);
+        // Recomputes (and snapshots) the ranking first if the cached one has expired
+        await getArtistsRanking({ ranking: rankingConfig.name, market });
+        const snapshots = await listSnapshots(snapshotKey(rankingConfig, market));
+
+        const siteUrl = publicBaseUrl();
+        res.type('application/atom+xml; charset=utf-8').send(toAtomFeed(snapshots, {
+            title: `Spotify Artists Ranking${market ? ` (${market})` : ''}`,
+            siteUrl,
+            feedUrl: `${siteUrl}${req.originalUrl}`
+        }));
     } catch (err) {
-        console.error('❌ Backend Error (ranking):', err.message);
-        res.status(500).json({ error: 'Something went wrong.' });
+        sendServerError(res, err, 'atom feed');
     }
 });
 
-app.get('/api/search-artist', async (req, res) => {
-    const name = req.query.name;
-    if (!name) return res.status(400).json({ error: 'No artist name provided' });
+app.get('/api/rankings', (req, res) => {
+    res.json({
+        default: config.defaultRanking,
+        rankings: Object.values(config.rankings).map(({ name, description, queries, strategy }) => ({
+            name,
+            description: description || null,
+            queries,
+            strategy: strategy || DEFAULT_STRATEGY
+        }))
+    });
+});
+
+app.get('/api/rankings/:name', (req, res) => sendRanking(req, res, req.params.name));
+
+app.get('/api/ranking-strategies', (req, res) => {
+    res.json({ default: DEFAULT_STRATEGY, strategies: listStrategies() });
+});
+
+// Genre counts across the current ranking; each genre works as /api/artists-ranking?genre=
+// (?ranking=, ?strategy= and ?market= as for the ranking itself)
+app.get('/api/genres', async (req, res) => {
+    const { rankingConfig, strategyName, market, status, body } = parseRankingRequest(req, req.query.ranking || config.defaultRanking);
+    if (status) return res.status(status).json(body);
 
     try {
-        const token = await getSpotifyAccessToken();
+        const result = await getArtistsRanking({ ranking: rankingConfig.name, strategy: strategyName, market });
+        if (sendRankingHeaders(req, res, result, 'genres')) return;
 
-        const searchRes = await fetch(`https://api.spotify.com/v1/search?q=${encodeURIComponent(name)}&type=artist&limit=5`, {
-            headers: { Authorization: `Bearer ${token}` }
+        res.json({
+            ranking: result.ranking,
+            strategy: result.strategy,
+            market: result.market,
+            generatedAt: new Date(result.generatedAt).toISOString(),
+            total: result.artists.length,
+            genres: countGenres(result.artists)
         });
+    } catch (err) {
+        sendServerError(res, err, 'genres', { ranking: rankingConfig.name, market: market || 'global' });
+    }
+});
 
-        const json = await searchRes.json();
-        const candidates = json.artists?.items || [];
+app.get('/api/markets', (req, res) => {
+    res.json({ markets: config.markets });
+});
 
-        if (!candidates.length) return res.status(404).json({ message: 'Artist not found' });
+// Artists whose rank differs most between two markets ("global" compares against the global ranking)
+app.get('/api/markets/compare', async (req, res) => {
+    if (!req.query.a || !req.query.b) {
+        return res.status(400).json({ error: 'Both ?a= and ?b= markets are required', markets: config.markets });
+    }
+    const parsed = [parseMarket(req.query.a, config.markets), parseMarket(req.query.b, config.markets)];
+    const invalid = parsed.find(p => p.error);
+    if (invalid) return res.status(400).json({ error: invalid.error, markets: config.markets });
 
-        const topArtists = await getArtistsRanking();
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        return res.status(400).json({ error: 'limit must be an integer between 1 and 100' });
+    }
 
-        // Pick the highest-ranked candidate among the search results (by Spotify ID)
-        let bestArtist = candidates[0];
-        let bestRank = Infinity;
+    const [a, b] = parsed.map(p => p.market);
+    const labels = [a || 'global', b || 'global'];
+    if (labels[0] === labels[1]) return res.status(400).json({ error: 'Pick two different markets' });
 
-        for (const candidate of candidates) {
-            if (!candidate?.id) continue;
-            const rankIdx = topArtists.findIndex(a => a.id === candidate.id);
-            if (rankIdx !== -1 && rankIdx + 1 < bestRank) {
-                bestArtist = candidate;
-                bestRank = rankIdx + 1;
+    try {
+        const [rankingA, rankingB] = await Promise.all([
+            getArtistsRanking({ market: a }),
+            getArtistsRanking({ market: b })
+        ]);
+
+        // An artist missing from one market counts as ranked just below its last place
+        const unranked = getRankingConfig().size + 1;
+        const byId = new Map();
+        for (const [i, ranking] of [rankingA, rankingB].entries()) {
+            for (const artist of ranking.artists) {
+                if (!byId.has(artist.id)) {
+                    byId.set(artist.id, { id: artist.id, name: artist.name, imageUrl: artist.imageUrl, ranks: { [labels[0]]: null, [labels[1]]: null } });
+                }
+                byId.get(artist.id).ranks[labels[i]] = artist.rank;
             }
         }
 
-        // Fallback: case-insensitive name match in ranking (handles duplicate artist profiles)
-        if (bestRank === Infinity) {
-            const nameIdx = topArtists.findIndex(
-                a => a.name.toLowerCase() === candidates[0].name.toLowerCase()
-            );
-            if (nameIdx !== -1) bestRank = nameIdx + 1;
+        const artists = Array.from(byId.values(), artist => ({
+            ...artist,
+            difference: (artist.ranks[labels[1]] ?? unranked) - (artist.ranks[labels[0]] ?? unranked)
+        })).sort((x, y) => Math.abs(y.difference) - Math.abs(x.difference) || x.name.localeCompare(y.name));
+
+        res.json({
+            markets: labels,
+            generatedAt: {
+                [labels[0]]: new Date(rankingA.generatedAt).toISOString(),
+                [labels[1]]: new Date(rankingB.generatedAt).toISOString()
+            },
+            degraded: rankingA.degraded || rankingB.degraded,
+            total: artists.length,
+            artists: artists.slice(0, limit)
+        });
+    } catch (err) {
+        sendServerError(res, err, 'market compare');
+    }
+});
+
+app.get('/api/artists/:id', async (req, res) => {
+    const { id } = req.params;
+    if (!ARTIST_ID_PATTERN.test(id)) return res.status(400).json({ error: 'Invalid artist id' });
+
+    const { rankingConfig, market, status, body } = parseRankingRequest(req, req.query.ranking || config.defaultRanking);
+    if (status) return res.status(status).json(body);
+
+    try {
+        res.json(await getArtistDetails(id, { ranking: rankingConfig.name, market }));
+    } catch (err) {
+        if (artistNotFound(err, res)) return;
+        sendServerError(res, err, 'artist details');
+    }
+});
+
+app.get('/api/artists/:id/history', async (req, res) => {
+    if (!ARTIST_ID_PATTERN.test(req.params.id)) return res.status(400).json({ error: 'Invalid artist id' });
+    const { rankingConfig, market, status, body } = parseRankingRequest(req, req.query.ranking || config.defaultRanking);
+    if (status) return res.status(status).json(body);
+
+    try {
+        const history = await getArtistHistory(req.params.id, snapshotKey(rankingConfig, market));
+        if (!history) return res.status(404).json({ message: 'No ranking history for this artist' });
+        res.json(history);
+    } catch (err) {
+        sendServerError(res, err, 'history');
+    }
+});
+
+// Side-by-side comparison: /api/compare?ids=a,b (up to four)
+app.get('/api/compare', async (req, res) => {
+    const { ids, error } = parseCompareIds(req.query.ids);
+    if (error) return res.status(400).json({ error });
+
+    const { rankingConfig, market, status, body } = parseRankingRequest(req, req.query.ranking || config.defaultRanking);
+    if (status) return res.status(status).json(body);
+
+    try {
+        res.json(await compareArtists(ids, { rankingConfig, market }));
+    } catch (err) {
+        if (artistNotFound(err, res)) return;
+        sendServerError(res, err, 'compare');
+    }
+});
+
+// ---- Watchlist ----
+// Any site may call the API (CORS), so changes need Authorization: Bearer <WATCHLIST_TOKEN>.
+// Without a token configured the watchlist is read-only.
+function requireWatchlistToken(req, res, next) {
+    const token = process.env.WATCHLIST_TOKEN;
+    if (!token) return res.status(403).json({ error: 'Watchlist changes are disabled; set WATCHLIST_TOKEN to allow them' });
+
+    const [scheme, given = ''] = (req.headers.authorization || '').split(' ');
+    // Hashed first so the comparison takes the same time whatever the lengths
+    const digest = value => createHash('sha256').update(value).digest();
+    if (scheme !== 'Bearer' || !timingSafeEqual(digest(given), digest(token))) {
+        res.set('WWW-Authenticate', 'Bearer realm="watchlist"');
+        return res.status(401).json({ error: 'A valid watchlist token is required' });
+    }
+    next();
+}
+
+// Watched artists with their place in the current ranking (?market= as elsewhere);
+// rank is -1 for artists outside it and null when the ranking can't be loaded
+app.get('/api/watchlist', async (req, res) => {
+    const { market, status, body } = parseRankingRequest(req, config.defaultRanking);
+    if (status) return res.status(status).json(body);
+
+    try {
+        const watchlist = await listWatchlist();
+        let ranked = null;
+        try {
+            ranked = (await getArtistsRanking({ market })).artists;
+        } catch (err) {
+            log.warn('watchlist ranks unavailable', errorFields(err));
         }
 
         res.json({
-            id: bestArtist.id,
-            name: bestArtist.name,
-            imageUrl: bestArtist.images?.[0]?.url || 'https://via.placeholder.com/150',
-            rankInTop100: bestRank < Infinity ? bestRank : -1
+            market,
+            artists: watchlist.map(entry => {
+                const artist = ranked?.find(a => a.id === entry.id);
+                return {
+                    ...entry,
+                    rank: ranked ? artist?.rank ?? -1 : null,
+                    movement: artist?.movement ?? null
+                };
+            })
         });
     } catch (err) {
-        console.error('❌ Search API Error:', err);
-        res.status(500).json({ error: 'Search failed' });
+        if (err instanceof WatchlistError) return res.status(err.status).json({ error: err.message });
+        sendServerError(res, err, 'watchlist');
     }
 });
 
+// Body: { id, moveThreshold? }. 201 when added, 200 when an existing entry was updated.
+app.post('/api/watchlist', requireWatchlistToken, express.json({ limit: '1kb' }), (err, req, res, next) => {
+    // Malformed JSON bodies get a JSON error like every other bad request
+    if (err.type === 'entity.parse.failed' || err.type === 'entity.too.large') {
+        return res.status(400).json({ error: 'Body must be a small JSON object' });
+    }
+    next(err);
+}, async (req, res) => {
+    const { id, moveThreshold = DEFAULT_MOVE_THRESHOLD } = req.body || {};
+    if (typeof id !== 'string' || !ARTIST_ID_PATTERN.test(id)) return res.status(400).json({ error: 'Invalid artist id' });
+    if (!Number.isInteger(moveThreshold) || moveThreshold < 0 || moveThreshold > 100) {
+        return res.status(400).json({ error: 'moveThreshold must be a whole number from 0 to 100' });
+    }
+
+    try {
+        const profile = await getArtistProfile(id);
+        const { entry, created } = await addToWatchlist(profile, { moveThreshold });
+        res.status(created ? 201 : 200).json(entry);
+    } catch (err) {
+        if (err instanceof WatchlistError) return res.status(err.status).json({ error: err.message });
+        if (artistNotFound(err, res)) return;
+        sendServerError(res, err, 'watchlist add');
+    }
+});
+
+app.delete('/api/watchlist/:id', requireWatchlistToken, async (req, res) => {
+    if (!ARTIST_ID_PATTERN.test(req.params.id)) return res.status(400).json({ error: 'Invalid artist id' });
+
+    try {
+        if (!await removeFromWatchlist(req.params.id)) {
+            return res.status(404).json({ message: 'Artist is not on the watchlist' });
+        }
+        res.status(204).end();
+    } catch (err) {
+        if (err instanceof WatchlistError) return res.status(err.status).json({ error: err.message });
+        sendServerError(res, err, 'watchlist remove');
+    }
+});
+
+// ---- Embeds & Sharing ----
+// Shared images are fetched by social sites' crawlers, so let them cache briefly
+const SHARE_CARD_MAX_AGE = 60 * 10;
+
+// iframe-able Top N widget: /embed?count=10&theme=dark&market=KE
+app.get('/embed', (req, res) => {
+    const { count, theme, error } = parseEmbedOptions(req.query);
+    if (error) return res.status(400).json({ error });
+    const { market, status, body } = parseRankingRequest(req, config.defaultRanking);
+    if (status) return res.status(status).json(body);
+
+    res.set('Content-Security-Policy', EMBED_CONTENT_SECURITY_POLICY);
+    res.type('html').send(renderEmbedPage({ count, theme, market }));
+});
+
+// Card photos as data: URIs; a photo that couldn't be fetched is retried after a minute
+const cardPhoto = async imageUrl => {
+    if (!isSpotifyImageUrl(imageUrl)) return null;
+    const { value } = await cache.wrap(`photo:${imageUrl}`, {
+        ttl: photo => photo ? ARTIST_DETAIL_LIFETIME : 1000 * 60
+    }, () => fetchPhotoDataUri(imageUrl));
+    return value;
+};
+
+// Rank card for sharing: .svg for pages, .png for social posts (which don't take SVG)
+const SHARE_CARD_FORMATS = {
+    svg: { type: 'image/svg+xml', render: renderShareCard },
+    png: { type: 'image/png', render: renderShareCardPng }
+};
+
+for (const [format, { type, render }] of Object.entries(SHARE_CARD_FORMATS)) {
+    app.get(`/api/share/:artistId.${format}`, async (req, res) => {
+        const { artistId } = req.params;
+        if (!ARTIST_ID_PATTERN.test(artistId)) return res.status(400).json({ error: 'Invalid artist id' });
+        const { market, status, body } = parseRankingRequest(req, config.defaultRanking);
+        if (status) return res.status(status).json(body);
+
+        try {
+            const ranking = await getArtistsRanking({ market });
+            // Unranked artists still get a card, so look up their name and photo
+            const artist = ranking.artists.find(a => a.id === artistId)
+                || { rank: -1, ...await getArtistProfile(artistId) };
+
+            const card = await render({
+                name: artist.name,
+                photo: await cardPhoto(artist.imageUrl),
+                rank: artist.rank,
+                market,
+                generatedAt: ranking.generatedAt
+            });
+            res.set('Cache-Control', `public, max-age=${SHARE_CARD_MAX_AGE}`);
+            res.type(type).send(card);
+        } catch (err) {
+            if (artistNotFound(err, res)) return;
+            sendServerError(res, err, 'share card', { format });
+        }
+    });
+}
+
+// ---- Health & Metrics ----
+// Every ranking/market this instance has computed or finds in the shared cache: how old the
+// cached ranking is and how the last refresh went. 503 only when a ranking has nothing
+// cached and its last refresh failed, i.e. requests for it are failing right now.
+app.get('/api/health', async (req, res) => {
+    const now = Date.now();
+    const rankings = [];
+    for (const rankingConfig of Object.values(config.rankings)) {
+        for (const market of [null, ...config.markets]) {
+            const key = rankingKey(rankingConfig, market);
+            const entry = await cache.peek(`ranking:${key}`);
+            const lastRefresh = getLastRefresh(rankingConfig, market);
+            if (!entry && !lastRefresh) continue;
+
+            rankings.push({
+                ranking: rankingConfig.name,
+                market,
+                generatedAt: entry ? new Date(entry.value.generatedAt).toISOString() : null,
+                ageSeconds: entry ? Math.round((now - entry.value.generatedAt) / 1000) : null,
+                fresh: Boolean(entry) && now < entry.freshUntil,
+                degraded: entry ? entry.value.failedRequests > 0 : null,
+                lastRefresh
+            });
+        }
+    }
+
+    const token = getTokenStatus();
+    const failing = rankings.some(r => !r.generatedAt && r.lastRefresh?.outcome === 'failed');
+    const degraded = token.lastError || rankings.some(r => r.degraded || r.lastRefresh?.outcome === 'failed');
+    const status = failing ? 'failing' : degraded ? 'degraded' : 'ok';
+
+    res.set('Cache-Control', 'no-store');
+    res.status(failing ? 503 : 200).json({
+        status,
+        uptimeSeconds: Math.round(process.uptime()),
+        token,
+        cache: { backend: cache.backend.name },
+        rankings
+    });
+});
+
+// Prometheus scrape target; counters are per process and reset on restart
+app.get('/metrics', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+const getMarketRanking = async ({ market }) => (await getArtistsRanking({ market })).artists;
+
+app.all('/api/search-artist', createSearchHandler({ getRanking: getMarketRanking, markets: config.markets }));
+// Search-as-you-type; Spotify results go through the shared cache for a minute per prefix
+app.all('/api/search-artist/suggest', createSuggestHandler({ getRanking: getMarketRanking, markets: config.markets, cache }));
+
 // ✅ Local dev: only run if this file is run directly
 if (process.env.VERCEL !== '1') {
   app.listen(PORT, () => {
-    console.log(`✅ Local server running at: http://localhost:${PORT}`);
+    log.info(`Local server running at: http://localhost:${PORT}`);
   });
 }
 
@@ -0,0 +1,12 @@
+// api/search-artist/suggest.js
+import { withRequestLogging } from '../../lib/logger.js';
+import { createSuggestHandler } from '../../lib/search-service.js';
+import { Cache, createCacheBackend } from '../../lib/cache.js';
+import { getArtistsRanking, getMarkets } from '../../lib/rankings.js';
+
+// Same autocomplete service as the Express route; the cache backend follows CACHE_BACKEND/REDIS_URL
+export default withRequestLogging(createSuggestHandler({
+  getRanking: async ({ market }) => (await getArtistsRanking({ market })).artists,
+  markets: getMarkets(),
+  cache: new Cache(createCacheBackend())
+}));
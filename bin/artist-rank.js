@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+// bin/artist-rank.js
+//
+// The ranking from the command line, without starting the web server:
+//   artist-rank compute            top N of a ranking as a table, JSON or CSV
+//   artist-rank search <name>      an artist's rank, matched like /api/search-artist
+//   artist-rank diff <old> <new>   what changed between two saved rankings
+// Exit codes: 0 done, 1 failed, 2 bad usage, 3 done but the Spotify fan-out was degraded.
+import fs from 'fs/promises';
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { getStrategy, listStrategies } from '../lib/ranking-strategies.js';
+import { applyListQuery, parseMarket } from '../lib/list-query.js';
+import { toCsv } from '../lib/ranking-export.js';
+import { diffRankings } from '../lib/ranking-diff.js';
+import { searchArtist, SearchError } from '../lib/search-service.js';
+import { setupSpotifyFixtures } from '../lib/spotify-fixtures.js';
+
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_DEGRADED = 3;
+
+const DEFAULT_TOP = 20;
+const FORMATS = ['table', 'json', 'csv'];
+
+const USAGE = `Usage: artist-rank <command> [options]
+
+Commands:
+  compute              Compute a ranking and print its top artists
+  search <name>        Find an artist and their rank
+  diff <old> <new>     Compare two saved rankings: JSON from "compute --format json",
+                       a snapshot, or a snapshots .jsonl history (its latest entry)
+
+Options:
+  --ranking <name>     Named ranking from rankings.config.json (default: its defaultRanking)
+  --market <code>      Configured market, e.g. KE (default: global)
+  --strategy <name>    Scoring strategy (${listStrategies().map(s => s.name).join(', ')})
+  --top <n>            Artists to print with compute (default: ${DEFAULT_TOP})
+  --format <format>    table, json or csv (csv: compute only; default: table)
+  --all                search: list every candidate, not just the best match
+  --no-snapshot        compute/search: don't add the ranking to the snapshot history
+  -h, --help           Show this help
+
+Exit codes: 0 done, 1 failed, 2 bad usage, 3 done but some Spotify searches failed.`;
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+const print = text => process.stdout.write(text.endsWith('\n') ? text : `${text}\n`);
+const warn = text => process.stderr.write(`${text}\n`);
+
+// Left-aligned columns sized to their widest cell; numbers are right-aligned
+function formatTable(columns, rows) {
+    const cells = rows.map(row => columns.map(({ value }) => String(value(row) ?? '')));
+    const widths = columns.map(({ title }, i) => Math.max(title.length, ...cells.map(row => row[i].length)));
+    const line = values => values
+        .map((value, i) => columns[i].numeric ? value.padStart(widths[i]) : value.padEnd(widths[i]))
+        .join('  ')
+        .trimEnd();
+    return [line(columns.map(c => c.title)), ...cells.map(line)].join('\n');
+}
+
+function formatMovement({ movement, previousRank, rank }) {
+    if (movement === 'new') return 'new';
+    if (movement === 'up') return `+${previousRank - rank}`;
+    if (movement === 'down') return `-${rank - previousRank}`;
+    if (movement === 'same') return '=';
+    return '';
+}
+
+// --ranking, --market and --strategy checked against the config, as the API routes do
+function resolveRankingOptions(values, rankings) {
+    const rankingConfig = rankings.getRankingConfig(values.ranking || rankings.config.defaultRanking);
+    if (!rankingConfig) {
+        throw new UsageError(`Unknown ranking "${values.ranking}" (configured: ${Object.keys(rankings.config.rankings).join(', ')})`);
+    }
+    const { market, error } = parseMarket(values.market, rankings.config.markets);
+    if (error) throw new UsageError(`${error} (configured: ${rankings.config.markets.join(', ')})`);
+    if (values.strategy && !getStrategy(values.strategy)) {
+        throw new UsageError(`Unknown strategy "${values.strategy}"`);
+    }
+    return { ranking: rankingConfig.name, strategy: values.strategy, market };
+}
+
+function warnIfDegraded(result) {
+    if (!result.degraded) return 0;
+    warn(`warning: ${result.failedRequests}/${result.totalRequests} Spotify searches failed; the ranking is degraded`);
+    return EXIT_DEGRADED;
+}
+
+// ---- Commands ----
+async function compute(values, rankings) {
+    const top = values.top === undefined ? DEFAULT_TOP : Number(values.top);
+    if (!Number.isInteger(top) || top < 1) throw new UsageError('--top must be a positive whole number');
+
+    const result = await rankings.getArtistsRanking(resolveRankingOptions(values, rankings));
+    const { total, artists } = applyListQuery(result.artists, { limit: top });
+
+    if (values.format === 'json') {
+        print(JSON.stringify({
+            ranking: result.ranking,
+            strategy: result.strategy,
+            market: result.market,
+            generatedAt: new Date(result.generatedAt).toISOString(),
+            expiresAt: new Date(result.expiresAt).toISOString(),
+            degraded: result.degraded,
+            total,
+            artists
+        }, null, 2));
+    } else if (values.format === 'csv') {
+        print(toCsv(artists, result.generatedAt));
+    } else {
+        print(`${result.ranking} ranking, ${result.market || 'global'}, ${result.strategy} (generated ${new Date(result.generatedAt).toISOString()})`);
+        print('');
+        print(formatTable([
+            { title: 'Rank', value: a => a.rank, numeric: true },
+            { title: 'Move', value: formatMovement },
+            { title: 'Artist', value: a => a.name },
+            { title: 'Score', value: a => a.score, numeric: true },
+            { title: 'ID', value: a => a.id }
+        ], artists));
+    }
+    return warnIfDegraded(result);
+}
+
+async function search(values, positionals, rankings) {
+    if (values.format === 'csv') throw new UsageError('--format csv only works with compute');
+    const name = positionals.join(' ');
+    if (!name.trim()) throw new UsageError('search needs an artist name');
+
+    const { ranking, strategy, market } = resolveRankingOptions(values, rankings);
+    // Same lookup as /api/search-artist, ranked against the chosen ranking
+    let rankingResult;
+    const getRanking = async () => {
+        rankingResult = await rankings.getArtistsRanking({ ranking, strategy, market });
+        return rankingResult.artists;
+    };
+    const result = await searchArtist(name, { all: values.all, market, getRanking });
+
+    if (values.format === 'json') {
+        print(JSON.stringify(result, null, 2));
+    } else {
+        const candidates = values.all ? result.candidates : [result];
+        print(formatTable([
+            { title: 'Rank', value: c => c.rankInTop100 > 0 ? c.rankInTop100 : '-', numeric: true },
+            { title: 'Artist', value: c => c.name },
+            { title: 'Confidence', value: c => c.confidence.toFixed(2), numeric: true },
+            { title: 'Match', value: c => c.reason },
+            { title: 'ID', value: c => c.id }
+        ], candidates));
+    }
+    return warnIfDegraded(rankingResult);
+}
+
+// A saved ranking as [{ id, name, rank }]: a { artists } object (compute JSON or one
+// snapshot), a bare array, or JSON Lines of snapshots (the last one) or of artist rows
+async function readRanking(file) {
+    const raw = await fs.readFile(file, 'utf8');
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch {
+        try {
+            const lines = raw.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+            parsed = lines.every(line => Array.isArray(line.artists)) ? lines[lines.length - 1] : lines;
+        } catch {
+            throw new Error(`${file} is neither JSON nor JSON Lines`);
+        }
+    }
+
+    const artists = Array.isArray(parsed) ? parsed : parsed?.artists;
+    if (!Array.isArray(artists) || !artists.every(a => a?.id && Number.isInteger(a.rank))) {
+        throw new Error(`${file} does not hold a ranking (artists with id and rank)`);
+    }
+    return artists;
+}
+
+async function diff(values, positionals) {
+    if (values.format === 'csv') throw new UsageError('--format csv only works with compute');
+    if (positionals.length !== 2) throw new UsageError('diff needs two files: <old> <new>');
+
+    const [previous, current] = await Promise.all(positionals.map(readRanking));
+    const changes = diffRankings(previous, current);
+
+    if (values.format === 'json') {
+        print(JSON.stringify(changes, null, 2));
+        return 0;
+    }
+
+    const sections = [
+        ['Entered', changes.entered, a => `#${a.rank}  ${a.name} (${a.id})`],
+        ['Left', changes.left, a => `was #${a.rank}  ${a.name} (${a.id})`],
+        ['Moved', changes.moved, a => `#${a.rank}  ${a.name} (${a.id})  ${a.from > a.rank ? 'up' : 'down'} from #${a.from}`]
+    ];
+    for (const [title, artists, describe] of sections) {
+        print(`${title} (${artists.length})`);
+        artists.forEach(artist => print(`  ${describe(artist)}`));
+    }
+    return 0;
+}
+
+// ---- Entry Point ----
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            ranking: { type: 'string' },
+            market: { type: 'string' },
+            strategy: { type: 'string' },
+            top: { type: 'string' },
+            format: { type: 'string', default: 'table' },
+            all: { type: 'boolean', default: false },
+            'no-snapshot': { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+    const [command, ...args] = positionals;
+
+    if (values.help || !command) {
+        print(USAGE);
+        return values.help ? 0 : EXIT_USAGE;
+    }
+    if (!FORMATS.includes(values.format)) throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+    if (command === 'diff') return diff(values, args);
+    if (command !== 'compute' && command !== 'search') throw new UsageError(`Unknown command "${command}"`);
+
+    // Environment first: the ranking module reads config, cache and snapshot settings on import.
+    // Logs go to stderr only (warn and up) unless LOG_LEVEL says otherwise, keeping stdout clean.
+    dotenv.config({ quiet: true });
+    process.env.LOG_LEVEL ??= 'warn';
+    // SPOTIFY_FIXTURES=record|replay routes Spotify calls through the local fixture server, as in the app
+    const fixtureServer = await setupSpotifyFixtures();
+    try {
+        const rankings = await import('../lib/rankings.js');
+        // Snapshots keep rank movement going between runs; watchlist alerts are left to the server
+        rankings.setRecording({ snapshots: !values['no-snapshot'] });
+
+        try {
+            return command === 'compute' ? await compute(values, rankings) : await search(values, args, rankings);
+        } finally {
+            await rankings.cache.close();
+        }
+    } finally {
+        await fixtureServer?.close();
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, err => {
+    if (err instanceof UsageError || err.code?.startsWith('ERR_PARSE_ARGS')) {
+        warn(`artist-rank: ${err.message}\nRun "artist-rank --help" for usage.`);
+        process.exitCode = EXIT_USAGE;
+    } else {
+        // SearchError carries the same body the API would answer with
+        warn(`artist-rank: ${err instanceof SearchError ? err.body.error || err.body.message : err.message}`);
+        process.exitCode = EXIT_FAILED;
+    }
+});
@@ -0,0 +1,92 @@
+// lib/artist-match.js
+//
+// Scores how well a Spotify search candidate's name matches what the user typed.
+// confidence is 0..1; reason says which rule matched:
+//   exact       - identical name
+//   normalized  - identical ignoring case and diacritics ("beyonce" / "Beyoncé")
+//   punctuation - identical ignoring punctuation and spacing ("acdc" / "AC/DC")
+//   typo        - a small number of typos away ("drkae" / "Drake")
+//   prefix      - name starts with the query ("future" / "Future Islands")
+//   contains    - name contains the query
+//   search      - only returned by Spotify's own relevance ranking
+import { normalizeName } from './list-query.js';
+
+const compact = value => normalizeName(value).replace(/[^\p{L}\p{N}]/gu, '');
+
+// Optimal string alignment distance: Levenshtein plus adjacent transpositions
+export function editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+// One typo allowed per four characters, and at least one
+const allowedTypos = length => Math.max(1, Math.floor(length / 4));
+
+const round = value => Math.round(value * 100) / 100;
+
+export function matchArtistName(query, candidateName) {
+    if (query.trim() === candidateName.trim()) return { confidence: 1, reason: 'exact' };
+
+    const normalizedQuery = normalizeName(query);
+    const normalizedName = normalizeName(candidateName);
+    if (normalizedQuery === normalizedName) return { confidence: 0.95, reason: 'normalized' };
+
+    const compactQuery = compact(query);
+    const compactName = compact(candidateName);
+    if (compactQuery && compactQuery === compactName) return { confidence: 0.9, reason: 'punctuation' };
+
+    const longest = Math.max(compactQuery.length, compactName.length) || 1;
+    const distance = editDistance(compactQuery, compactName);
+    const similarity = 1 - distance / longest;
+
+    if (distance <= allowedTypos(compactQuery.length)) {
+        return { confidence: round(0.6 + 0.25 * similarity), reason: 'typo' };
+    }
+    if (normalizedQuery && normalizedName.startsWith(normalizedQuery)) {
+        return { confidence: round(0.5 + 0.3 * (normalizedQuery.length / normalizedName.length)), reason: 'prefix' };
+    }
+    if (normalizedQuery && normalizedName.includes(normalizedQuery)) {
+        return { confidence: round(0.4 + 0.3 * (normalizedQuery.length / normalizedName.length)), reason: 'contains' };
+    }
+    return { confidence: round(0.3 * Math.max(0, similarity)), reason: 'search' };
+}
+
+// Annotates Spotify search candidates with their rank and match quality, best first.
+// Ties on confidence go to the higher-ranked artist, then to Spotify's own order.
+export function rankCandidates(query, candidates, rankedArtists) {
+    const rankById = new Map(rankedArtists.map((artist, index) => [artist.id, index + 1]));
+    const rankByName = new Map();
+    rankedArtists.forEach((artist, index) => {
+        const key = normalizeName(artist.name);
+        if (!rankByName.has(key)) rankByName.set(key, index + 1);
+    });
+
+    return candidates
+        .filter(candidate => candidate?.id && candidate?.name)
+        .map((candidate, searchPosition) => {
+            // Fall back to a name match in the ranking to cover duplicate artist profiles
+            const rank = rankById.get(candidate.id) ?? rankByName.get(normalizeName(candidate.name)) ?? -1;
+            return {
+                candidate,
+                rank,
+                searchPosition,
+                ...matchArtistName(query, candidate.name)
+            };
+        })
+        .sort((a, b) =>
+            b.confidence - a.confidence
+            || (a.rank === -1 ? Infinity : a.rank) - (b.rank === -1 ? Infinity : b.rank)
+            || a.searchPosition - b.searchPosition
+        );
+}
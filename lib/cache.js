@@ -0,0 +1,269 @@
+// lib/cache.js
+//
+// Key/value cache with swappable backends and stale-while-revalidate.
+// Every backend stores entries shaped { value, storedAt, freshUntil } and exposes
+//   get(key)              -> entry or null
+//   set(key, entry, ttl)  -> drop the entry after ttl milliseconds (Infinity: keep it)
+// and optionally close() to release connections.
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { createHash } from 'crypto';
+import { log, errorFields } from './logger.js';
+import { cacheLookups } from './metrics.js';
+
+const KEY_PREFIX = 'spotify-ranking:';
+
+// Suggestions, artist profiles and photos get a key per distinct input, so the memory and
+// file backends hold at most this many entries (CACHE_MAX_ENTRIES), dropping the least recently used
+const DEFAULT_MAX_ENTRIES = 1000;
+
+export class MemoryCacheBackend {
+    constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+        this.name = 'memory';
+        this.maxEntries = maxEntries;
+        // Map order is use order: the first key is the least recently used
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const stored = this.entries.get(key);
+        if (!stored) return null;
+        this.entries.delete(key);
+        if (Date.now() >= stored.expiresAt) return null;
+        this.entries.set(key, stored);
+        return stored.entry;
+    }
+
+    async set(key, entry, ttl) {
+        this.entries.delete(key);
+        this.entries.set(key, { entry, expiresAt: Date.now() + ttl });
+        if (this.entries.size <= this.maxEntries) return;
+
+        // Expired entries go first, then the least recently used
+        const now = Date.now();
+        for (const [storedKey, stored] of this.entries) {
+            if (now >= stored.expiresAt) this.entries.delete(storedKey);
+        }
+        for (const storedKey of this.entries.keys()) {
+            if (this.entries.size <= this.maxEntries) break;
+            this.entries.delete(storedKey);
+        }
+    }
+}
+
+// One JSON file per key. Survives restarts and is shared by processes on the same disk.
+export class FileCacheBackend {
+    constructor(dir, { maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+        this.name = 'file';
+        this.dir = dir;
+        this.maxEntries = maxEntries;
+    }
+
+    // Keys carry user input (suggest text, photo URLs), so file names are fixed-length hashes
+    fileFor(key) {
+        return path.join(this.dir, `${createHash('sha256').update(key).digest('hex')}.json`);
+    }
+
+    async get(key) {
+        const file = this.fileFor(key);
+        let stored;
+        try {
+            stored = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (err) {
+            // Missing or half-written files are cache misses
+            if (err.code === 'ENOENT' || err instanceof SyntaxError) return null;
+            throw err;
+        }
+        // JSON has no Infinity; entries kept for good are stored with expiresAt: null
+        if (stored.expiresAt !== null && Date.now() >= stored.expiresAt) {
+            await fs.rm(file, { force: true });
+            return null;
+        }
+        // The file's mtime is its last use, which eviction goes by
+        const now = new Date();
+        await fs.utimes(file, now, now).catch(() => {});
+        return stored.entry;
+    }
+
+    async set(key, entry, ttl) {
+        await fs.mkdir(this.dir, { recursive: true });
+        // Write then rename so readers never see a partial file
+        const file = this.fileFor(key);
+        const tmpFile = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify({ entry, expiresAt: Number.isFinite(ttl) ? Date.now() + ttl : null }));
+        await fs.rename(tmpFile, file);
+        await this.evict(file);
+    }
+
+    // Drops the least recently used files beyond maxEntries, never the one just written
+    async evict(keep) {
+        const names = (await fs.readdir(this.dir)).filter(name => name.endsWith('.json'));
+        if (names.length <= this.maxEntries) return;
+
+        const files = await Promise.all(names.map(async name => {
+            const file = path.join(this.dir, name);
+            // Another process may have removed it meanwhile
+            const stats = await fs.stat(file).catch(() => null);
+            return { file, usedAt: stats ? stats.mtimeMs : -Infinity };
+        }));
+        files.sort((a, b) => a.usedAt - b.usedAt);
+        let count = files.length;
+        for (const { file } of files) {
+            if (count <= this.maxEntries) break;
+            if (file === keep) continue;
+            await fs.rm(file, { force: true });
+            count--;
+        }
+    }
+}
+
+// Any server speaking the Redis protocol (Redis, Valkey, KeyDB, Upstash, ...)
+export class RedisCacheBackend {
+    constructor(url) {
+        this.name = 'redis';
+        this.url = url;
+        this.client = null;
+    }
+
+    async connect() {
+        if (!this.client) {
+            // Only loaded when the Redis backend is actually configured
+            const { createClient } = await import('redis');
+            const client = createClient({ url: this.url });
+            client.on('error', err => log.error('redis error', errorFields(err)));
+            this.client = client.connect().then(() => client);
+        }
+        return this.client;
+    }
+
+    async get(key) {
+        const client = await this.connect();
+        const raw = await client.get(KEY_PREFIX + key);
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    async set(key, entry, ttl) {
+        const client = await this.connect();
+        const expiry = Number.isFinite(ttl) ? { PX: Math.max(1, Math.round(ttl)) } : {};
+        await client.set(KEY_PREFIX + key, JSON.stringify(entry), expiry);
+    }
+
+    // Stores an entry and returns the one it replaced, in one atomic step (SET ... GET).
+    // Only Redis has this; the watchlist uses it to share its alert baseline.
+    async swap(key, entry, ttl) {
+        const client = await this.connect();
+        const expiry = Number.isFinite(ttl) ? { PX: Math.max(1, Math.round(ttl)) } : {};
+        const raw = await client.set(KEY_PREFIX + key, JSON.stringify(entry), { ...expiry, GET: true });
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    async close() {
+        if (!this.client) return;
+        const client = await this.client;
+        this.client = null;
+        await client.quit();
+    }
+}
+
+function parseMaxEntries(env) {
+    const maxEntries = Number(env.CACHE_MAX_ENTRIES || DEFAULT_MAX_ENTRIES);
+    if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+        throw new Error(`CACHE_MAX_ENTRIES must be a positive integer (got "${env.CACHE_MAX_ENTRIES}")`);
+    }
+    return maxEntries;
+}
+
+export function createCacheBackend(env = process.env) {
+    const backend = env.CACHE_BACKEND || (env.REDIS_URL ? 'redis' : 'memory');
+
+    switch (backend) {
+        case 'memory':
+            return new MemoryCacheBackend({ maxEntries: parseMaxEntries(env) });
+        case 'file':
+            return new FileCacheBackend(env.CACHE_DIR || path.join(os.tmpdir(), 'spotify-ranking-cache'), {
+                maxEntries: parseMaxEntries(env),
+            });
+        case 'redis':
+            if (!env.REDIS_URL) throw new Error('CACHE_BACKEND=redis requires REDIS_URL');
+            return new RedisCacheBackend(env.REDIS_URL);
+        default:
+            throw new Error(`Unknown CACHE_BACKEND "${backend}" (expected memory, file or redis)`);
+    }
+}
+
+export class Cache {
+    constructor(backend) {
+        this.backend = backend;
+        // Computations running in this process, keyed by cache key
+        this.inflight = new Map();
+    }
+
+    // Returns the cached value for key, computing it with compute() when needed.
+    //   ttl(value)  - how long a value stays fresh (ms); a function so results can pick their own
+    //   staleTtl    - how long after that an expired value may still be served
+    // Fresh values are returned as-is. Stale values are returned immediately while a single
+    // background refresh runs. Misses wait for the computation, which concurrent callers share.
+    async wrap(key, { ttl, staleTtl = 0 }, compute) {
+        const entry = await this.peek(key);
+        // Metric label: the key's kind (ranking, artist, ...), never the full key
+        const kind = key.split(':')[0];
+
+        const now = Date.now();
+        if (entry && now < entry.freshUntil) {
+            cacheLookups.inc({ kind, result: 'hit' });
+            return { value: entry.value, storedAt: entry.storedAt, status: 'hit' };
+        }
+
+        if (entry) {
+            cacheLookups.inc({ kind, result: 'stale' });
+            this.refresh(key, { ttl, staleTtl }, compute).catch(err => {
+                log.error('background refresh failed', { key, ...errorFields(err) });
+            });
+            return { value: entry.value, storedAt: entry.storedAt, status: 'stale' };
+        }
+
+        cacheLookups.inc({ kind, result: 'miss' });
+        const fresh = await this.refresh(key, { ttl, staleTtl }, compute);
+        return { ...fresh, status: 'miss' };
+    }
+
+    // The stored entry for key ({ value, storedAt, freshUntil }) or null, without computing
+    async peek(key) {
+        try {
+            return await this.backend.get(key);
+        } catch (err) {
+            // A broken cache backend degrades to computing every time, not to failing
+            log.error('cache get failed', { backend: this.backend.name, key, ...errorFields(err) });
+            return null;
+        }
+    }
+
+    // Lets short-lived processes (the CLI) exit once they are done with the cache
+    async close() {
+        await this.backend.close?.();
+    }
+
+    refresh(key, { ttl, staleTtl }, compute) {
+        if (this.inflight.has(key)) return this.inflight.get(key);
+
+        const run = (async () => {
+            const value = await compute();
+            const storedAt = Date.now();
+            const lifetime = typeof ttl === 'function' ? ttl(value) : ttl;
+            const entry = { value, storedAt, freshUntil: storedAt + lifetime };
+
+            try {
+                await this.backend.set(key, entry, lifetime + staleTtl);
+            } catch (err) {
+                log.error('cache set failed', { backend: this.backend.name, key, ...errorFields(err) });
+            }
+            return { value, storedAt };
+        })().finally(() => {
+            this.inflight.delete(key);
+        });
+
+        this.inflight.set(key, run);
+        return run;
+    }
+}
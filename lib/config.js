@@ -0,0 +1,138 @@
+// lib/config.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getStrategy } from './ranking-strategies.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../rankings.config.json');
+
+// Spotify rejects search requests with limit > 50 or offset + limit > 1000
+const MAX_SEARCH_LIMIT = 50;
+const MAX_SEARCH_WINDOW = 1000;
+const RANKING_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+// Spotify markets are ISO 3166-1 alpha-2 country codes
+const MARKET_PATTERN = /^[A-Z]{2}$/;
+
+export class ConfigError extends Error {
+    constructor(file, problems) {
+        super(`Invalid ranking config (${file}):\n  - ${problems.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+const parseList = value => value.split(',').map(v => v.trim()).filter(Boolean);
+
+// Env vars override the shared defaults (SEARCH_QUERIES only the default ranking's seeds)
+function applyEnvOverrides(raw, env) {
+    const defaults = { ...raw.defaults };
+    if (env.SEARCH_LIMIT) defaults.limit = Number(env.SEARCH_LIMIT);
+    if (env.SEARCH_OFFSETS) defaults.offsets = parseList(env.SEARCH_OFFSETS).map(Number);
+    if (env.RANKING_SIZE) defaults.size = Number(env.RANKING_SIZE);
+    if (env.CACHE_LIFETIME) defaults.cacheLifetime = Number(env.CACHE_LIFETIME);
+    if (env.STALE_LIFETIME) defaults.staleLifetime = Number(env.STALE_LIFETIME);
+
+    const rankings = { ...raw.rankings };
+    const defaultRanking = env.DEFAULT_RANKING || raw.defaultRanking;
+    if (env.SEARCH_QUERIES && Object.hasOwn(rankings, defaultRanking)) {
+        const queries = parseList(env.SEARCH_QUERIES);
+        // Weights for seeds the override dropped no longer apply
+        const queryWeights = Object.fromEntries(
+            Object.entries(rankings[defaultRanking].queryWeights || {}).filter(([query]) => queries.includes(query))
+        );
+        rankings[defaultRanking] = { ...rankings[defaultRanking], queries, queryWeights };
+    }
+
+    const markets = env.MARKETS ? parseList(env.MARKETS).map(m => m.toUpperCase()) : raw.markets;
+
+    return { ...raw, defaultRanking, defaults, rankings, markets };
+}
+
+function validateRanking(name, ranking, problems) {
+    const where = `rankings.${name}`;
+    const isPositiveInt = v => Number.isInteger(v) && v > 0;
+
+    if (!RANKING_NAME_PATTERN.test(name)) {
+        problems.push(`${where}: name must be lowercase letters, digits and dashes`);
+    }
+    if (!Array.isArray(ranking.queries) || ranking.queries.length === 0) {
+        problems.push(`${where}.queries must be a non-empty array`);
+    } else if (ranking.queries.some(q => typeof q !== 'string' || !q.trim())) {
+        problems.push(`${where}.queries must only contain non-empty strings`);
+    }
+    if (!isPositiveInt(ranking.limit) || ranking.limit > MAX_SEARCH_LIMIT) {
+        problems.push(`${where}.limit must be an integer between 1 and ${MAX_SEARCH_LIMIT}`);
+    }
+    if (!Array.isArray(ranking.offsets) || ranking.offsets.length === 0) {
+        problems.push(`${where}.offsets must be a non-empty array`);
+    } else if (ranking.offsets.some(o => !Number.isInteger(o) || o < 0)) {
+        problems.push(`${where}.offsets must only contain non-negative integers`);
+    } else if (Math.max(...ranking.offsets) + ranking.limit > MAX_SEARCH_WINDOW) {
+        problems.push(`${where}: offset + limit must not exceed ${MAX_SEARCH_WINDOW}`);
+    }
+    if (!isPositiveInt(ranking.size)) {
+        problems.push(`${where}.size must be a positive integer`);
+    }
+    if (!isPositiveInt(ranking.cacheLifetime)) {
+        problems.push(`${where}.cacheLifetime must be a positive number of milliseconds`);
+    }
+    if (!Number.isInteger(ranking.staleLifetime) || ranking.staleLifetime < 0) {
+        problems.push(`${where}.staleLifetime must be a non-negative number of milliseconds`);
+    }
+    if (!ranking.queryWeights || typeof ranking.queryWeights !== 'object' || Array.isArray(ranking.queryWeights)) {
+        problems.push(`${where}.queryWeights must be an object of query: weight`);
+    } else {
+        for (const [query, weight] of Object.entries(ranking.queryWeights)) {
+            if (!Array.isArray(ranking.queries) || !ranking.queries.includes(query)) {
+                problems.push(`${where}.queryWeights.${query}: "${query}" is not one of the ranking's queries`);
+            } else if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+                problems.push(`${where}.queryWeights.${query} must be a non-negative number`);
+            }
+        }
+    }
+    if (ranking.strategy !== undefined && !getStrategy(ranking.strategy)) {
+        problems.push(`${where}.strategy "${ranking.strategy}" is not a known ranking strategy`);
+    }
+}
+
+export function loadConfig({ file = process.env.RANKING_CONFIG || DEFAULT_CONFIG_PATH, env = process.env } = {}) {
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new ConfigError(file, [err.code === 'ENOENT' ? 'file not found' : `could not parse: ${err.message}`]);
+    }
+
+    if (!raw || typeof raw !== 'object' || !raw.rankings || typeof raw.rankings !== 'object') {
+        throw new ConfigError(file, ['"rankings" must be an object of named rankings']);
+    }
+
+    const merged = applyEnvOverrides(raw, env);
+    const problems = [];
+    const rankings = {};
+
+    for (const [name, ranking] of Object.entries(merged.rankings)) {
+        // staleLifetime is optional: without it expired rankings are never served stale.
+        // Queries without a weight count once in the "weighted" strategy.
+        const resolved = { staleLifetime: 0, queryWeights: {}, ...merged.defaults, ...ranking, name };
+        validateRanking(name, resolved, problems);
+        rankings[name] = resolved;
+    }
+
+    if (!Object.hasOwn(rankings, merged.defaultRanking)) {
+        problems.push(`defaultRanking "${merged.defaultRanking}" is not one of the configured rankings`);
+    }
+
+    // Markets each get their own fan-out and cache entry, so only listed ones are served
+    const markets = merged.markets ?? [];
+    if (!Array.isArray(markets) || markets.some(m => typeof m !== 'string' || !MARKET_PATTERN.test(m))) {
+        problems.push('markets must be an array of two-letter uppercase country codes (e.g. "KE")');
+    }
+
+    if (problems.length) throw new ConfigError(file, problems);
+
+    return { defaultRanking: merged.defaultRanking, rankings, markets };
+}
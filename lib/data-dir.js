@@ -0,0 +1,13 @@
+// lib/data-dir.js
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Where snapshots and the watchlist file are kept: SNAPSHOT_DIR, else ./data locally and
+// /tmp on Vercel, which only allows writes there. Read per call so tests and scripts can
+// point it elsewhere.
+export function dataDir(env = process.env) {
+    return env.SNAPSHOT_DIR || (env.VERCEL === '1' ? '/tmp/spotify-ranking' : path.join(__dirname, '../data'));
+}
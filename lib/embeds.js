@@ -0,0 +1,119 @@
+// lib/embeds.js
+//
+// Server-rendered markup for partner sites: the iframe-able /embed page (a thin host
+// for the <artist-ranking> web component in public/ranking-widget.js) and the share
+// card served at /api/share/:artistId.svg and .png.
+import axios from 'axios';
+import { escapeXml } from './ranking-export.js';
+import { log, errorFields } from './logger.js';
+
+export const EMBED_THEMES = ['dark', 'light'];
+export const DEFAULT_EMBED_COUNT = 10;
+export const MAX_EMBED_COUNT = 100;
+
+// Parses ?count= and ?theme= for the widget. Returns { count, theme } or { error }.
+export function parseEmbedOptions(query) {
+    const count = query.count === undefined ? DEFAULT_EMBED_COUNT : Number(query.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_EMBED_COUNT) {
+        return { error: `count must be an integer between 1 and ${MAX_EMBED_COUNT}` };
+    }
+
+    const theme = query.theme || EMBED_THEMES[0];
+    if (!EMBED_THEMES.includes(theme)) return { error: `theme must be one of: ${EMBED_THEMES.join(', ')}` };
+
+    return { count, theme };
+}
+
+export function renderEmbedPage({ count, theme, market }) {
+    const attributes = [`count="${count}"`, `theme="${theme}"`];
+    if (market) attributes.push(`market="${escapeXml(market)}"`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Top ${count} Spotify Artists</title>
+    <link rel="stylesheet" href="/embed.css">
+</head>
+<body data-theme="${theme}">
+    <artist-ranking ${attributes.join(' ')}></artist-ranking>
+    <script src="/ranking-widget.js"></script>
+</body>
+</html>
+`;
+}
+
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+const MAX_CARD_NAME = 28;
+
+const truncate = (text, max) => text.length > max ? `${text.slice(0, max - 1)}…` : text;
+
+// Card photos are inlined as data: URIs: an SVG shown as an image (<img>, og:image,
+// link unfurls) never loads external resources. Only Spotify's image CDN is fetched.
+const PHOTO_URL_PATTERN = /^https:\/\/([a-z0-9-]+\.)*(scdn\.co|spotifycdn\.com)\//;
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/gif'];
+const MAX_PHOTO_BYTES = 1024 * 1024;
+const PHOTO_TIMEOUT = 1000 * 5;
+// The card asks for Helvetica or Arial; servers without them render DejaVu Sans instead of a serif
+const PNG_FALLBACK_FONT = 'DejaVu Sans';
+
+export const isSpotifyImageUrl = url => typeof url === 'string' && PHOTO_URL_PATTERN.test(url);
+
+// Downloads an image as a data: URI. Resolves to null when it can't be had.
+export async function fetchPhotoDataUri(url) {
+    try {
+        const res = await axios.get(url, { responseType: 'arraybuffer', timeout: PHOTO_TIMEOUT, maxContentLength: MAX_PHOTO_BYTES });
+        const type = String(res.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (!PHOTO_TYPES.includes(type)) {
+            log.warn('share card photo has an unsupported type', { url, type });
+            return null;
+        }
+        return `data:${type};base64,${Buffer.from(res.data).toString('base64')}`;
+    } catch (err) {
+        log.warn('share card photo unavailable', { url, ...errorFields(err) });
+        return null;
+    }
+}
+
+// 1200x630 card (the size social sites preview) with the artist's photo, name and rank.
+// photo is a data: URI from fetchPhotoDataUri() (anything else is left out);
+// rank is -1 for artists outside the ranking.
+export function renderShareCard({ name, photo, rank, market, generatedAt }) {
+    const ranked = rank > 0;
+    const scope = market ? `in ${market}` : 'worldwide';
+    const date = new Date(generatedAt).toISOString().slice(0, 10);
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}">
+  <defs>
+    <linearGradient id="background" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="#191414"/>
+      <stop offset="1" stop-color="#000000"/>
+    </linearGradient>
+    <clipPath id="photo"><circle cx="300" cy="315" r="200"/></clipPath>
+  </defs>
+  <rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="url(#background)"/>
+  <circle cx="300" cy="315" r="208" fill="#1db954"/>
+  ${typeof photo === 'string' && photo.startsWith('data:image/')
+        ? `<image href="${escapeXml(photo)}" x="100" y="115" width="400" height="400" clip-path="url(#photo)" preserveAspectRatio="xMidYMid slice"/>`
+        : '<circle cx="300" cy="315" r="200" fill="#282828"/>'}
+  <g font-family="Helvetica, Arial, sans-serif" fill="#ffffff">
+    <text x="580" y="200" font-size="36" fill="#b3b3b3">Spotify Artists Popularity Ranking</text>
+    <text x="580" y="290" font-size="64" font-weight="bold">${escapeXml(truncate(name, MAX_CARD_NAME))}</text>
+    <text x="580" y="420" font-size="${ranked ? 120 : 56}" font-weight="bold" fill="#1db954">${ranked ? `#${rank}` : 'Not in the Top 100'}</text>
+    <text x="580" y="490" font-size="32" fill="#b3b3b3">${escapeXml(`${ranked ? 'Ranked' : 'Checked'} ${scope} · ${date}`)}</text>
+  </g>
+</svg>
+`;
+}
+
+// The card as PNG, for social sites that don't take SVG previews. resvg is a native
+// module, so it is only loaded once a PNG is asked for.
+export async function renderShareCardPng(card) {
+    const { Resvg } = await import('@resvg/resvg-js');
+    const resvg = new Resvg(renderShareCard(card), {
+        font: { loadSystemFonts: true, defaultFontFamily: PNG_FALLBACK_FONT, sansSerifFamily: PNG_FALLBACK_FONT }
+    });
+    return resvg.render().asPng();
+}
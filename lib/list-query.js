@@ -0,0 +1,107 @@
+// lib/list-query.js
+//
+// ?limit=&offset=&q=&genre=&fields=&explain= handling for ranking list endpoints,
+// ?market= for every route that takes one, plus the genre counts behind /api/genres.
+
+export const ARTIST_FIELDS = [
+    'rank', 'overallRank', 'id', 'name', 'imageUrl', 'genres', 'score', 'previousRank', 'movement', 'contributions'
+];
+
+const MAX_LIMIT = 1000;
+
+// Lowercase and strip diacritics so "beyonce" matches "Beyoncé"
+export function normalizeName(value) {
+    return value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+// Query-string flags like ?all=1 or ?explain=true
+export const isFlagSet = value => value === '1' || value === 'true';
+
+function parseInteger(value, name, { min, max }, errors) {
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        errors.push(`${name} must be an integer between ${min} and ${max}`);
+        return undefined;
+    }
+    return number;
+}
+
+// ?market= is optional; empty or "global" means no market. markets lists the codes it may
+// name. Returns { market } or { error }.
+export function parseMarket(value, markets) {
+    if (value === undefined || value === '' || value === 'global') return { market: null };
+    const market = String(value).toUpperCase();
+    if (!markets.includes(market)) return { error: `Unknown market "${value}"` };
+    return { market };
+}
+
+// Returns { options } or { errors } for a request's query string
+export function parseListQuery(query) {
+    const errors = [];
+    const limit = parseInteger(query.limit, 'limit', { min: 1, max: MAX_LIMIT }, errors);
+    const offset = parseInteger(query.offset, 'offset', { min: 0, max: Number.MAX_SAFE_INTEGER }, errors) ?? 0;
+    const q = typeof query.q === 'string' && query.q.trim() ? query.q.trim() : null;
+    const genre = typeof query.genre === 'string' && query.genre.trim() ? query.genre.trim() : null;
+
+    let fields = null;
+    if (typeof query.fields === 'string' && query.fields.trim()) {
+        fields = query.fields.split(',').map(f => f.trim()).filter(Boolean);
+        const unknown = fields.filter(f => !ARTIST_FIELDS.includes(f));
+        if (unknown.length) {
+            errors.push(`Unknown field(s): ${unknown.join(', ')}. Available: ${ARTIST_FIELDS.join(', ')}`);
+        }
+    }
+
+    // Score contributions are only sent when asked for, via ?explain=1 or ?fields=contributions
+    const explain = isFlagSet(query.explain) || Boolean(fields?.includes('contributions'));
+
+    if (errors.length) return { errors };
+    return { options: { limit, offset, q, genre, fields, explain } };
+}
+
+const hasGenre = (artist, genre) => (artist.genres || []).some(g => normalizeName(g) === genre);
+
+// Filters, pages and projects a ranked artist list. `total` counts matches before paging.
+// A genre filter re-numbers rank inside the genre and keeps the place in the whole
+// ranking as overallRank (previousRank and movement still refer to the whole ranking).
+export function applyListQuery(artists, { limit, offset = 0, q = null, genre = null, fields = null, explain = false }) {
+    let matches = artists;
+    if (genre) {
+        const wanted = normalizeName(genre);
+        matches = matches
+            .filter(artist => hasGenre(artist, wanted))
+            .map((artist, index) => ({ ...artist, rank: index + 1, overallRank: artist.rank }));
+    }
+    if (q) {
+        const needle = normalizeName(q);
+        matches = matches.filter(artist => normalizeName(artist.name).includes(needle));
+    }
+
+    let page = matches.slice(offset, limit === undefined ? undefined : offset + limit);
+    if (!explain) page = page.map(({ contributions, ...artist }) => artist);
+
+    const projected = fields
+        ? page.map(artist => Object.fromEntries(fields.map(f => [f, artist[f] ?? null])))
+        : page;
+
+    return { total: matches.length, artists: projected };
+}
+
+// How many ranked artists carry each genre, most common first (ties alphabetical).
+// Genres are told apart the way ?genre= matches them, so each count is what that filter
+// returns; the first spelling seen names the genre.
+export function countGenres(artists) {
+    const counts = new Map();
+    for (const artist of artists) {
+        const genres = new Map();
+        for (const genre of artist.genres || []) {
+            if (!genres.has(normalizeName(genre))) genres.set(normalizeName(genre), genre);
+        }
+        for (const [key, genre] of genres) {
+            if (!counts.has(key)) counts.set(key, { genre, count: 0 });
+            counts.get(key).count++;
+        }
+    }
+    return Array.from(counts.values()).sort((a, b) => b.count - a.count || a.genre.localeCompare(b.genre));
+}
@@ -0,0 +1,74 @@
+// lib/logger.js
+//
+// One-line JSON logs with the id of the request being served. The id comes from an
+// incoming X-Request-Id (when it looks sane) or a fresh UUID, is echoed back in the
+// response header and in 500 bodies, and follows the request's async work through
+// AsyncLocalStorage, so a failed ranking refresh logs the id of the request behind it.
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+// LOG_LEVEL is read per call so tests and scripts can change it after import
+const threshold = () => LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+export function getRequestId() {
+    return requestContext.getStore()?.requestId ?? null;
+}
+
+function write(level, message, fields = {}) {
+    if (LEVELS[level] < threshold()) return;
+    const requestId = getRequestId();
+    const entry = { time: new Date().toISOString(), level, message, ...(requestId && { requestId }), ...fields };
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+export const log = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
+
+// Log fields for an error: message, name and any HTTP status, plus the stack at debug level
+export function errorFields(err) {
+    return {
+        error: err?.message ?? String(err),
+        errorName: err?.name,
+        ...(err?.status !== undefined && err?.status !== null && { status: err.status }),
+        ...(threshold() <= LEVELS.debug && err?.stack && { stack: err.stack })
+    };
+}
+
+// Express middleware: assigns the request id and logs one line per finished response
+export function requestLogging(req, res, next) {
+    const incoming = req.headers['x-request-id'];
+    const requestId = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+    const started = process.hrtime.bigint();
+    res.setHeader('X-Request-Id', requestId);
+
+    requestContext.run({ requestId }, () => {
+        res.on('finish', () => {
+            const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+            const level = res.statusCode >= 500 ? 'error' : 'info';
+            // 'finish' may fire outside the request's async context, so pass the id explicitly
+            write(level, 'request', {
+                requestId,
+                method: req.method,
+                path: req.path ?? req.url.split('?')[0],
+                status: res.statusCode,
+                durationMs: Math.round(durationMs * 10) / 10
+            });
+        });
+        next();
+    });
+}
+
+// Wraps a Vercel-style (req, res) handler in requestLogging
+export function withRequestLogging(handler) {
+    return (req, res) => requestLogging(req, res, () => handler(req, res));
+}
@@ -0,0 +1,118 @@
+// lib/metrics.js
+//
+// In-process counters and histograms rendered in the Prometheus text format for
+// GET /metrics. Each metric is defined once here and imported where it is recorded.
+// Label values must come from bounded sets (configured queries, route names, cache
+// key kinds), never from user input, or the series count grows without limit.
+
+// Seconds; Spotify calls and ranking fan-outs both land somewhere in this range
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const metrics = [];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed by their label values in labelNames order
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+function pickLabels(labelNames, labels) {
+    return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+export class Counter {
+    constructor(name, help, labelNames = []) {
+        Object.assign(this, { name, help, labelNames, type: 'counter' });
+        this.series = new Map();
+        metrics.push(this);
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = seriesKey(this.labelNames, labels);
+        const series = this.series.get(key) || { labels: pickLabels(this.labelNames, labels), value: 0 };
+        series.value += value;
+        this.series.set(key, series);
+    }
+
+    render() {
+        return Array.from(this.series.values(), s => `${this.name}${formatLabels(s.labels)} ${s.value}`);
+    }
+}
+
+export class Histogram {
+    constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        Object.assign(this, { name, help, labelNames, buckets, type: 'histogram' });
+        this.series = new Map();
+        metrics.push(this);
+    }
+
+    observe(labels, seconds) {
+        const key = seriesKey(this.labelNames, labels);
+        let series = this.series.get(key);
+        if (!series) {
+            series = { labels: pickLabels(this.labelNames, labels), counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.series.set(key, series);
+        }
+        this.buckets.forEach((bound, i) => {
+            if (seconds <= bound) series.counts[i]++;
+        });
+        series.sum += seconds;
+        series.count++;
+    }
+
+    render() {
+        const lines = [];
+        for (const s of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+            lines.push(`${this.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+            lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+        }
+        return lines;
+    }
+}
+
+// ---- Metrics ----
+// endpoint is the Spotify API operation; query is the ranking search seed, or '' for
+// lookups driven by user input (artist searches, profiles)
+export const spotifyRequests = new Counter(
+    'spotify_requests_total', 'HTTP requests sent to the Spotify Web API, retries included', ['endpoint', 'query', 'status']
+);
+export const spotifyRequestDuration = new Histogram(
+    'spotify_request_duration_seconds', 'Latency of single Spotify Web API requests', ['endpoint', 'query']
+);
+export const spotifyFailures = new Counter(
+    'spotify_request_failures_total', 'Spotify calls that failed after all retries', ['endpoint', 'query']
+);
+export const spotifyRateLimited = new Counter(
+    'spotify_rate_limited_total', 'Spotify responses with status 429', ['endpoint', 'query']
+);
+export const rankingComputeDuration = new Histogram(
+    'ranking_compute_duration_seconds', 'Time to run the search fan-out for one ranking', ['ranking', 'market', 'outcome']
+);
+// kind is the cache key prefix (ranking, artist, profile, photo, suggest)
+export const cacheLookups = new Counter(
+    'cache_lookups_total', 'Cache lookups by result (hit, stale, miss)', ['kind', 'result']
+);
+
+export const webhookDeliveries = new Counter(
+    'webhook_deliveries_total', 'Watchlist webhook deliveries by outcome (delivered, failed after retries)', ['outcome']
+);
+
+// The whole registry in the Prometheus text exposition format (version 0.0.4)
+export function renderMetrics() {
+    const blocks = metrics.map(metric => [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.render()
+    ].join('\n'));
+    return `${blocks.join('\n')}\n`;
+}
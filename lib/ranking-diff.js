@@ -0,0 +1,33 @@
+// lib/ranking-diff.js
+//
+// What changed between two rankings ([{ id, rank, ... }], matched by artist id):
+//   entered - artists only in the current ranking
+//   left    - artists only in the previous ranking, as they were
+//   moved   - artists in both whose rank changed, as they are now plus `from`, their previous rank
+export function diffRankings(previous, current) {
+    const previousById = new Map(previous.map(artist => [artist.id, artist]));
+    const currentIds = new Set(current.map(artist => artist.id));
+
+    const entered = [];
+    const moved = [];
+    for (const artist of current) {
+        const before = previousById.get(artist.id);
+        if (!before) entered.push(artist);
+        else if (before.rank !== artist.rank) moved.push({ ...artist, from: before.rank });
+    }
+    const left = previous.filter(artist => !currentIds.has(artist.id));
+
+    return { entered, left, moved };
+}
+
+// Artists in both rankings at the same rank whose data still changed (movement against the
+// newer snapshot, score, ...), as they are now. diffRankings leaves these out.
+export function diffUpdates(previous, current) {
+    const previousById = new Map(previous.map(artist => [artist.id, artist]));
+    return current.filter(artist => {
+        const before = previousById.get(artist.id);
+        return before && before.rank === artist.rank && JSON.stringify(before) !== JSON.stringify(artist);
+    });
+}
+
+export const isUnchanged = ({ entered, left, moved }) => !entered.length && !left.length && !moved.length;
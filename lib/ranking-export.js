@@ -0,0 +1,116 @@
+// lib/ranking-export.js
+//
+// Serialises a ranking for spreadsheets (CSV), pipelines (JSON Lines) and feed readers
+// (Atom). CSV and JSON Lines rows carry EXPORT_FIELDS; the Atom feed is built from the
+// stored snapshots so it can describe what changed between consecutive rankings.
+import { diffRankings, isUnchanged } from './ranking-diff.js';
+
+export const EXPORT_FIELDS = ['rank', 'id', 'name', 'imageUrl', 'score', 'generatedAt'];
+
+// Rank changes of at least this many places are reported as big movers in the feed
+const BIG_MOVE = 10;
+const MAX_FEED_ENTRIES = 20;
+
+function toExportRow(artist, generatedAt) {
+    return {
+        rank: artist.rank,
+        id: artist.id,
+        name: artist.name,
+        imageUrl: artist.imageUrl,
+        score: artist.score,
+        generatedAt: new Date(generatedAt).toISOString()
+    };
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    // Spreadsheets run cells starting with these as formulas; a leading quote keeps them text
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(artists, generatedAt) {
+    const lines = [EXPORT_FIELDS.join(',')];
+    for (const artist of artists) {
+        const row = toExportRow(artist, generatedAt);
+        lines.push(EXPORT_FIELDS.map(field => csvCell(row[field])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+export function toJsonLines(artists, generatedAt) {
+    return artists.map(artist => JSON.stringify(toExportRow(artist, generatedAt)) + '\n').join('');
+}
+
+export const escapeXml = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// New entries, big movers and drop-outs between two snapshots, or null if nothing changed
+function diffSnapshots(previous, current) {
+    const diff = diffRankings(previous.artists, current.artists);
+    if (isUnchanged(diff)) return null;
+
+    const bigMovers = diff.moved
+        .filter(a => Math.abs(a.from - a.rank) >= BIG_MOVE)
+        .sort((a, b) => Math.abs(b.from - b.rank) - Math.abs(a.from - a.rank));
+
+    return { newEntries: diff.entered, bigMovers, dropped: diff.left };
+}
+
+function feedEntry(snapshot, diff, { siteUrl }) {
+    const { newEntries, bigMovers, dropped } = diff;
+    const count = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+    const title = `Ranking update: ${count(newEntries.length, 'new entry', 'new entries')}, ${count(bigMovers.length, 'big mover', 'big movers')}`;
+
+    const sections = [];
+    if (newEntries.length) {
+        sections.push(`<h3>New entries</h3><ul>${newEntries
+            .map(a => `<li>#${a.rank} ${escapeXml(a.name)}</li>`).join('')}</ul>`);
+    }
+    if (bigMovers.length) {
+        sections.push(`<h3>Big movers</h3><ul>${bigMovers
+            .map(a => `<li>#${a.rank} ${escapeXml(a.name)} (${a.from > a.rank ? '▲' : '▼'} from #${a.from})</li>`)
+            .join('')}</ul>`);
+    }
+    if (dropped.length) {
+        sections.push(`<h3>Dropped out</h3><ul>${dropped
+            .map(a => `<li>${escapeXml(a.name)} (was #${a.rank})</li>`).join('')}</ul>`);
+    }
+    if (!sections.length) sections.push('<p>Small reshuffles only; no new entries or big movers.</p>');
+
+    return `  <entry>
+    <id>${escapeXml(`${siteUrl}/#ranking-${snapshot.generatedAt}`)}</id>
+    <title>${escapeXml(title)}</title>
+    <updated>${snapshot.generatedAt}</updated>
+    <link href="${escapeXml(siteUrl)}/"/>
+    <content type="html">${escapeXml(sections.join(''))}</content>
+  </entry>`;
+}
+
+// Atom feed with one entry per snapshot that differs from the one before it, newest first.
+// siteUrl is the page the feed links back to, feedUrl the feed's own URL.
+export function toAtomFeed(snapshots, { title, siteUrl, feedUrl }) {
+    const entries = [];
+    for (let i = snapshots.length - 1; i > 0 && entries.length < MAX_FEED_ENTRIES; i--) {
+        const diff = diffSnapshots(snapshots[i - 1], snapshots[i]);
+        if (diff) entries.push(feedEntry(snapshots[i], diff, { siteUrl }));
+    }
+
+    const updated = snapshots.length ? snapshots[snapshots.length - 1].generatedAt : new Date(0).toISOString();
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feedUrl)}</id>
+  <title>${escapeXml(title)}</title>
+  <updated>${updated}</updated>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(siteUrl)}/"/>
+  <author><name>Spotify Artists Popularity Ranking</name></author>
+${entries.join('\n')}
+</feed>
+`;
+}
@@ -0,0 +1,85 @@
+// lib/ranking-strategies.js
+//
+// A ranking strategy turns the search hits of one artist into a single score.
+// Each strategy is { name, description, score(hits, context) } where:
+//   hits    - [{ query, position }] for every search result the artist appeared in
+//             (position is the absolute 0-based index: offset + index)
+//   context - { maxPosition, resultCounts, queryWeights } where resultCounts maps each
+//             query to the number of results it returned across all offsets and
+//             queryWeights holds the ranking's configured weights (queryWeights in
+//             rankings.config.json)
+// Higher scores rank higher. Scores must be additive across queries (scoring each
+// query's hits separately and summing gives the total), which is what lets
+// explainScore() break a score down per query.
+
+// Constant used by reciprocal-rank fusion; 60 is the value from the original RRF paper
+const RRF_K = 60;
+
+// Queries without a configured weight count once in the "weighted" strategy
+const DEFAULT_QUERY_WEIGHT = 1;
+
+const strategies = {
+    'position-sum': {
+        name: 'position-sum',
+        description: 'Sum of (max position - position) over every search hit',
+        score: (hits, { maxPosition }) =>
+            hits.reduce((sum, hit) => sum + (maxPosition - hit.position), 0)
+    },
+
+    rrf: {
+        name: 'rrf',
+        description: `Reciprocal-rank fusion: sum of 1 / (${RRF_K} + rank) over every search hit`,
+        score: (hits) =>
+            hits.reduce((sum, hit) => sum + 1 / (RRF_K + hit.position + 1), 0)
+    },
+
+    borda: {
+        name: 'borda',
+        description: 'Borda count: each query awards (results in that query - rank) points',
+        score: (hits, { resultCounts }) =>
+            hits.reduce((sum, hit) => sum + (resultCounts[hit.query] - hit.position - 1), 0)
+    },
+
+    'query-count': {
+        name: 'query-count',
+        description: 'Number of distinct queries the artist appeared in',
+        score: (hits) => new Set(hits.map(hit => hit.query)).size
+    },
+
+    weighted: {
+        name: 'weighted',
+        description: 'Position sum with a weight per query (queryWeights in the ranking config)',
+        score: (hits, { maxPosition, queryWeights = {} }) =>
+            hits.reduce((sum, hit) => {
+                const weight = queryWeights[hit.query] ?? DEFAULT_QUERY_WEIGHT;
+                return sum + weight * (maxPosition - hit.position);
+            }, 0)
+    }
+};
+
+export const DEFAULT_STRATEGY = 'position-sum';
+
+// Object.hasOwn keeps prototype keys ("constructor", "toString") from passing as strategies
+export function getStrategy(name = DEFAULT_STRATEGY) {
+    return Object.hasOwn(strategies, name) ? strategies[name] : null;
+}
+
+// Per-query share of an artist's score, largest first:
+// [{ query, points, positions }] with 1-based search positions
+export function explainScore(strategy, hits, context) {
+    const hitsByQuery = new Map();
+    for (const hit of hits) {
+        if (!hitsByQuery.has(hit.query)) hitsByQuery.set(hit.query, []);
+        hitsByQuery.get(hit.query).push(hit);
+    }
+
+    return Array.from(hitsByQuery, ([query, queryHits]) => ({
+        query,
+        points: strategy.score(queryHits, context),
+        positions: queryHits.map(hit => hit.position + 1)
+    })).sort((a, b) => b.points - a.points);
+}
+
+export function listStrategies() {
+    return Object.values(strategies).map(({ name, description }) => ({ name, description }));
+}
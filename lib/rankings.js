@@ -0,0 +1,275 @@
+// lib/rankings.js
+//
+// The ranking itself: search fan-out, scoring, caching, snapshots, rank movement and
+// watchlist alerts (snapshots and alerts only once a process opts in with setRecording()).
+// Nothing here knows about HTTP, so the Express app (api/artists-ranking.js), the
+// serverless search handlers and the CLI (bin/artist-rank.js) all import it directly.
+// Configuration comes from rankings.config.json and the environment at import time.
+import { EventEmitter } from 'events';
+import { getLatestSnapshot, saveSnapshot, applyMovement } from './snapshots.js';
+import { DEFAULT_STRATEGY, getStrategy, explainScore } from './ranking-strategies.js';
+import { loadConfig } from './config.js';
+import { searchArtistsBatch } from './spotify-client.js';
+import { Cache, createCacheBackend } from './cache.js';
+import { diffRankings, diffUpdates } from './ranking-diff.js';
+import { notifyWatchlist } from './watchlist.js';
+import { log, errorFields } from './logger.js';
+import { rankingComputeDuration } from './metrics.js';
+
+// ---- Dynamic Artist Ranking ----
+// Query seeds, offsets, limit, size and cache lifetimes come from rankings.config.json.
+// Spotify Development Mode caps the search limit at 10 (reduced from 50).
+// loadConfig() throws a ConfigError listing every problem, so a bad config fails the import.
+export const config = loadConfig();
+
+// A ranking built while some searches failed is only kept this long before retrying
+const DEGRADED_CACHE_LIFETIME = 1000 * 60 * 5;
+
+// Search results are shared through the configured cache backend (memory, file or redis)
+export const cache = new Cache(createCacheBackend());
+// Rankings scored from the cached search results, keyed by "ranking:market:strategy"
+const scoredRankings = new Map();
+// Emits ('diff', scoredKey, diff) each time a scored ranking is replaced by a newer one
+export const rankingEvents = new EventEmitter();
+rankingEvents.setMaxListeners(0);
+// Outcome of this instance's latest fan-out per "ranking:market", reported by /api/health
+const lastRefreshes = new Map();
+
+// Side effects of a fan-out, off until the process running it opts in with setRecording():
+//   snapshots - append each non-degraded ranking to the snapshot history
+//   alerts    - send watchlist webhooks for each new snapshot, never holding up the ranking
+//   waitUntil - where the process may be frozen as soon as it answers (serverless
+//               functions), keeps it alive for the alerts (Vercel's waitUntil); deliveries
+//               there give up after SERVERLESS_ALERT_BUDGET
+const recording = { snapshots: false, alerts: false, waitUntil: null };
+
+// Short enough that the alerts finish well inside a function's time limit
+const SERVERLESS_ALERT_BUDGET = 1000 * 5;
+
+export function setRecording({ snapshots = false, alerts = false, waitUntil = null } = {}) {
+    Object.assign(recording, { snapshots, alerts: snapshots && alerts, waitUntil });
+}
+
+async function fetchSearchResults(rankingConfig, market) {
+    const requests = [];
+    for (const query of rankingConfig.queries) {
+        for (const offset of rankingConfig.offsets) {
+            requests.push({ query, offset, limit: rankingConfig.limit, market });
+        }
+    }
+
+    const batch = await searchArtistsBatch(requests);
+    if (batch.failed === batch.total) {
+        throw new Error(`All ${batch.total} Spotify searches failed: ${batch.results[0]?.error}`);
+    }
+    return batch;
+}
+
+// Collects every search hit per artist: { artists: Map<id, { id, name, imageUrl, genres, hits }>, resultCounts }.
+// popularity and followers are no longer available in Development Mode
+// (removed per Spotify's February 2026 API changes), so hits are all we rank on.
+export function collectHits(results) {
+    const allArtistsMap = new Map();
+    const resultCounts = {};
+
+    for (const { query, items, offset } of results) {
+        resultCounts[query] = (resultCounts[query] || 0) + items.length;
+        items.forEach((artist, index) => {
+            if (artist?.id && artist?.name && artist?.images?.[0]?.url) {
+                const hit = { query, position: offset + index };
+                if (allArtistsMap.has(artist.id)) {
+                    allArtistsMap.get(artist.id).hits.push(hit);
+                } else {
+                    allArtistsMap.set(artist.id, {
+                        id: artist.id,
+                        name: artist.name,
+                        imageUrl: artist.images[0].url,
+                        genres: artist.genres || [],
+                        hits: [hit]
+                    });
+                }
+            }
+        });
+    }
+
+    return { artists: allArtistsMap, resultCounts };
+}
+
+export function scoringContext(rankingConfig, resultCounts) {
+    // Maximum absolute position used for scoring (offset + index)
+    const maxPosition = Math.max(...rankingConfig.offsets) + rankingConfig.limit;
+    return { maxPosition, resultCounts, queryWeights: rankingConfig.queryWeights };
+}
+
+// The strategy decides how each artist's hits become a score
+function rankArtists(results, strategy, rankingConfig) {
+    const { artists, resultCounts } = collectHits(results);
+    const context = scoringContext(rankingConfig, resultCounts);
+
+    // Per-query contributions are kept so responses can explain each rank (?explain=1)
+    const uniqueArtists = Array.from(artists.values()).map(({ hits, ...artist }) => ({
+        ...artist,
+        score: strategy.score(hits, context),
+        contributions: explainScore(strategy, hits, context)
+    }));
+    uniqueArtists.sort((a, b) => b.score - a.score);
+
+    return uniqueArtists.slice(0, rankingConfig.size);
+}
+
+// Only configured rankings: prototype keys such as "constructor" are not rankings
+export function getRankingConfig(name = config.defaultRanking) {
+    return Object.hasOwn(config.rankings, name) ? config.rankings[name] : null;
+}
+
+export function getMarkets() {
+    return config.markets;
+}
+
+// Each ranking/market pair keeps its own snapshot history
+export const snapshotKey = (rankingConfig, market) => market ? `${rankingConfig.name}.${market}` : rankingConfig.name;
+export const rankingKey = (rankingConfig, market) => `${rankingConfig.name}:${market || 'global'}`;
+
+// Times a fan-out, remembers its outcome for /api/health and logs it under the
+// id of the request that triggered it
+function recordRefresh(rankingConfig, market, started, outcome, fields = {}) {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    rankingComputeDuration.observe({ ranking: rankingConfig.name, market: market || 'global', outcome }, seconds);
+
+    const refresh = { at: new Date().toISOString(), outcome, durationMs: Math.round(seconds * 1000), ...fields };
+    lastRefreshes.set(rankingKey(rankingConfig, market), refresh);
+
+    const level = { ok: 'info', degraded: 'warn', failed: 'error' }[outcome];
+    log[level]('ranking refresh', { ranking: rankingConfig.name, market: market || 'global', ...refresh });
+}
+
+// How this instance's latest fan-out for a ranking/market went, or null if it hasn't run one
+export function getLastRefresh(rankingConfig, market) {
+    return lastRefreshes.get(rankingKey(rankingConfig, market)) || null;
+}
+
+// Stores a fan-out's default-strategy ranking and alerts the watchlist, as far as
+// setRecording() allows. Degraded rankings are never stored, so partial data can't fake
+// rank movement. Storage problems must not take the ranking down with them.
+async function recordSnapshot(rankingConfig, market, batch, previousSnapshot, generatedAt) {
+    if (!recording.snapshots || batch.failed > 0) return;
+    const labels = { ranking: rankingConfig.name, market: market || 'global' };
+
+    let snapshot;
+    try {
+        const strategy = getStrategy(rankingConfig.strategy || DEFAULT_STRATEGY);
+        snapshot = await saveSnapshot(rankArtists(batch.results, strategy, rankingConfig), {
+            key: snapshotKey(rankingConfig, market),
+            generatedAt
+        });
+    } catch (err) {
+        log.error('snapshot failed', { ...labels, ...errorFields(err) });
+        return;
+    }
+
+    if (!recording.alerts) return;
+    // Webhooks retry for a while, so the ranking never waits for them
+    const deadline = recording.waitUntil ? Date.now() + SERVERLESS_ALERT_BUDGET : undefined;
+    const alerts = notifyWatchlist(previousSnapshot, snapshot, {
+        ranking: rankingConfig.name, market, key: snapshotKey(rankingConfig, market), deadline
+    }).catch(err => {
+        log.error('watchlist check failed', { ...labels, ...errorFields(err) });
+    });
+    recording.waitUntil?.(alerts);
+}
+
+// Runs the search fan-out for one ranking, reading the previous snapshot for rank movement.
+// Everything returned here is cached, so it must stay JSON-serialisable.
+async function computeRankingData(rankingConfig, market) {
+    const started = process.hrtime.bigint();
+    let batch;
+    try {
+        batch = await fetchSearchResults(rankingConfig, market);
+    } catch (err) {
+        recordRefresh(rankingConfig, market, started, 'failed', errorFields(err));
+        throw err;
+    }
+    const degraded = batch.failed > 0;
+    recordRefresh(rankingConfig, market, started, degraded ? 'degraded' : 'ok', {
+        failedRequests: batch.failed,
+        totalRequests: batch.total
+    });
+
+    // Movement is measured against the latest snapshot; a new one is recorded once per fan-out
+    let previousSnapshot = null;
+    try {
+        previousSnapshot = await getLatestSnapshot(snapshotKey(rankingConfig, market));
+    } catch (err) {
+        log.error('snapshot read failed', { ranking: rankingConfig.name, market: market || 'global', ...errorFields(err) });
+    }
+    // One timestamp for the snapshot and the ranking, so history and feeds match the envelope
+    const generatedAt = Date.now();
+    await recordSnapshot(rankingConfig, market, batch, previousSnapshot, generatedAt);
+
+    return {
+        results: batch.results,
+        generatedAt,
+        failedRequests: batch.failed,
+        totalRequests: batch.total,
+        previousSnapshot
+    };
+}
+
+// Cached search results for one ranking in one market: { data, status, lifetime(data) }
+export async function getRankingData(rankingConfig, market = null) {
+    const lifetime = value => value.failedRequests
+        ? Math.min(DEGRADED_CACHE_LIFETIME, rankingConfig.cacheLifetime)
+        : rankingConfig.cacheLifetime;
+    const { value: data, status } = await cache.wrap(`ranking:${rankingKey(rankingConfig, market)}`, {
+        ttl: lifetime,
+        staleTtl: rankingConfig.staleLifetime
+    }, () => computeRankingData(rankingConfig, market));
+    return { data, status, lifetime };
+}
+
+export async function getArtistsRanking({ ranking: rankingName = config.defaultRanking, strategy: strategyName, market = null } = {}) {
+    const rankingConfig = getRankingConfig(rankingName);
+    if (!rankingConfig) throw new Error(`Unknown ranking: ${rankingName}`);
+    if (market && !config.markets.includes(market)) throw new Error(`Unknown market: ${market}`);
+
+    const strategy = getStrategy(strategyName || rankingConfig.strategy || DEFAULT_STRATEGY);
+    if (!strategy) throw new Error(`Unknown ranking strategy: ${strategyName}`);
+
+    const { data, status, lifetime } = await getRankingData(rankingConfig, market);
+
+    const scoredKey = `${rankingConfig.name}:${market || 'global'}:${strategy.name}`;
+    const scored = scoredRankings.get(scoredKey);
+    if (scored && scored.generatedAt === data.generatedAt) {
+        return { ...scored, cacheStatus: status };
+    }
+
+    // Movement is only meaningful for the strategy that snapshots are taken with
+    const isSnapshotStrategy = strategy.name === (rankingConfig.strategy || DEFAULT_STRATEGY);
+    const ranking = rankArtists(data.results, strategy, rankingConfig);
+
+    const result = {
+        ranking: rankingConfig.name,
+        strategy: strategy.name,
+        market,
+        generatedAt: data.generatedAt,
+        expiresAt: data.generatedAt + lifetime(data),
+        degraded: data.failedRequests > 0,
+        failedRequests: data.failedRequests,
+        totalRequests: data.totalRequests,
+        artists: applyMovement(ranking, isSnapshotStrategy ? data.previousSnapshot : null)
+    };
+    const previous = scoredRankings.get(scoredKey);
+    scoredRankings.set(scoredKey, result);
+
+    if (previous && rankingEvents.listenerCount('diff')) {
+        rankingEvents.emit('diff', scoredKey, {
+            generatedAt: new Date(result.generatedAt).toISOString(),
+            previousGeneratedAt: new Date(previous.generatedAt).toISOString(),
+            degraded: result.degraded,
+            ...diffRankings(previous.artists, result.artists),
+            // Rows that kept their rank still need the new movement badge and score
+            updated: diffUpdates(previous.artists, result.artists)
+        });
+    }
+    return { ...result, cacheStatus: status };
+}
@@ -0,0 +1,161 @@
+// lib/search-service.js
+//
+// Search-and-rank behind /api/search-artist and /api/search-artist/suggest. The Express
+// app and the standalone serverless handlers both go through createSearchHandler() and
+// createSuggestHandler(), so validation, error shapes and response fields are identical
+// wherever the routes are served from.
+import { searchArtists, SpotifyError } from './spotify-client.js';
+import { MissingFixtureError } from './spotify-fixtures.js';
+import { rankCandidates } from './artist-match.js';
+import { isFlagSet, normalizeName, parseMarket } from './list-query.js';
+import { log, errorFields, getRequestId } from './logger.js';
+
+// Spotify search results considered for each artist lookup
+const SEARCH_CANDIDATES = 5;
+// Matching costs time in proportion to the query's length for every candidate, and no
+// artist name comes close to this
+const MAX_QUERY_LENGTH = 100;
+// Served from public/, so the page's img-src 'self' covers it
+const PLACEHOLDER_IMAGE = '/placeholder-artist.svg';
+
+// Search-as-you-type: shorter prefixes match too much of Spotify to be useful
+const MIN_SUGGEST_LENGTH = 2;
+const SUGGEST_LIMIT = 6;
+// Typing hits the same prefixes over and over; a minute is enough to absorb that
+const SUGGEST_CACHE_LIFETIME = 1000 * 60;
+
+export class SearchError extends Error {
+    constructor(status, body) {
+        super(body.error || body.message);
+        this.name = 'SearchError';
+        this.status = status;
+        this.body = body;
+    }
+}
+
+function toSearchResult({ candidate, rank, confidence, reason }, { explain, rankedArtists }) {
+    const result = {
+        id: candidate.id,
+        name: candidate.name,
+        imageUrl: candidate.images?.[0]?.url || PLACEHOLDER_IMAGE,
+        rankInTop100: rank,
+        confidence,
+        reason
+    };
+
+    // With explain, say how the ranked artist earned its score (null when unranked)
+    if (explain) {
+        const ranked = rank > 0 ? rankedArtists[rank - 1] : null;
+        result.explain = ranked ? { score: ranked.score, contributions: ranked.contributions } : null;
+    }
+    return result;
+}
+
+// Resolves a name to the best-matching artist, or with `all` to every candidate.
+// getRanking({ market }) must resolve to the ranked artist list for that market
+// (null market = the global ranking).
+export async function searchArtist(name, { all = false, explain = false, market = null, getRanking }) {
+    const query = typeof name === 'string' ? name.trim() : '';
+    if (!query) throw new SearchError(400, { error: 'No artist name provided' });
+    if (query.length > MAX_QUERY_LENGTH) {
+        throw new SearchError(400, { error: `Artist name must be at most ${MAX_QUERY_LENGTH} characters` });
+    }
+
+    const candidates = await searchArtists(query, { limit: SEARCH_CANDIDATES, market });
+    if (!candidates.length) throw new SearchError(404, { message: 'Artist not found' });
+
+    const rankedArtists = await getRanking({ market });
+    const matches = rankCandidates(query, candidates, rankedArtists);
+    if (!matches.length) throw new SearchError(404, { message: 'Artist not found' });
+
+    const options = { explain, rankedArtists };
+    if (all) return { query, candidates: matches.map(match => toSearchResult(match, options)) };
+    return toSearchResult(matches[0], options);
+}
+
+// Artists whose names match a partially typed query, for the autocomplete dropdown.
+// Spotify's results are cached per prefix and market; ranks are looked up fresh each
+// time so chips follow the current ranking. Resolves to { query, suggestions, cacheStatus }.
+export async function suggestArtists(text, { market = null, getRanking, cache }) {
+    const query = typeof text === 'string' ? text.trim() : '';
+    if (!query) throw new SearchError(400, { error: 'No search text provided' });
+    if (query.length > MAX_QUERY_LENGTH) {
+        throw new SearchError(400, { error: `Search text must be at most ${MAX_QUERY_LENGTH} characters` });
+    }
+    if (query.length < MIN_SUGGEST_LENGTH) return { query, suggestions: [], cacheStatus: 'skip' };
+
+    const { value: candidates, status } = await cache.wrap(
+        `suggest:${market || 'global'}:${normalizeName(query)}`,
+        { ttl: SUGGEST_CACHE_LIFETIME },
+        () => searchArtists(query, { limit: SUGGEST_LIMIT, market })
+    );
+
+    const rankedArtists = await getRanking({ market });
+    const suggestions = rankCandidates(query, candidates, rankedArtists).map(({ candidate, rank }) => ({
+        id: candidate.id,
+        name: candidate.name,
+        imageUrl: candidate.images?.[0]?.url || PLACEHOLDER_IMAGE,
+        rankInTop100: rank
+    }));
+    return { query, suggestions, cacheStatus: status };
+}
+
+// Spotify answers 400 for a query it can't take and 404 for nothing to find, which are the
+// caller's problem as they are on the Express routes. A missing replay fixture is a 503 naming
+// it; anything else is a 500 to look into.
+function sendFailure(res, err, operation, message) {
+    if (err instanceof SearchError) return res.status(err.status).json(err.body);
+    if (err instanceof MissingFixtureError) return res.status(err.status).json({ error: err.message, fixture: err.key });
+    if (err instanceof SpotifyError && err.status === 400) {
+        return res.status(400).json({ error: 'Spotify could not search for that text' });
+    }
+    if (err instanceof SpotifyError && err.status === 404) return res.status(404).json({ message: 'Artist not found' });
+    log.error(`${operation} failed`, errorFields(err));
+    res.status(500).json({ error: message, requestId: getRequestId() });
+}
+
+// (req, res) handler usable both as Express middleware and as a Vercel function.
+// markets lists the market codes ?market= may name.
+export function createSearchHandler({ getRanking, markets = [] }) {
+    return async function searchArtistHandler(req, res) {
+        if (req.method !== 'GET') {
+            res.setHeader('Allow', 'GET');
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        // ?all=1 returns every candidate so the client can disambiguate
+        const all = isFlagSet(req.query.all);
+        const explain = isFlagSet(req.query.explain);
+
+        const { market, error } = parseMarket(req.query.market, markets);
+        if (error) return res.status(400).json({ error, markets });
+
+        try {
+            res.json(await searchArtist(req.query.name, { all, explain, market, getRanking }));
+        } catch (err) {
+            sendFailure(res, err, 'search', 'Search failed');
+        }
+    };
+}
+
+// (req, res) handler for /api/search-artist/suggest?q=. cache is a Cache (lib/cache.js)
+// shared with whatever else the deployment caches.
+export function createSuggestHandler({ getRanking, markets = [], cache }) {
+    return async function suggestArtistHandler(req, res) {
+        if (req.method !== 'GET') {
+            res.setHeader('Allow', 'GET');
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        const { market, error } = parseMarket(req.query.market, markets);
+        if (error) return res.status(400).json({ error, markets });
+
+        try {
+            const { cacheStatus, ...result } = await suggestArtists(req.query.q, { market, getRanking, cache });
+            res.setHeader('X-Cache', cacheStatus.toUpperCase());
+            res.json(result);
+        } catch (err) {
+            sendFailure(res, err, 'suggestions', 'Suggestions failed');
+        }
+    };
+}
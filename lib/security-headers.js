@@ -0,0 +1,39 @@
+// lib/security-headers.js
+//
+// Content-Security-Policy for everything the Express app serves. The frontend keeps its
+// script and CSS in files under public/ (no inline <script>, <style>, style="" or
+// on*= handlers), so both are restricted to our own origin.
+
+// Artist photos come from Spotify's image CDNs; data: covers the inline favicon
+const IMAGE_SOURCES = ["'self'", 'data:', 'https://*.scdn.co', 'https://*.spotifycdn.com'];
+
+const DIRECTIVES = {
+    'default-src': ["'self'"],
+    'script-src': ["'self'"],
+    'style-src': ["'self'"],
+    'img-src': IMAGE_SOURCES,
+    'connect-src': ["'self'"],
+    'object-src': ["'none'"],
+    'base-uri': ["'none'"],
+    'form-action': ["'self'"],
+    'frame-ancestors': ["'none'"]
+};
+
+// Serializes the policy; overrides replace whole directives, e.g. { 'frame-ancestors': ['*'] }
+export function buildContentSecurityPolicy(overrides = {}) {
+    return Object.entries({ ...DIRECTIVES, ...overrides })
+        .map(([directive, sources]) => `${directive} ${sources.join(' ')}`)
+        .join('; ');
+}
+
+export const CONTENT_SECURITY_POLICY = buildContentSecurityPolicy();
+// /embed is meant to be framed by other sites
+export const EMBED_CONTENT_SECURITY_POLICY = buildContentSecurityPolicy({ 'frame-ancestors': ['*'] });
+
+// Express middleware setting the default policy; routes may override the header
+export function contentSecurityPolicy() {
+    return (req, res, next) => {
+        res.setHeader('Content-Security-Policy', CONTENT_SECURITY_POLICY);
+        next();
+    };
+}
@@ -0,0 +1,117 @@
+// lib/snapshots.js
+import fs from 'fs/promises';
+import path from 'path';
+import { dataDir } from './data-dir.js';
+
+const DEFAULT_KEY = 'default';
+// Roughly a month of hourly snapshots
+const MAX_SNAPSHOTS = 24 * 30;
+
+// Each named ranking gets its own file; the default one keeps the original file name
+function snapshotFile(key) {
+    return path.join(dataDir(), key === DEFAULT_KEY ? 'snapshots.jsonl' : `snapshots.${key}.jsonl`);
+}
+
+// One JSON object per line: { generatedAt, artists: [{ id, name, rank, score }] }
+async function readSnapshots(key) {
+    let raw;
+    try {
+        raw = await fs.readFile(snapshotFile(key), 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+
+    const snapshots = [];
+    for (const line of raw.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            snapshots.push(JSON.parse(line));
+        } catch {
+            // Skip a half-written line rather than losing the whole history
+        }
+    }
+    return snapshots.slice(-MAX_SNAPSHOTS);
+}
+
+// Every stored snapshot, oldest first
+export async function listSnapshots(key = DEFAULT_KEY) {
+    return readSnapshots(key);
+}
+
+export async function getLatestSnapshot(key = DEFAULT_KEY) {
+    const snapshots = await readSnapshots(key);
+    return snapshots[snapshots.length - 1] || null;
+}
+
+export async function saveSnapshot(ranking, { key = DEFAULT_KEY, generatedAt = Date.now() } = {}) {
+    const snapshot = {
+        generatedAt: new Date(generatedAt).toISOString(),
+        artists: ranking.map((artist, index) => ({
+            id: artist.id,
+            name: artist.name,
+            rank: index + 1,
+            score: artist.score
+        }))
+    };
+
+    await fs.mkdir(dataDir(), { recursive: true });
+
+    const file = snapshotFile(key);
+    const snapshots = await readSnapshots(key);
+    if (snapshots.length >= MAX_SNAPSHOTS) {
+        // Rewrite the file with only the most recent snapshots
+        const kept = [...snapshots.slice(-(MAX_SNAPSHOTS - 1)), snapshot];
+        await fs.writeFile(file, kept.map(s => JSON.stringify(s)).join('\n') + '\n');
+    } else {
+        await fs.appendFile(file, JSON.stringify(snapshot) + '\n');
+    }
+
+    return snapshot;
+}
+
+// Annotates each artist with its rank, previousRank and movement ('up' | 'down' | 'same' | 'new')
+// relative to a previous snapshot. Without a previous snapshot movement stays null.
+export function applyMovement(ranking, previousSnapshot) {
+    const previousRanks = new Map(
+        (previousSnapshot?.artists || []).map(a => [a.id, a.rank])
+    );
+
+    return ranking.map((artist, index) => {
+        const rank = index + 1;
+        const previousRank = previousRanks.get(artist.id) ?? null;
+        let movement = null;
+
+        if (previousSnapshot) {
+            if (previousRank === null) movement = 'new';
+            else if (previousRank > rank) movement = 'up';
+            else if (previousRank < rank) movement = 'down';
+            else movement = 'same';
+        }
+
+        return { rank, ...artist, previousRank, movement };
+    });
+}
+
+// Rank and score of one artist across every stored snapshot (null while unranked).
+// Returns null if the artist never appeared in any snapshot.
+export async function getArtistHistory(artistId, key = DEFAULT_KEY) {
+    const snapshots = await readSnapshots(key);
+    let name = null;
+
+    const history = snapshots.map(snapshot => {
+        const entry = snapshot.artists.find(a => a.id === artistId);
+        if (entry) name = entry.name;
+        return {
+            generatedAt: snapshot.generatedAt,
+            rank: entry ? entry.rank : null,
+            score: entry ? entry.score : null
+        };
+    });
+
+    if (name === null) return null;
+
+    // Drop the leading entries from before the artist first appeared
+    const firstSeen = history.findIndex(h => h.rank !== null);
+    return { id: artistId, name, history: history.slice(firstSeen) };
+}
@@ -0,0 +1,224 @@
+// lib/spotify-client.js
+import axios from 'axios';
+import { log } from './logger.js';
+import { MISSING_FIXTURE_HEADER, MissingFixtureError } from './spotify-fixtures.js';
+import { spotifyRequests, spotifyRequestDuration, spotifyFailures, spotifyRateLimited } from './metrics.js';
+
+// Overridable so tests and offline development can point at a local Spotify stand-in
+const accountsBaseUrl = () => process.env.SPOTIFY_ACCOUNTS_BASE_URL || 'https://accounts.spotify.com';
+const apiBaseUrl = () => process.env.SPOTIFY_API_BASE_URL || 'https://api.spotify.com/v1';
+
+// Refresh the token this many milliseconds before Spotify says it expires
+const TOKEN_REFRESH_THRESHOLD = 1000 * 60 * 5;
+const MAX_CONCURRENT_REQUESTS = 5;
+const MAX_RETRIES = 3;
+const BASE_BACKOFF = 500;
+// Never wait longer than this for a 429 Retry-After, whatever Spotify asks for
+const MAX_RETRY_AFTER = 1000 * 30;
+// Attempts (first tries + retries) a batch may spend per request it contains
+const BATCH_ATTEMPTS_PER_REQUEST = 2;
+
+export class SpotifyError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'SpotifyError';
+        this.status = status;
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ---- Token Handling ----
+let accessToken = null;
+let tokenExpiryTime = 0;
+let pendingToken = null;
+let lastTokenError = null;
+
+async function requestAccessToken() {
+    // Replayed fixtures (lib/spotify-fixtures.js) hand out tokens without checking credentials
+    const replaying = process.env.SPOTIFY_FIXTURES === 'replay';
+    const clientId = process.env.SPOTIFY_CLIENT_ID || (replaying ? 'replay' : null);
+    const clientSecret = process.env.SPOTIFY_CLIENT_SECRET || (replaying ? 'replay' : null);
+
+    if (!clientId || !clientSecret) throw new Error('Spotify credentials missing');
+
+    const authHeader = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+    const now = Date.now();
+
+    let res;
+    try {
+        res = await axios.post(`${accountsBaseUrl()}/api/token`, 'grant_type=client_credentials', {
+            headers: {
+                Authorization: `Basic ${authHeader}`,
+                'Content-Type': 'application/x-www-form-urlencoded'
+            }
+        });
+    } catch (err) {
+        lastTokenError = { at: new Date().toISOString(), error: err.message };
+        throw err;
+    }
+
+    accessToken = res.data.access_token;
+    tokenExpiryTime = now + res.data.expires_in * 1000;
+    lastTokenError = null;
+    return accessToken;
+}
+
+// For health checks: whether a usable token is cached, when it expires and why the
+// last token request failed (null once a later one succeeds). Never requests a token.
+export function getTokenStatus() {
+    return {
+        valid: Boolean(accessToken) && Date.now() < tokenExpiryTime,
+        expiresAt: accessToken ? new Date(tokenExpiryTime).toISOString() : null,
+        lastError: lastTokenError
+    };
+}
+
+export async function getAccessToken() {
+    if (accessToken && Date.now() < tokenExpiryTime - TOKEN_REFRESH_THRESHOLD) {
+        return accessToken;
+    }
+
+    // Concurrent callers share one refresh instead of each requesting a token
+    if (!pendingToken) {
+        pendingToken = requestAccessToken().finally(() => {
+            pendingToken = null;
+        });
+    }
+    return pendingToken;
+}
+
+function invalidateAccessToken() {
+    accessToken = null;
+    tokenExpiryTime = 0;
+}
+
+// ---- Concurrency Limiting ----
+let activeRequests = 0;
+const waitingRequests = [];
+
+function acquireSlot() {
+    if (activeRequests < MAX_CONCURRENT_REQUESTS) {
+        activeRequests++;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => waitingRequests.push(resolve));
+}
+
+function releaseSlot() {
+    const next = waitingRequests.shift();
+    // Hand the slot straight to the next waiter, otherwise free it
+    if (next) next();
+    else activeRequests--;
+}
+
+function retryAfterMs(res) {
+    const seconds = Number(res.headers?.['retry-after']);
+    const wait = Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : BASE_BACKOFF;
+    return Math.min(wait, MAX_RETRY_AFTER);
+}
+
+// GET an API path, retrying 429s (after Retry-After), 5xx and network errors (with backoff).
+// An optional budget ({ remaining }) caps the retries shared by a batch of requests.
+// labels ({ endpoint, query }) tag the call's metrics; query only for configured search seeds.
+export async function spotifyGet(apiPath, params = {}, { budget, labels = {} } = {}) {
+    const metricLabels = { endpoint: labels.endpoint || 'other', query: labels.query || '' };
+    let refreshedToken = false;
+
+    for (let attempt = 0; ; attempt++) {
+        if (budget) budget.remaining--;
+
+        const token = await getAccessToken();
+
+        await acquireSlot();
+        let res;
+        const started = process.hrtime.bigint();
+        try {
+            res = await axios.get(`${apiBaseUrl()}${apiPath}`, {
+                params,
+                headers: { Authorization: `Bearer ${token}` },
+                validateStatus: () => true
+            });
+        } catch (err) {
+            res = { status: null, error: err };
+        } finally {
+            releaseSlot();
+            spotifyRequestDuration.observe(metricLabels, Number(process.hrtime.bigint() - started) / 1e9);
+        }
+        spotifyRequests.inc({ ...metricLabels, status: res.status ?? 'network_error' });
+
+        if (res.status >= 200 && res.status < 300) return res.data;
+        // Replaying fixtures: retrying can't help and a 404 would pass for "no such artist"
+        const missingFixture = res.headers?.[MISSING_FIXTURE_HEADER.toLowerCase()];
+        if (missingFixture) throw new MissingFixtureError(missingFixture);
+
+        const canRetry = attempt < MAX_RETRIES && (!budget || budget.remaining > 0);
+
+        if (res.status === 401 && !refreshedToken) {
+            // The token was revoked or expired early; fetch a new one once
+            refreshedToken = true;
+            invalidateAccessToken();
+            continue;
+        }
+        if (res.status === 429) {
+            spotifyRateLimited.inc(metricLabels);
+            log.warn('spotify rate limited', { path: apiPath, ...metricLabels, retryAfterMs: retryAfterMs(res), willRetry: canRetry });
+        }
+        if (res.status === 429 && canRetry) {
+            await sleep(retryAfterMs(res));
+            continue;
+        }
+        if ((res.status === null || res.status >= 500) && canRetry) {
+            await sleep(BASE_BACKOFF * 2 ** attempt);
+            continue;
+        }
+
+        const reason = res.status === null ? res.error.message : `HTTP ${res.status}`;
+        spotifyFailures.inc(metricLabels);
+        throw new SpotifyError(`Spotify request failed (${apiPath}): ${reason}`, res.status);
+    }
+}
+
+// market narrows results to what's available in one country; omitted means global
+export async function searchArtists(query, { limit = 10, offset = 0, market } = {}, options) {
+    const params = { q: query, type: 'artist', limit, offset };
+    if (market) params.market = market;
+    const data = await spotifyGet('/search', params, { ...options, labels: { endpoint: 'search', ...options?.labels } });
+    return data.artists?.items || [];
+}
+
+export function getArtist(id, options) {
+    return spotifyGet(`/artists/${encodeURIComponent(id)}`, {}, { ...options, labels: { endpoint: 'artist' } });
+}
+
+export async function getArtistTopTracks(id, { market = 'US' } = {}, options) {
+    const data = await spotifyGet(`/artists/${encodeURIComponent(id)}/top-tracks`, { market }, { ...options, labels: { endpoint: 'artist-top-tracks' } });
+    return data.tracks || [];
+}
+
+export async function getArtistAlbums(id, { includeGroups = 'album,single', limit = 20 } = {}, options) {
+    const data = await spotifyGet(`/artists/${encodeURIComponent(id)}/albums`, { include_groups: includeGroups, limit }, { ...options, labels: { endpoint: 'artist-albums' } });
+    return data.items || [];
+}
+
+// Runs many artist searches ([{ query, limit, offset, market }]) under one shared attempt budget.
+// Failures don't reject the batch; each result carries an error instead, and the totals
+// let callers tell a complete fan-out from a degraded one. Missing fixtures do reject it.
+export async function searchArtistsBatch(requests) {
+    const budget = { remaining: requests.length * BATCH_ATTEMPTS_PER_REQUEST };
+
+    const results = await Promise.all(requests.map(async request => {
+        try {
+            // Ranking seeds are a fixed, configured set, so they are safe as a metric label
+            const items = await searchArtists(request.query, request, { budget, labels: { query: request.query } });
+            return { ...request, items, error: null };
+        } catch (err) {
+            // A ranking missing part of the recording would pass for a real one
+            if (err instanceof MissingFixtureError) throw err;
+            return { ...request, items: [], error: err.message };
+        }
+    }));
+
+    const failed = results.filter(r => r.error).length;
+    return { results, total: results.length, failed };
+}
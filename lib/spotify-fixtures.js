@@ -0,0 +1,165 @@
+// lib/spotify-fixtures.js
+//
+// Record/replay stand-in for the Spotify Accounts and Web APIs, for offline development.
+// SPOTIFY_FIXTURES selects the mode:
+//   record - proxies every request to Spotify (or whatever SPOTIFY_ACCOUNTS_BASE_URL /
+//            SPOTIFY_API_BASE_URL pointed at) and saves each API response
+//   replay - answers from the saved responses only; no credentials or network needed
+// Responses live in one JSON file (SPOTIFY_FIXTURES_FILE, default fixtures/spotify.json)
+// keyed by "GET /v1/path?sorted=query". Tokens are never recorded. A request replay has no
+// fixture for is answered 404 with the key in MISSING_FIXTURE_HEADER, which the Spotify
+// client turns into a MissingFixtureError instead of an ordinary Spotify failure.
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import { fileURLToPath } from 'url';
+import { log, errorFields } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const FIXTURE_MODES = ['record', 'replay'];
+const DEFAULT_FIXTURE_FILE = path.join(__dirname, '../fixtures/spotify.json');
+const REPLAY_TOKEN = 'replay-token';
+export const MISSING_FIXTURE_HEADER = 'X-Spotify-Fixture-Missing';
+
+// A gap in the recording, not a Spotify failure: routes answer 503 naming the key to record
+export class MissingFixtureError extends Error {
+    constructor(key) {
+        super(`No recorded Spotify fixture for "${key}"; record it with SPOTIFY_FIXTURES=record`);
+        this.name = 'MissingFixtureError';
+        this.status = 503;
+        this.key = key;
+    }
+}
+
+// Query parameters sorted, so the same request always maps to the same fixture
+export function fixtureKey(method, pathname, searchParams) {
+    const query = [...searchParams].sort(([a], [b]) => a.localeCompare(b));
+    const search = new URLSearchParams(query).toString();
+    return `${method} ${pathname}${search ? `?${search}` : ''}`;
+}
+
+async function readFixtures(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return {};
+        throw err;
+    }
+}
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+const readBody = req => new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+});
+
+// Starts the fixture server on a local port (0 = any free port).
+// Resolves to { accountsBaseUrl, apiBaseUrl, close() }.
+export async function startFixtureServer({
+    mode,
+    file = DEFAULT_FIXTURE_FILE,
+    upstreamAccountsUrl = 'https://accounts.spotify.com',
+    upstreamApiUrl = 'https://api.spotify.com/v1',
+    port = 0
+}) {
+    if (!FIXTURE_MODES.includes(mode)) {
+        throw new Error(`SPOTIFY_FIXTURES must be one of: ${FIXTURE_MODES.join(', ')} (got "${mode}")`);
+    }
+
+    const fixtures = await readFixtures(file);
+    // Recorded responses are written one at a time so concurrent requests can't interleave
+    let saving = Promise.resolve();
+    const save = () => {
+        saving = saving.then(async () => {
+            const sorted = Object.fromEntries(Object.keys(fixtures).sort().map(key => [key, fixtures[key]]));
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, JSON.stringify(sorted, null, 2) + '\n');
+        }).catch(err => log.error('spotify fixtures not saved', { file, ...errorFields(err) }));
+        return saving;
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        try {
+            if (req.method === 'POST' && url.pathname === '/api/token') {
+                if (mode === 'replay') {
+                    return sendJson(res, 200, { access_token: REPLAY_TOKEN, token_type: 'Bearer', expires_in: 3600 });
+                }
+                const upstream = await axios.post(`${upstreamAccountsUrl}/api/token`, await readBody(req), {
+                    headers: { Authorization: req.headers.authorization, 'Content-Type': req.headers['content-type'] },
+                    validateStatus: () => true
+                });
+                return sendJson(res, upstream.status, upstream.data);
+            }
+
+            if (req.method !== 'GET' || !url.pathname.startsWith('/v1/')) {
+                return sendJson(res, 404, { error: { status: 404, message: 'Not found' } });
+            }
+
+            const key = fixtureKey(req.method, url.pathname, url.searchParams);
+            if (mode === 'replay') {
+                const fixture = fixtures[key];
+                if (!fixture) {
+                    log.warn('no spotify fixture; record it with SPOTIFY_FIXTURES=record', { key });
+                    res.setHeader(MISSING_FIXTURE_HEADER, key);
+                    return sendJson(res, 404, { error: { status: 404, message: `No recorded fixture for ${key}` } });
+                }
+                return sendJson(res, fixture.status, fixture.body);
+            }
+
+            const upstream = await axios.get(`${upstreamApiUrl}${url.pathname.slice('/v1'.length)}${url.search}`, {
+                headers: { Authorization: req.headers.authorization },
+                validateStatus: () => true
+            });
+            // Rate limits and auth failures say nothing about the data, so they aren't kept
+            if (upstream.status !== 429 && upstream.status !== 401) {
+                fixtures[key] = { status: upstream.status, body: upstream.data };
+                save();
+            }
+            if (upstream.headers['retry-after']) res.setHeader('Retry-After', upstream.headers['retry-after']);
+            sendJson(res, upstream.status, upstream.data);
+        } catch (err) {
+            log.error('spotify fixture request failed', { path: url.pathname, ...errorFields(err) });
+            sendJson(res, 502, { error: { status: 502, message: 'Fixture server could not reach Spotify' } });
+        }
+    });
+
+    await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    log.info('spotify fixtures', { mode, file: path.relative(process.cwd(), file) || file, url: base });
+
+    return {
+        accountsBaseUrl: base,
+        apiBaseUrl: `${base}/v1`,
+        close: async () => {
+            await new Promise(resolve => server.close(resolve));
+            await saving;
+        }
+    };
+}
+
+// Starts the fixture server when SPOTIFY_FIXTURES is set and points the Spotify client at it.
+// Returns the running server, or null when fixtures are off.
+export async function setupSpotifyFixtures(env = process.env) {
+    if (!env.SPOTIFY_FIXTURES) return null;
+
+    const fixtureServer = await startFixtureServer({
+        mode: env.SPOTIFY_FIXTURES,
+        file: env.SPOTIFY_FIXTURES_FILE || DEFAULT_FIXTURE_FILE,
+        upstreamAccountsUrl: env.SPOTIFY_ACCOUNTS_BASE_URL || undefined,
+        upstreamApiUrl: env.SPOTIFY_API_BASE_URL || undefined
+    });
+    env.SPOTIFY_ACCOUNTS_BASE_URL = fixtureServer.accountsBaseUrl;
+    env.SPOTIFY_API_BASE_URL = fixtureServer.apiBaseUrl;
+    return fixtureServer;
+}
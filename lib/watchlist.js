@@ -0,0 +1,205 @@
+// lib/watchlist.js
+//
+// The artists a team watches for rank changes, stored as
+// { artists: [{ id, name, imageUrl, moveThreshold, addedAt }] } in Redis when the cache
+// uses it, otherwise in one JSON file (WATCHLIST_FILE, default watchlist.json next to the
+// snapshots).
+// Each fresh ranking is compared with the previous one (kept in Redis too when the list
+// is, see alertBaseline); watched artists that entered, left or moved more than their
+// moveThreshold places go out as one webhook.
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { diffRankings } from './ranking-diff.js';
+import { sendWebhooks } from './webhooks.js';
+import { dataDir } from './data-dir.js';
+import { createCacheBackend } from './cache.js';
+import { log } from './logger.js';
+
+export const MAX_WATCHED_ARTISTS = 100;
+// Moves of more than this many places are reported unless an artist sets its own threshold
+export const DEFAULT_MOVE_THRESHOLD = 5;
+
+export class WatchlistError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'WatchlistError';
+        this.status = status;
+    }
+}
+
+const WATCHLIST_KEY = 'watchlist';
+// The Redis connection, opened on first use
+let redisBackend = null;
+
+// Where the list lives, decided per call like the file path:
+//   'redis' - next to the cached rankings (CACHE_BACKEND=redis or REDIS_URL), shared by
+//             every instance, kept until overwritten
+//   'file'  - the JSON file
+// Vercel instances don't share /tmp, so there it takes Redis or an explicit WATCHLIST_FILE;
+// null means there is nowhere to keep it.
+export function watchlistStorage(env = process.env) {
+    if (createCacheBackend(env).name === 'redis') return 'redis';
+    return env.VERCEL === '1' && !env.WATCHLIST_FILE ? null : 'file';
+}
+
+function requireStorage() {
+    const storage = watchlistStorage();
+    if (!storage) throw new WatchlistError('The watchlist needs shared storage on Vercel: set REDIS_URL', 503);
+    return storage;
+}
+
+function redis() {
+    redisBackend ||= createCacheBackend();
+    return redisBackend;
+}
+
+// Read per call, like the Spotify base URLs, so tests and scripts can point it elsewhere
+function watchlistFile() {
+    return process.env.WATCHLIST_FILE || path.join(dataDir(), 'watchlist.json');
+}
+
+async function readWatchlist() {
+    if (requireStorage() === 'redis') {
+        const stored = await redis().get(WATCHLIST_KEY);
+        return Array.isArray(stored?.artists) ? stored.artists : [];
+    }
+    try {
+        const { artists } = JSON.parse(await fs.readFile(watchlistFile(), 'utf8'));
+        return Array.isArray(artists) ? artists : [];
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+}
+
+async function writeWatchlist(artists) {
+    if (requireStorage() === 'redis') return redis().set(WATCHLIST_KEY, { artists }, Infinity);
+
+    // Replaced atomically with a rename
+    const file = watchlistFile();
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(tmpFile, JSON.stringify({ artists }, null, 2));
+    await fs.rename(tmpFile, file);
+}
+
+// This instance's writes go one at a time, each a read-modify-write. Edits are rare and
+// made by hand, so two instances writing the same moment isn't guarded against.
+let pendingWrite = Promise.resolve();
+
+function updateWatchlist(change) {
+    const run = pendingWrite.then(async () => {
+        const artists = await readWatchlist();
+        const result = change(artists);
+        await writeWatchlist(artists);
+        return result;
+    });
+    pendingWrite = run.catch(() => {});
+    return run;
+}
+
+// Every watched artist, in the order they were added
+export function listWatchlist() {
+    return readWatchlist();
+}
+
+// Adds an artist ({ id, name, imageUrl }), or updates the threshold of one already watched.
+// Resolves to { entry, created }.
+export function addToWatchlist({ id, name, imageUrl = null }, { moveThreshold = DEFAULT_MOVE_THRESHOLD } = {}) {
+    return updateWatchlist(artists => {
+        const existing = artists.find(artist => artist.id === id);
+        if (existing) {
+            Object.assign(existing, { name, imageUrl, moveThreshold });
+            return { entry: existing, created: false };
+        }
+        if (artists.length >= MAX_WATCHED_ARTISTS) {
+            throw new WatchlistError(`The watchlist is full (${MAX_WATCHED_ARTISTS} artists)`, 409);
+        }
+        const entry = { id, name, imageUrl, moveThreshold, addedAt: new Date().toISOString() };
+        artists.push(entry);
+        return { entry, created: true };
+    });
+}
+
+// Resolves to whether the artist was on the watchlist
+export function removeFromWatchlist(id) {
+    return updateWatchlist(artists => {
+        const index = artists.findIndex(artist => artist.id === id);
+        if (index === -1) return false;
+        artists.splice(index, 1);
+        return true;
+    });
+}
+
+// Rank-change events for watched artists between two rankings ([{ id, name, rank }]):
+//   { type: 'entered' | 'left' | 'moved', id, name, rank, previousRank, change }
+// rank is null for artists that left; change is places gained (negative when falling).
+export function findWatchlistEvents(watchlist, previous, current) {
+    const watched = new Map(watchlist.map(artist => [artist.id, artist]));
+    const { entered, left, moved } = diffRankings(previous, current);
+    const event = (type, { id, name }, rank, previousRank) => ({
+        type,
+        id,
+        name,
+        rank,
+        previousRank,
+        change: rank !== null && previousRank !== null ? previousRank - rank : null
+    });
+
+    return [
+        ...entered.filter(a => watched.has(a.id)).map(a => event('entered', a, a.rank, null)),
+        ...left.filter(a => watched.has(a.id)).map(a => event('left', a, null, a.rank)),
+        ...moved
+            .filter(a => watched.has(a.id) && Math.abs(a.from - a.rank) > watched.get(a.id).moveThreshold)
+            .map(a => event('moved', a, a.rank, a.from))
+    ];
+}
+
+// The snapshot a new one is compared with. With Redis every instance swaps its snapshot
+// for the shared baseline (one atomic SET ... GET per snapshot key), so each change is
+// reported once, whichever instance sees it. Elsewhere it is the local snapshot history's
+// previous snapshot, which only one server writes; Vercel instances each have their own,
+// so there alerts need Redis.
+async function alertBaseline(storage, key, previousSnapshot, snapshot) {
+    if (storage !== 'redis') return process.env.VERCEL === '1' ? null : previousSnapshot;
+
+    const baselineKey = `${WATCHLIST_KEY}:baseline:${key}`;
+    const baseline = await redis().swap(baselineKey, snapshot, Infinity);
+    if (baseline && baseline.generatedAt > snapshot.generatedAt) {
+        // Another instance already stored a newer ranking; keep it as the baseline
+        await redis().set(baselineKey, baseline, Infinity);
+        return null;
+    }
+    return baseline;
+}
+
+// Checks a new snapshot (stored under snapshot key `key`) against the previous one and
+// sends any watchlist events, giving up on deliveries at `deadline` (epoch ms) if one is set.
+// Resolves to the webhook payload, or null when no watched artist changed enough.
+export async function notifyWatchlist(previousSnapshot, snapshot, { ranking, market, key = ranking, deadline }) {
+    // Without storage nobody can be watched
+    const storage = watchlistStorage();
+    if (!storage) return null;
+    // The baseline moves on even while nobody is watched
+    previousSnapshot = await alertBaseline(storage, key, previousSnapshot, snapshot);
+    if (!previousSnapshot) return null;
+    const watchlist = await readWatchlist();
+    if (!watchlist.length) return null;
+
+    const events = findWatchlistEvents(watchlist, previousSnapshot.artists, snapshot.artists);
+    if (!events.length) return null;
+
+    const payload = {
+        id: randomUUID(),
+        type: 'watchlist.rank_changes',
+        ranking,
+        market,
+        generatedAt: snapshot.generatedAt,
+        previousGeneratedAt: previousSnapshot.generatedAt,
+        events
+    };
+    log.info('watchlist events', { ranking, market: market || 'global', payloadId: payload.id, events: events.length });
+    await sendWebhooks(payload, process.env, { deadline });
+    return payload;
+}
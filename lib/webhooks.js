@@ -0,0 +1,85 @@
+// lib/webhooks.js
+//
+// Delivers JSON payloads to every URL in WEBHOOK_URLS (comma-separated). Each request
+// is signed with WEBHOOK_SECRET so receivers can check it came from us:
+//   X-Webhook-Id         - payload id, the same on every retry (for de-duplication)
+//   X-Webhook-Timestamp  - Unix seconds when the attempt was sent
+//   X-Webhook-Signature  - sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+// Network errors, 429s and 5xx answers are retried with exponential backoff.
+import axios from 'axios';
+import { createHmac } from 'crypto';
+import { log, errorFields } from './logger.js';
+import { webhookDeliveries } from './metrics.js';
+
+const MAX_ATTEMPTS = 5;
+// 1s, 2s, 4s, 8s between attempts
+const BASE_BACKOFF = 1000;
+const REQUEST_TIMEOUT = 1000 * 10;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export function webhookUrls(env = process.env) {
+    return (env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+}
+
+export function signPayload(body, timestamp, secret) {
+    return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+const isRetryable = status => status === null || status === 429 || status >= 500;
+
+// POSTs one payload to one URL until it is accepted (2xx) or retries run out. With a
+// deadline (epoch ms) requests are cut short and no retry starts after it.
+// Resolves to { delivered, attempts, status }; never rejects.
+export async function deliverWebhook(url, payload, {
+    secret, maxAttempts = MAX_ATTEMPTS, baseBackoff = BASE_BACKOFF, deadline = Infinity
+} = {}) {
+    const body = JSON.stringify(payload);
+    let status = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const timeLeft = deadline - Date.now();
+        try {
+            const res = await axios.post(url, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Webhook-Id': payload.id,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': signPayload(body, timestamp, secret)
+                },
+                timeout: Math.max(1, Math.min(REQUEST_TIMEOUT, timeLeft)),
+                validateStatus: () => true
+            });
+            status = res.status;
+        } catch (err) {
+            status = null;
+            log.warn('webhook attempt failed', { url, payloadId: payload.id, attempt, ...errorFields(err) });
+        }
+
+        if (status >= 200 && status < 300) {
+            webhookDeliveries.inc({ outcome: 'delivered' });
+            return { delivered: true, attempts: attempt, status };
+        }
+        if (!isRetryable(status) || attempt === maxAttempts) break;
+        const backoff = baseBackoff * 2 ** (attempt - 1);
+        if (Date.now() + backoff >= deadline) break;
+        await sleep(backoff);
+    }
+
+    webhookDeliveries.inc({ outcome: 'failed' });
+    log.error('webhook delivery failed', { url, payloadId: payload.id, status });
+    return { delivered: false, status };
+}
+
+// Sends a payload to every configured URL, giving up on each at `deadline` if one is set.
+// Nothing is sent unsigned: without WEBHOOK_SECRET the payload is logged and dropped.
+export async function sendWebhooks(payload, env = process.env, { deadline } = {}) {
+    const urls = webhookUrls(env);
+    if (!urls.length) return [];
+    if (!env.WEBHOOK_SECRET) {
+        log.error('WEBHOOK_SECRET is not set; webhooks not sent', { payloadId: payload.id });
+        return [];
+    }
+    return Promise.all(urls.map(url => deliverWebhook(url, payload, { secret: env.WEBHOOK_SECRET, deadline })));
+}
@@ -0,0 +1,128 @@
+// Embeddable Top N widget for partner sites:
+//   <script src="https://<this-site>/ranking-widget.js"></script>
+//   <artist-ranking count="10" theme="dark" market="KE"></artist-ranking>
+// Data comes from /api/artists-ranking on the site that served this script.
+(() => {
+    const WIDGET_ORIGIN = new URL(document.currentScript.src).origin;
+    const DEFAULT_COUNT = 10;
+    const MAX_COUNT = 100;
+
+    // A constructed stylesheet, unlike a <style> tag, also works under a host page's CSP
+    const stylesheet = new CSSStyleSheet();
+    stylesheet.replaceSync(`
+        :host {
+            display: block;
+            font-family: 'Segoe UI', Helvetica, Arial, sans-serif;
+            --background: #121212; --surface: #1e1e1e; --text: #ffffff; --muted: #b3b3b3;
+        }
+        :host([theme="light"]) { --background: #ffffff; --surface: #f3f3f3; --text: #121212; --muted: #555555; }
+        .widget { background: var(--background); color: var(--text); border-radius: 12px; padding: 12px; }
+        .title { margin: 0 0 8px; font-size: 1em; }
+        ol { list-style: none; margin: 0; padding: 0; }
+        li a { display: flex; align-items: center; gap: 10px; padding: 6px; border-radius: 8px; color: inherit; text-decoration: none; }
+        li a:hover { background: var(--surface); }
+        .rank { min-width: 2.2em; font-weight: bold; color: #1db954; }
+        img { width: 36px; height: 36px; border-radius: 50%; object-fit: cover; }
+        .footer, .status { margin-top: 8px; font-size: 0.75em; color: var(--muted); }
+        .footer a { color: inherit; }
+    `);
+
+    // theme="dark" (default) or "light" is applied purely in CSS via :host([theme])
+    class ArtistRankingWidget extends HTMLElement {
+        static get observedAttributes() {
+            return ['count', 'market'];
+        }
+
+        constructor() {
+            super();
+            this.attachShadow({ mode: 'open' }).adoptedStyleSheets = [stylesheet];
+        }
+
+        connectedCallback() {
+            this.render();
+        }
+
+        attributeChangedCallback() {
+            if (this.isConnected) this.render();
+        }
+
+        get count() {
+            const count = parseInt(this.getAttribute('count'), 10);
+            return Number.isInteger(count) ? Math.min(Math.max(count, 1), MAX_COUNT) : DEFAULT_COUNT;
+        }
+
+        /**
+         * Builds the widget shell and fills the list; text goes in via textContent,
+         * so nothing from the API is ever parsed as HTML on the host page
+         */
+        async render() {
+            const renderId = (this.renderId = (this.renderId || 0) + 1);
+            const market = this.getAttribute('market');
+
+            const widget = document.createElement('div');
+            widget.className = 'widget';
+
+            const title = document.createElement('h2');
+            title.className = 'title';
+            title.textContent = `Top ${this.count} Spotify Artists${market ? ` · ${market.toUpperCase()}` : ''}`;
+            const status = document.createElement('p');
+            status.className = 'status';
+            status.textContent = 'Loading…';
+            widget.append(title, status);
+            this.shadowRoot.replaceChildren(widget);
+
+            const params = new URLSearchParams({ limit: this.count, fields: 'rank,id,name,imageUrl' });
+            if (market) params.set('market', market);
+
+            try {
+                const response = await fetch(`${WIDGET_ORIGIN}/api/artists-ranking?${params}`);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const data = await response.json();
+                // A newer render (attribute change) has taken over
+                if (renderId !== this.renderId) return;
+
+                const list = document.createElement('ol');
+                data.artists.forEach(artist => {
+                    const link = document.createElement('a');
+                    link.href = `${WIDGET_ORIGIN}/#artist/${encodeURIComponent(artist.id)}`;
+                    link.target = '_blank';
+                    link.rel = 'noopener';
+
+                    const rank = document.createElement('span');
+                    rank.className = 'rank';
+                    rank.textContent = `#${artist.rank}`;
+                    const image = document.createElement('img');
+                    image.src = artist.imageUrl;
+                    image.alt = '';
+                    image.loading = 'lazy';
+                    const name = document.createElement('span');
+                    name.textContent = artist.name;
+
+                    link.append(rank, image, name);
+                    const item = document.createElement('li');
+                    item.appendChild(link);
+                    list.appendChild(item);
+                });
+
+                const footer = document.createElement('p');
+                footer.className = 'footer';
+                const source = document.createElement('a');
+                source.href = WIDGET_ORIGIN;
+                source.target = '_blank';
+                source.rel = 'noopener';
+                source.textContent = 'Full ranking';
+                footer.append(`Updated ${new Date(data.generatedAt).toLocaleString()} · `, source);
+
+                status.replaceWith(list, footer);
+            } catch (error) {
+                if (renderId !== this.renderId) return;
+                console.error('artist-ranking widget:', error);
+                status.textContent = 'The ranking is unavailable right now.';
+            }
+        }
+    }
+
+    if (!customElements.get('artist-ranking')) {
+        customElements.define('artist-ranking', ArtistRankingWidget);
+    }
+})();
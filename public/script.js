@@ -9,6 +9,62 @@ const artistListDiv = document.getElementById('artist-list');
 const artistSearchInput = document.getElementById('artist-search-input');
 const searchButton = document.getElementById('search-button');
 const searchResultsDisplay = document.getElementById('search-results-display');
+const rankingNotice = document.getElementById('ranking-notice');
+const artistDetail = document.getElementById('artist-detail');
+const artistDetailContent = document.getElementById('artist-detail-content');
+const artistDetailClose = document.getElementById('artist-detail-close');
+const marketSelect = document.getElementById('market-select');
+const downloadMenu = document.getElementById('download-menu');
+const artistSuggestions = document.getElementById('artist-suggestions');
+const compareDrawer = document.getElementById('compare-drawer');
+const compareChips = document.getElementById('compare-chips');
+const compareContent = document.getElementById('compare-content');
+const compareClear = document.getElementById('compare-clear');
+const myArtists = document.getElementById('my-artists');
+const myArtistsList = document.getElementById('my-artists-list');
+const genreFilter = document.getElementById('genre-filter');
+
+// --- Safe Rendering ---
+// Artist names, URLs and server messages are data, never markup: everything below is
+// built with h(), which sets attributes and text through the DOM. No innerHTML, no
+// inline handlers or style attributes, so the page runs under a strict CSP.
+
+/**
+ * Creates an element. Props: `class`, `style` (an object applied through CSSOM),
+ * `on<event>` listeners, and plain attributes (null/false are skipped).
+ * Children are nodes or strings; strings become text nodes.
+ */
+function h(tag, props = {}, ...children) {
+    const element = document.createElement(tag);
+    for (const [key, value] of Object.entries(props)) {
+        if (value === null || value === undefined || value === false) continue;
+        if (key === 'class') element.className = value;
+        else if (key === 'style') Object.entries(value).forEach(([name, v]) => element.style.setProperty(name, v));
+        else if (key.startsWith('on')) element.addEventListener(key.slice(2), value);
+        else element.setAttribute(key, value === true ? '' : value);
+    }
+    element.append(...children.flat().filter(child => child !== null && child !== undefined && child !== false));
+    return element;
+}
+
+/**
+ * Only http(s) URLs make it into src/href; anything else (javascript:, data:) is dropped
+ */
+function safeUrl(value) {
+    try {
+        const url = new URL(value, window.location.href);
+        return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * A status line for the list, search or detail areas
+ */
+function messageElement(text, { error = false } = {}) {
+    return h('p', { class: error ? 'message error-message' : 'message' }, text);
+}
 
 // --- Visual Enhancement Functions ---
 
@@ -31,28 +87,17 @@ function addStaggeredAnimations() {
  */
 function createRippleEffect(event) {
     const button = event.currentTarget;
-    const ripple = document.createElement('span');
     const rect = button.getBoundingClientRect();
     const size = Math.max(rect.width, rect.height);
     const x = event.clientX - rect.left - size / 2;
     const y = event.clientY - rect.top - size / 2;
-    
-    ripple.style.cssText = `
-        position: absolute;
-        width: ${size}px;
-        height: ${size}px;
-        left: ${x}px;
-        top: ${y}px;
-        background: rgba(255, 255, 255, 0.3);
-        border-radius: 50%;
-        transform: scale(0);
-        animation: ripple 0.6s linear;
-        pointer-events: none;
-        z-index: 10; /* Ensure ripple is above button content */
-    `;
-    
-    button.style.position = 'relative'; // Ensure button is relative for absolute ripple positioning
-    button.style.overflow = 'hidden'; // Hide ripple overflow
+
+    // Geometry goes in through custom properties; the look and @keyframes ripple live in style.css
+    const ripple = h('span', {
+        class: 'ripple',
+        style: { '--ripple-size': `${size}px`, '--ripple-x': `${x}px`, '--ripple-y': `${y}px` }
+    });
+    button.classList.add('has-ripple'); // Positions the ripple and hides its overflow
     button.appendChild(ripple);
     
     setTimeout(() => {
@@ -60,57 +105,45 @@ function createRippleEffect(event) {
     }, 600);
 }
 
-// Add ripple animation CSS to the document head
-// This is good practice for dynamic CSS
-const rippleStyle = document.createElement('style');
-rippleStyle.textContent = `
-    @keyframes ripple {
-        to {
-            transform: scale(2);
-            opacity: 0;
+// Rows of the latest render; one scroll listener serves every render
+let parallaxItems = [];
+let parallaxTicking = false;
+
+function handleParallaxScroll() {
+    const scrollTop = window.pageYOffset;
+    
+    parallaxItems.forEach((item, index) => {
+        const rect = item.getBoundingClientRect();
+        const isVisible = rect.top < window.innerHeight && rect.bottom > 0;
+        
+        if (isVisible) {
+            const speed = (index % 3 + 1) * 0.05; // Adjusted speed for subtler effect
+            const yPos = scrollTop * speed * 0.1; // Further subtle adjustment
+            // Using transform-style: preserve-3d and perspective on parent for better 3D
+            item.style.transform = `translateY(${yPos}px) perspective(1000px) rotateX(${Math.sin(scrollTop * 0.001 + index) * 0.5}deg)`; // Reduced rotation for subtlety
         }
+    });
+}
+
+// Throttle scroll events for performance
+function onParallaxScroll() {
+    if (!parallaxTicking) {
+        requestAnimationFrame(() => {
+            handleParallaxScroll();
+            parallaxTicking = false;
+        });
+        parallaxTicking = true;
     }
-`;
-document.head.appendChild(rippleStyle);
+}
 
 /**
  * Adds parallax scrolling effect to artist items
  */
 function addParallaxScrolling() {
-    const artistItems = document.querySelectorAll('.artist-item');
-    
-    const handleScroll = () => {
-        const scrollTop = window.pageYOffset;
-        
-        artistItems.forEach((item, index) => {
-            const rect = item.getBoundingClientRect();
-            const isVisible = rect.top < window.innerHeight && rect.bottom > 0;
-            
-            if (isVisible) {
-                const speed = (index % 3 + 1) * 0.05; // Adjusted speed for subtler effect
-                const yPos = scrollTop * speed * 0.1; // Further subtle adjustment
-                // Using transform-style: preserve-3d and perspective on parent for better 3D
-                item.style.transform = `translateY(${yPos}px) perspective(1000px) rotateX(${Math.sin(scrollTop * 0.001 + index) * 0.5}deg)`; // Reduced rotation for subtlety
-            }
-        });
-    };
-    
-    // Throttle scroll events for performance
-    let ticking = false;
-    const throttledScroll = () => {
-        if (!ticking) {
-            requestAnimationFrame(() => {
-                handleScroll();
-                ticking = false;
-            });
-            ticking = true;
-        }
-    };
-    
-    // Only add listener if not already added (prevents multiple listeners on re-render)
-    window.removeEventListener('scroll', throttledScroll); // Remove old listener if any
-    window.addEventListener('scroll', throttledScroll);
-    handleScroll(); // Initial call to set positions
+    parallaxItems = [...document.querySelectorAll('.artist-item')];
+    // The same named listener is only registered once, however often the list re-renders
+    window.addEventListener('scroll', onParallaxScroll);
+    handleParallaxScroll(); // Initial call to set positions
 }
 
 /**
@@ -146,18 +179,13 @@ function addIntersectionAnimations() {
  */
 function showEnhancedLoading() {
     if (loadingMessage) {
-        loadingMessage.style.display = 'flex'; // Use flex for centering content
-        loadingMessage.style.flexDirection = 'column';
-        loadingMessage.style.alignItems = 'center';
-        loadingMessage.style.justifyContent = 'center'; // Center vertically in its container if it has height
-        loadingMessage.innerHTML = `
-            <div style="display: flex; flex-direction: column; align-items: center; gap: 15px;">
-                <div style="font-size: 1.2em; color: var(--text-primary);">Loading top artists... <span class="spinner"></span></div>
-                <div class="progress-bar-container" style="width: 200px; height: 6px; background: rgba(29, 185, 84, 0.2); border-radius: 3px; overflow: hidden;">
-                    <div class="progress-bar" style="height: 100%; background: linear-gradient(90deg, #1DB954, #1ed760); width: 0%; border-radius: 3px; transition: width 0.3s ease;"></div>
-                </div>
-            </div>
-        `;
+        loadingMessage.hidden = false;
+        loadingMessage.replaceChildren(
+            h('div', { class: 'loading-content' },
+                h('div', { class: 'loading-text' }, 'Loading top artists... ', h('span', { class: 'spinner' })),
+                h('div', { class: 'progress-bar-container' }, h('div', { class: 'progress-bar' }))
+            )
+        );
         
         // Simulate progress more smoothly
         const progressBar = loadingMessage.querySelector('.progress-bar');
@@ -178,46 +206,126 @@ function showEnhancedLoading() {
 
 
 /**
- * Enhanced display function with visual effects
+ * Builds the up/down/new indicator shown next to an artist's rank,
+ * based on the movement computed against the previous ranking snapshot.
  */
-function displayArtists(artists) {
-    artistListDiv.innerHTML = ''; // Clear previous content
+function renderRankMovement(artist, rank) {
+    switch (artist.movement) {
+        case 'up':
+            return h('span', { class: 'rank-movement up', title: `Up from #${artist.previousRank}` }, `▲${artist.previousRank - rank}`);
+        case 'down':
+            return h('span', { class: 'rank-movement down', title: `Down from #${artist.previousRank}` }, `▼${rank - artist.previousRank}`);
+        case 'new':
+            return h('span', { class: 'rank-movement new', title: 'New in the Top 100' }, 'NEW');
+        case 'same':
+            return h('span', { class: 'rank-movement same', title: 'No change' }, '–');
+        default:
+            return null;
+    }
+}
 
-    if (artists.length === 0) {
-        artistListDiv.innerHTML = '<p class="message" style="text-align: center; color: var(--text-secondary); font-size: 1.2em;">No artists found in the ranking.</p>';
-        return;
+// Shared tooltip for the per-query score breakdown on #rank badges
+let rankTooltip = null;
+const formatPoints = points => Number(points.toFixed(3));
+
+/**
+ * Shows a bar chart of how much each search query contributed to an artist's score
+ */
+function showRankTooltip(badge, artist) {
+    if (!artist.contributions || !artist.contributions.length) return;
+
+    if (!rankTooltip) {
+        rankTooltip = document.createElement('div');
+        rankTooltip.className = 'rank-tooltip';
+        rankTooltip.setAttribute('role', 'tooltip');
+        document.body.appendChild(rankTooltip);
     }
 
-    // Create a document fragment for better performance when appending many elements
-    const fragment = document.createDocumentFragment();
+    const maxPoints = Math.max(...artist.contributions.map(c => c.points));
+    rankTooltip.replaceChildren(
+        h('div', { class: 'rank-tooltip-title' }, `Why #${artist.rank}? `, h('span', {}, `${formatPoints(artist.score)} pts`)),
+        ...artist.contributions.map(c => h('div', { class: 'rank-tooltip-row' },
+            h('span', { class: 'rank-tooltip-query' }, `"${c.query}"`),
+            h('span', { class: 'rank-tooltip-bar' }, h('span', { style: { width: `${(c.points / maxPoints) * 100}%` } })),
+            h('span', { class: 'rank-tooltip-points' }, String(formatPoints(c.points)))
+        ))
+    );
 
-    artists.forEach((artist, index) => {
-        const artistItem = document.createElement('div');
-        artistItem.className = 'artist-item';
-        artistItem.id = `artist-${artist.id}`;
-        
-        // Add special styling for top 3 (ensure your CSS variables are defined)
-        if (index < 3) {
-            artistItem.style.background = `linear-gradient(135deg, rgba(29, 185, 84, 0.1) 0%, rgba(26, 26, 26, 0.9) 100%)`;
-            artistItem.style.borderColor = 'var(--primary-color)';
-        }
+    const rect = badge.getBoundingClientRect();
+    rankTooltip.style.left = `${rect.left}px`;
+    rankTooltip.style.top = `${rect.bottom + 8}px`;
+    rankTooltip.classList.add('visible');
+}
 
-        artistItem.innerHTML = `
-            <span class="rank-number">#${index + 1}</span>
-            <img src="${artist.imageUrl}" alt="${artist.name}" class="artist-image" loading="lazy">
-            <div class="artist-info">
-                <h3 class="artist-name">${artist.name}</h3>
-            </div>
-        `;
-        
-        // --- REMOVED: JS-based mouseenter/mouseleave hover effects ---
-        // These are now handled entirely by CSS using the :hover pseudo-class
-        artistItem.classList.add('rendered');
+function hideRankTooltip() {
+    if (rankTooltip) rankTooltip.classList.remove('visible');
+}
+
+/**
+ * Builds one ranked artist row
+ */
+function createArtistItem(artist) {
+    const rankBadge = h('span', {
+        class: 'rank-number',
+        onmouseenter: () => showRankTooltip(rankBadge, artist),
+        onmouseleave: hideRankTooltip
+    }, `#${artist.rank}`);
 
-        fragment.appendChild(artistItem);
+    const artistItem = h('div', { class: 'artist-item', id: `artist-${artist.id}` },
+        rankBadge,
+        // Inside a genre, rank is the genre rank; movement is against the whole ranking
+        renderRankMovement(artist, artist.overallRank ?? artist.rank),
+        h('img', { src: safeUrl(artist.imageUrl), alt: artist.name, class: 'artist-image', loading: 'lazy' }),
+        h('div', { class: 'artist-info' }, h('h3', { class: 'artist-name' }, artist.name)),
+        createCompareToggle(artist),
+        createStarToggle(artist)
+    );
+    
+    // Add special styling for top 3
+    if (artist.rank <= 3) artistItem.classList.add('top-three');
+
+    // Rows open the detail panel through the URL hash, so details are deep-linkable
+    artistItem.tabIndex = 0;
+    artistItem.setAttribute('role', 'button');
+    artistItem.setAttribute('aria-label', `Show details for ${artist.name}`);
+    artistItem.addEventListener('click', () => {
+        window.location.hash = `artist/${artist.id}`;
+    });
+    artistItem.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            window.location.hash = `artist/${artist.id}`;
+        }
     });
 
+    // --- REMOVED: JS-based mouseenter/mouseleave hover effects ---
+    // These are now handled entirely by CSS using the :hover pseudo-class
+    artistItem.classList.add('rendered');
+
+    return artistItem;
+}
+
+/**
+ * Enhanced display function with visual effects.
+ * Takes the whole ranking; only the selected genre's artists are shown.
+ */
+function displayArtists(artists) {
+    artistListDiv.replaceChildren(); // Clear previous content
+    currentRanking.artists = artists;
+    renderMyArtists();
+    renderGenreFilter(artists);
+
+    if (artists.length === 0) {
+        artistListDiv.replaceChildren(h('p', { class: 'message empty-message' }, 'No artists found in the ranking.'));
+        return;
+    }
+
+    // Create a document fragment for better performance when appending many elements
+    const fragment = document.createDocumentFragment();
+    filterByGenre(artists).forEach(artist => fragment.appendChild(createArtistItem(artist)));
     artistListDiv.appendChild(fragment);
+    // Re-renders (genre changes, filtered live updates) keep the searched artist highlighted
+    if (searchedArtistId) document.getElementById(`artist-${searchedArtistId}`)?.classList.add('highlight-searched');
     
     // Add visual enhancements *after* all elements are in the DOM
     // Small timeout ensures browser has painted elements for accurate measurements
@@ -228,28 +336,192 @@ function displayArtists(artists) {
     }, 100);
 }
 
+// --- Live Updates ---
+
+const ROW_MOVE_DURATION = 600;
+let rankingStream = null;
+
 /**
- * Enhanced fetch function with better error handling and visual feedback
+ * Applies a { entered, left, moved, updated } diff from the ranking stream: rows slide to
+ * their new positions (FLIP), leavers are removed and newcomers fade in, without a re-render.
+ * Rows that kept their rank are rebuilt from `updated` so their movement badge is current.
  */
-async function fetchArtistsRanking() {
+function applyRankingDiff(diff) {
+    // First: where every row is now
+    const before = new Map();
+    artistListDiv.querySelectorAll('.artist-item').forEach(row => before.set(row.id, row.getBoundingClientRect().top));
+
+    const changed = new Map([...diff.entered, ...diff.moved, ...diff.updated].map(artist => [artist.id, artist]));
+    const leftIds = new Set(diff.left.map(artist => artist.id));
+    const artists = currentRanking.artists
+        .filter(artist => !leftIds.has(artist.id))
+        .map(artist => changed.get(artist.id) || artist);
+    diff.entered.forEach(artist => artists.push(artist));
+    artists.sort((a, b) => a.rank - b.rank);
+
+    // Genre ranks shift with any change, so a filtered list is simply re-rendered
+    if (selectedGenre) {
+        displayArtists(artists);
+        return;
+    }
+
+    diff.left.forEach(artist => document.getElementById(`artist-${artist.id}`)?.remove());
+
+    // Rebuild changed rows in place, carrying over the search highlight
+    changed.forEach(artist => {
+        const oldRow = document.getElementById(`artist-${artist.id}`);
+        const newRow = createArtistItem(artist);
+        if (oldRow) {
+            if (artist.id === searchedArtistId) newRow.classList.add('highlight-searched');
+            oldRow.replaceWith(newRow);
+        }
+    });
+
+    // Last: put rows in rank order (appendChild moves existing nodes)
+    artists.forEach(artist => {
+        artistListDiv.appendChild(document.getElementById(`artist-${artist.id}`) || createArtistItem(artist));
+    });
+    currentRanking.artists = artists;
+    renderMyArtists();
+    renderGenreFilter(artists);
+
+    // Invert and play; `translate` leaves the highlight's `transform: scale()` alone
+    artists.forEach(artist => {
+        const row = document.getElementById(`artist-${artist.id}`);
+        const previousTop = before.get(row.id);
+        if (previousTop === undefined) {
+            row.animate([{ opacity: 0 }, { opacity: 1 }], { duration: ROW_MOVE_DURATION, easing: 'ease-out' });
+            return;
+        }
+        const offset = previousTop - row.getBoundingClientRect().top;
+        if (offset) {
+            row.animate([{ translate: `0 ${offset}px` }, { translate: '0 0' }], { duration: ROW_MOVE_DURATION, easing: 'ease-in-out' });
+        }
+    });
+}
+
+/**
+ * Follows /api/artists-ranking/stream for the selected market. Diffs made from a
+ * different ranking than the one on screen trigger a quiet full reload instead.
+ * The first error closes the stream rather than letting EventSource retry forever
+ * (serverless hosts have no stream); the ranking then updates on reload or market change.
+ */
+function connectRankingStream() {
+    if (!window.EventSource) return;
+    if (rankingStream) rankingStream.close();
+
+    rankingStream = new EventSource(`${API_BASE_URL}/api/artists-ranking/stream${marketParam('?')}`);
+    rankingStream.addEventListener('ranking', (event) => {
+        const { generatedAt } = JSON.parse(event.data);
+        if (currentRanking.generatedAt && generatedAt !== currentRanking.generatedAt) {
+            fetchArtistsRanking({ background: true });
+        }
+    });
+    rankingStream.addEventListener('diff', (event) => {
+        const diff = JSON.parse(event.data);
+        if (diff.previousGeneratedAt !== currentRanking.generatedAt) {
+            fetchArtistsRanking({ background: true });
+            return;
+        }
+        currentRanking.generatedAt = diff.generatedAt;
+        applyRankingDiff(diff);
+    });
+    rankingStream.addEventListener('error', () => {
+        rankingStream.close();
+        rankingStream = null;
+    });
+}
+
+// --- Markets ---
+
+/**
+ * Query-string fragment for the selected market ('' for the global ranking)
+ */
+function marketParam(separator = '&') {
+    return marketSelect.value ? `${separator}market=${encodeURIComponent(marketSelect.value)}` : '';
+}
+
+/**
+ * Fills the market selector from /api/markets, labelling codes with country names
+ */
+async function loadMarkets() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/markets`);
+        if (!response.ok) return;
+        const { markets } = await response.json();
+        const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+        markets.forEach(code => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = `${regionNames.of(code)} (${code})`;
+            marketSelect.appendChild(option);
+        });
+    } catch (error) {
+        // The global ranking still works without a market list
+        console.error('Error loading markets:', error);
+    }
+}
+
+/**
+ * Points the download menu at the exports for the selected market
+ */
+function updateDownloadLinks() {
+    downloadMenu.querySelectorAll('a[data-format]').forEach(link => {
+        link.href = `${API_BASE_URL}/api/artists-ranking.${link.dataset.format}${marketParam('?')}`;
+    });
+    downloadMenu.open = false;
+}
+
+// True while the list shows the service worker's saved copy instead of a live ranking
+let showingCachedRanking = false;
+// The ranking on screen; live diffs only apply on top of the generatedAt they were made from
+const currentRanking = { generatedAt: null, artists: [] };
+// Bumped per request so a slow response for another market can't overwrite the list
+let rankingRequest = 0;
+
+/**
+ * Enhanced fetch function with better error handling and visual feedback.
+ * With background, the current list stays up (no loader, no error box) until new data arrives.
+ */
+async function fetchArtistsRanking({ background = false } = {}) {
+    const request = ++rankingRequest;
     // Clear previous search results if any, when loading main ranking
-    searchResultsDisplay.innerHTML = '';
+    if (!background) searchResultsDisplay.replaceChildren();
     
-    const progressInterval = showEnhancedLoading(); // Start loading animation
+    const progressInterval = background ? null : showEnhancedLoading(); // Start loading animation
+    updateDownloadLinks();
 
     try {
-        const response = await fetch(`${API_BASE_URL}/api/artists-ranking`);
+        const response = await fetch(`${API_BASE_URL}/api/artists-ranking?explain=1${marketParam()}`);
         if (!response.ok) {
             const errorData = await response.json();
             throw new Error(errorData.error || 'Failed to fetch artist ranking.');
         }
-        const artists = await response.json();
+        // Envelope: { ranking, strategy, generatedAt, expiresAt, degraded, total, limit, offset, artists }
+        const data = await response.json();
+        if (request !== rankingRequest) return;
+        const artists = data.artists;
+
+        // The backend flags rankings built while some Spotify searches failed
+        const degraded = data.degraded && response.headers.get('X-Ranking-Degraded');
+        // The service worker answers with the last saved ranking when offline or the backend fails
+        showingCachedRanking = response.headers.get('X-Served-From') === 'sw-cache';
+
+        const notices = [];
+        if (showingCachedRanking) {
+            notices.push(`📴 Showing the saved ranking as of ${new Date(data.generatedAt).toLocaleString()}. It will refresh when the connection is back.`);
+        }
+        if (degraded) notices.push(`⚠️ This ranking may be incomplete (${degraded}).`);
+        rankingNotice.hidden = !notices.length;
+        rankingNotice.textContent = notices.join(' ');
         
         // Clear progress interval on successful data fetch
         if (progressInterval) clearInterval(progressInterval);
         
         // Add a slight delay for visual appeal before displaying artists
         setTimeout(() => {
+            if (request !== rankingRequest) return;
+            currentRanking.generatedAt = data.generatedAt;
             displayArtists(artists);
         }, 300); // Give progress bar a moment to fill
         
@@ -257,81 +529,789 @@ async function fetchArtistsRanking() {
         console.error('Error fetching artist ranking:', error);
         if (progressInterval) clearInterval(progressInterval); // Clear progress on error
         
-        if (artistListDiv) {
-            artistListDiv.innerHTML = `
-                <div class="error-message">
-                    <h3>🎵 Oops! Something went wrong</h3>
-                    <p>Failed to load artist ranking. Please try refreshing the page.</p>
-                    <button onclick="fetchArtistsRanking()" style="margin-top: 15px; padding: 10px 20px; background: var(--gradient-primary); border: none; border-radius: 25px; color: white; cursor: pointer; font-weight: bold;">
-                        Try Again
-                    </button>
-                </div>
-            `;
-            // Ensure any custom error styling is in style.css, not inline
+        if (artistListDiv && !background && request === rankingRequest) {
+            artistListDiv.replaceChildren(
+                h('div', { class: 'error-message' },
+                    h('h3', {}, '🎵 Oops! Something went wrong'),
+                    h('p', {}, 'Failed to load artist ranking. Please try refreshing the page.'),
+                    h('button', { type: 'button', class: 'retry-button', onclick: () => fetchArtistsRanking() }, 'Try Again')
+                )
+            );
         }
     } finally {
-        if (loadingMessage) loadingMessage.style.display = 'none'; // Hide loading container
+        if (progressInterval) clearInterval(progressInterval);
+        // A newer request still loading keeps the loader up
+        if (loadingMessage && request === rankingRequest) loadingMessage.hidden = true; // Hide loading container
+    }
+}
+
+// Top two candidates closer than this in match confidence get a chooser instead of a guess
+const CHOOSER_CONFIDENCE_GAP = 0.1;
+
+const MATCH_REASON_LABELS = {
+    exact: 'Exact match',
+    normalized: 'Matches ignoring case/accents',
+    punctuation: 'Matches ignoring punctuation',
+    typo: 'Close spelling',
+    prefix: 'Name starts with your search',
+    contains: 'Name contains your search',
+    search: 'Spotify suggestion'
+};
+
+/**
+ * Shares the artist's rank card (PNG, which social sites preview): the native share
+ * sheet where available, otherwise the card URL is copied to the clipboard (or opened
+ * as a last resort)
+ */
+async function shareArtist(artist, button) {
+    const url = new URL(`${API_BASE_URL}/api/share/${encodeURIComponent(artist.id)}.png${marketParam('?')}`, window.location.href).href;
+    const text = artist.rankInTop100 > 0
+        ? `${artist.name} is #${artist.rankInTop100} on the Spotify Artists Popularity Ranking`
+        : `${artist.name} on the Spotify Artists Popularity Ranking`;
+
+    try {
+        if (navigator.share) {
+            await navigator.share({ title: artist.name, text, url });
+        } else if (navigator.clipboard) {
+            await navigator.clipboard.writeText(url);
+            button.textContent = '✅ Link copied';
+            setTimeout(() => { button.textContent = '🔗 Share'; }, 2000);
+        } else {
+            window.open(url, '_blank', 'noopener');
+        }
+    } catch (error) {
+        // Dismissing the share sheet rejects with AbortError; nothing to report
+        if (error.name !== 'AbortError') console.error('Error sharing artist:', error);
     }
 }
 
+// The ranked artist shown in the search result card, highlighted in the main list
+let searchedArtistId = null;
+
+/**
+ * Removes the search highlight from the main list
+ */
+function clearSearchHighlight() {
+    searchedArtistId = null;
+    document.querySelectorAll('.highlight-searched').forEach(el => el.classList.remove('highlight-searched'));
+}
+
+/**
+ * Renders the chosen search result card and highlights the artist in the main list
+ */
+function showSearchResult(artist) {
+    clearSearchHighlight();
+
+    let rankText;
+    if (artist.rankInTop100 > 0) {
+        rankText = h('span', { class: 'rank-badge' }, `Rank #${artist.rankInTop100}`);
+
+        // Highlight the artist in the main list if found
+        searchedArtistId = artist.id;
+        const existingArtistElement = document.getElementById(`artist-${artist.id}`);
+        if (existingArtistElement) {
+            existingArtistElement.classList.add('highlight-searched');
+            existingArtistElement.scrollIntoView({ behavior: 'smooth', block: 'center' }); // Scroll to it
+        }
+
+    } else {
+        rankText = h('span', { class: 'not-ranked' }, 'Not in Top 100');
+    }
+
+    const shareButton = h('button', {
+        type: 'button',
+        class: 'share-button',
+        title: `Share a rank card for ${artist.name}`,
+        onclick: () => shareArtist(artist, shareButton)
+    }, '🔗 Share');
+
+    // Use existing styling + new class
+    searchResultsDisplay.replaceChildren(
+        h('div', { class: 'artist-item searched-artist' },
+            h('img', { src: safeUrl(artist.imageUrl), alt: artist.name, class: 'artist-image' }),
+            h('div', { class: 'artist-info' }, h('h3', { class: 'artist-name' }, artist.name), rankText),
+            shareButton,
+            createCompareToggle(artist)
+        )
+    );
+}
+
+/**
+ * Lets the user pick between similarly good search candidates
+ */
+function showCandidateChooser(candidates) {
+    const options = candidates.map(candidate => h('button', {
+        type: 'button',
+        class: 'candidate-option',
+        onclick: () => showSearchResult(candidate)
+    },
+        h('img', { src: safeUrl(candidate.imageUrl), alt: candidate.name, class: 'candidate-image' }),
+        h('span', { class: 'candidate-name' }, candidate.name),
+        h('span', { class: 'candidate-meta' },
+            `${candidate.rankInTop100 > 0 ? `#${candidate.rankInTop100}` : 'Not ranked'} · ${MATCH_REASON_LABELS[candidate.reason] || candidate.reason}`)
+    ));
+
+    searchResultsDisplay.replaceChildren(
+        messageElement('Several artists match — which one did you mean?'),
+        h('div', { class: 'candidate-chooser' }, options)
+    );
+}
+
 /**
  * Enhanced search function with visual feedback and re-integrated core logic
  */
 async function searchArtist() {
+    closeSuggestions();
     const query = artistSearchInput.value.trim();
     if (!query) {
-        searchResultsDisplay.innerHTML = '<p class="message">Please enter an artist name to search.</p>';
-        document.querySelectorAll('.highlight-searched').forEach(el => el.classList.remove('highlight-searched'));
+        searchResultsDisplay.replaceChildren(messageElement('Please enter an artist name to search.'));
+        clearSearchHighlight();
         return;
     }
 
-    searchResultsDisplay.innerHTML = '<p class="message">Searching...</p>';
-    document.querySelectorAll('.highlight-searched').forEach(el => el.classList.remove('highlight-searched')); // Remove existing highlights
+    searchResultsDisplay.replaceChildren(messageElement('Searching...'));
+    clearSearchHighlight();
 
     try {
-        const response = await fetch(`${API_BASE_URL}/api/search-artist?name=${encodeURIComponent(query)}`);
+        const response = await fetch(`${API_BASE_URL}/api/search-artist?name=${encodeURIComponent(query)}&all=1${marketParam()}`);
         const data = await response.json();
 
-        searchResultsDisplay.innerHTML = ''; // Clear previous messages
+        searchResultsDisplay.replaceChildren(); // Clear previous messages
 
         if (response.ok) {
-            const artist = data;
-            const artistCard = document.createElement('div');
-            artistCard.className = 'artist-item searched-artist'; // Use existing styling + new class
+            // Candidates arrive best match first
+            const [best, runnerUp] = data.candidates;
+            if (runnerUp && best.confidence - runnerUp.confidence < CHOOSER_CONFIDENCE_GAP) {
+                showCandidateChooser(data.candidates.filter(c => best.confidence - c.confidence < CHOOSER_CONFIDENCE_GAP));
+            } else {
+                showSearchResult(best);
+            }
+        } else {
+            searchResultsDisplay.replaceChildren(messageElement(`Error: ${data.error || data.message || 'Artist not found.'}`, { error: true }));
+        }
+    } catch (error) {
+        console.error('Error searching for artist:', error);
+        searchResultsDisplay.replaceChildren(messageElement('An error occurred during search. Please try again.', { error: true }));
+    }
+}
 
-            let rankText = '';
-            if (artist.rankInTop100 > 0) {
-                rankText = `<span class="rank-badge">Rank #${artist.rankInTop100}</span>`;
+// --- Artist Comparison ---
+// Up to four artists picked from the list or search go into a drawer that compares
+// their rank, score and search-query presence via /api/compare.
 
-                // Highlight the artist in the main list if found
-                const existingArtistElement = document.getElementById(`artist-${artist.id}`);
-                if (existingArtistElement) {
-                    existingArtistElement.classList.add('highlight-searched');
-                    existingArtistElement.scrollIntoView({ behavior: 'smooth', block: 'center' }); // Scroll to it
-                }
+const MAX_COMPARED_ARTISTS = 4;
+// { id, name, imageUrl } in the order they were picked
+let comparedArtists = [];
+// Bumped per request so a slow response can't overwrite a newer selection
+let comparisonRequest = 0;
 
-            } else {
-                rankText = '<span class="not-ranked">Not in Top 100</span>';
-            }
+const isCompared = id => comparedArtists.some(artist => artist.id === id);
 
-            artistCard.innerHTML = `
-                <img src="${artist.imageUrl}" alt="${artist.name}" class="artist-image">
-                <div class="artist-info">
-                    <h3 class="artist-name">${artist.name}</h3>
-                    ${rankText}
-                </div>
-            `;
-            searchResultsDisplay.appendChild(artistCard);
+/**
+ * The ⚖️ toggle on list rows and the search result card
+ */
+function createCompareToggle(artist) {
+    const button = h('button', {
+        type: 'button',
+        class: 'compare-toggle',
+        'data-artist-id': artist.id,
+        // Rows open the detail panel on click and Enter/Space; the toggle must not
+        onclick: (event) => {
+            event.stopPropagation();
+            toggleCompare(artist);
+        },
+        onkeydown: (event) => event.stopPropagation()
+    });
+    updateCompareToggle(button);
+    return button;
+}
 
-        } else {
-            searchResultsDisplay.innerHTML = `<p class="message error-message">Error: ${data.message || 'Artist not found.'}</p>`;
+function updateCompareToggle(button) {
+    const selected = isCompared(button.dataset.artistId);
+    button.setAttribute('aria-pressed', String(selected));
+    button.disabled = !selected && comparedArtists.length >= MAX_COMPARED_ARTISTS;
+    button.textContent = selected ? '⚖️ Comparing' : '⚖️ Compare';
+    button.title = button.disabled ? `You can compare up to ${MAX_COMPARED_ARTISTS} artists` : '';
+}
+
+/**
+ * Adds the artist to the comparison, or takes them out again
+ */
+function toggleCompare(artist) {
+    if (isCompared(artist.id)) {
+        comparedArtists = comparedArtists.filter(a => a.id !== artist.id);
+    } else if (comparedArtists.length < MAX_COMPARED_ARTISTS) {
+        comparedArtists.push({ id: artist.id, name: artist.name, imageUrl: artist.imageUrl });
+    }
+    document.querySelectorAll('.compare-toggle').forEach(updateCompareToggle);
+    renderCompareDrawer();
+}
+
+/**
+ * Chips for the picked artists; the comparison itself loads once two are picked
+ */
+function renderCompareDrawer() {
+    compareDrawer.hidden = comparedArtists.length === 0;
+    document.body.classList.toggle('compare-open', !compareDrawer.hidden);
+
+    compareChips.replaceChildren(...comparedArtists.map(artist => h('span', { class: 'compare-chip' },
+        h('img', { src: safeUrl(artist.imageUrl), alt: '', class: 'compare-chip-image' }),
+        artist.name,
+        h('button', {
+            type: 'button',
+            class: 'compare-chip-remove',
+            'aria-label': `Remove ${artist.name} from the comparison`,
+            onclick: () => toggleCompare(artist)
+        }, '×')
+    )));
+
+    if (comparedArtists.length < 2) {
+        comparisonRequest++;
+        compareContent.replaceChildren(messageElement('Pick at least one more artist to compare.'));
+        return;
+    }
+    fetchComparison();
+}
+
+async function fetchComparison() {
+    const request = ++comparisonRequest;
+    const ids = comparedArtists.map(artist => artist.id).join(',');
+    compareContent.replaceChildren(h('p', { class: 'message' }, 'Comparing... ', h('span', { class: 'spinner' })));
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/compare?ids=${encodeURIComponent(ids)}${marketParam()}`);
+        const data = await response.json();
+        if (request !== comparisonRequest) return;
+
+        if (!response.ok) {
+            compareContent.replaceChildren(messageElement(data.message || data.error || 'Could not compare these artists.', { error: true }));
+            return;
         }
+        renderComparison(data);
     } catch (error) {
-        console.error('Error searching for artist:', error);
-        searchResultsDisplay.innerHTML = '<p class="message error-message">An error occurred during search. Please try again.</p>';
+        console.error('Error comparing artists:', error);
+        if (request === comparisonRequest) {
+            compareContent.replaceChildren(messageElement('Could not compare these artists. Please try again.', { error: true }));
+        }
     }
 }
 
+/**
+ * One column per artist: rank, score, history, then a query-by-query presence grid
+ */
+function renderComparison(data) {
+    const { artists, queries, sharedQueries } = data;
+    const bestRank = artist => {
+        const ranks = artist.history.map(entry => entry.rank).filter(rank => rank !== null);
+        return ranks.length ? `#${Math.min(...ranks)}` : '—';
+    };
+    const row = (label, cell, className) => h('tr', { class: className },
+        h('th', { scope: 'row' }, label),
+        artists.map(artist => h('td', {}, cell(artist)))
+    );
+
+    const summary = h('table', { class: 'compare-table' },
+        h('thead', {}, h('tr', {},
+            h('td', {}),
+            artists.map(artist => h('th', { scope: 'col' },
+                h('img', { src: safeUrl(artist.imageUrl), alt: '', class: 'compare-image' }),
+                h('span', { class: 'compare-name' }, artist.name)
+            ))
+        )),
+        h('tbody', {},
+            row('Rank', artist => artist.rank > 0 ? `#${artist.rank}` : 'Not in Top 100'),
+            row('Score', artist => String(Number(artist.score.toFixed(3)))),
+            row('Queries', artist => `${artist.queries.length} of ${queries.length}`),
+            row('Best stored rank', bestRank)
+        )
+    );
+
+    const presence = h('table', { class: 'compare-table compare-presence' },
+        h('caption', {}, sharedQueries.length
+            ? `Shared queries: ${sharedQueries.map(query => `"${query}"`).join(', ')}`
+            : 'No query surfaces all of these artists'),
+        h('tbody', {}, queries.map(query => row(`"${query}"`, artist => {
+            const appearance = artist.appearances.find(a => a.query === query);
+            return appearance ? `#${appearance.position}` : '–';
+        }, sharedQueries.includes(query) ? 'shared-query' : null)))
+    );
+
+    compareContent.replaceChildren(summary, presence);
+}
+
+// --- Watchlist ---
+// Starring a row puts the artist on the shared watchlist (/api/watchlist) whose rank
+// changes go out as webhooks. Starred artists are pinned in the "My artists" strip.
+
+// Watched artists by id: { id, name, imageUrl, moveThreshold, addedAt }
+const watchlist = new Map();
+// Changes need the site's WATCHLIST_TOKEN, asked for on the first refusal and kept here
+const WATCHLIST_TOKEN_KEY = 'watchlistToken';
+
+/**
+ * The ☆ toggle on list rows
+ */
+function createStarToggle(artist) {
+    const button = h('button', {
+        type: 'button',
+        class: 'star-toggle',
+        'data-artist-id': artist.id,
+        'data-artist-name': artist.name,
+        // Like the compare toggle, clicks and keys must not open the detail panel
+        onclick: (event) => {
+            event.stopPropagation();
+            toggleStar(artist, button);
+        },
+        onkeydown: (event) => event.stopPropagation()
+    });
+    updateStarToggle(button);
+    return button;
+}
+
+function updateStarToggle(button) {
+    const starred = watchlist.has(button.dataset.artistId);
+    button.setAttribute('aria-pressed', String(starred));
+    button.setAttribute('aria-label', `${starred ? 'Unstar' : 'Star'} ${button.dataset.artistName}`);
+    button.textContent = starred ? '★' : '☆';
+}
+
+function refreshWatchlistViews() {
+    document.querySelectorAll('.star-toggle').forEach(updateStarToggle);
+    renderMyArtists();
+}
+
+/**
+ * Sends a watchlist change with the saved token; on a 401 asks for the token and tries once more
+ */
+async function sendWatchlistChange(url, options) {
+    const send = () => {
+        const token = localStorage.getItem(WATCHLIST_TOKEN_KEY);
+        const headers = { ...options.headers, ...(token && { Authorization: `Bearer ${token}` }) };
+        return fetch(url, { ...options, headers });
+    };
+
+    const response = await send();
+    if (response.status !== 401) return response;
+    const token = window.prompt('Changing My artists needs the watchlist token:')?.trim();
+    if (!token) return response;
+    localStorage.setItem(WATCHLIST_TOKEN_KEY, token);
+    return send();
+}
+
+/**
+ * Adds the artist to the watchlist, or takes them off again
+ */
+async function toggleStar(artist, button) {
+    const starred = watchlist.has(artist.id);
+    button.disabled = true;
+    try {
+        const response = starred
+            ? await sendWatchlistChange(`${API_BASE_URL}/api/watchlist/${encodeURIComponent(artist.id)}`, { method: 'DELETE' })
+            : await sendWatchlistChange(`${API_BASE_URL}/api/watchlist`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ id: artist.id })
+            });
+        // A 404 on removal means someone else already took them off
+        if (!response.ok && !(starred && response.status === 404)) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || data.message || `HTTP ${response.status}`);
+        }
+
+        if (starred) watchlist.delete(artist.id);
+        else watchlist.set(artist.id, await response.json());
+        button.title = '';
+    } catch (error) {
+        console.error('Error updating the watchlist:', error);
+        button.title = `Could not update My artists: ${error.message}`;
+    } finally {
+        button.disabled = false;
+    }
+    refreshWatchlistViews();
+}
+
+async function loadWatchlist() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/watchlist`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        watchlist.clear();
+        data.artists.forEach(artist => watchlist.set(artist.id, artist));
+    } catch (error) {
+        console.error('Error loading the watchlist:', error);
+    }
+    refreshWatchlistViews();
+}
+
+/**
+ * Starred artists with their rank in the list on screen, ranked ones first
+ */
+function renderMyArtists() {
+    myArtists.hidden = watchlist.size === 0;
+    const ranked = new Map(currentRanking.artists.map(artist => [artist.id, artist]));
+    const entries = [...watchlist.values()].sort((a, b) =>
+        (ranked.get(a.id)?.rank ?? Infinity) - (ranked.get(b.id)?.rank ?? Infinity));
+
+    myArtistsList.replaceChildren(...entries.map(entry => {
+        const artist = ranked.get(entry.id);
+        let rankText = '';
+        if (artist) rankText = `#${artist.rank}`;
+        else if (currentRanking.artists.length) rankText = 'Not in the Top 100';
+
+        return h('a', { class: 'my-artist', href: `#artist/${entry.id}`, 'data-artist-id': entry.id },
+            h('img', { src: safeUrl(entry.imageUrl), alt: '', class: 'my-artist-image' }),
+            h('span', { class: 'my-artist-name' }, entry.name),
+            h('span', { class: 'my-artist-rank' }, rankText),
+            artist ? renderRankMovement(artist, artist.rank) : null
+        );
+    }));
+}
+
+// --- Genre Filter ---
+// Chips for the most common genres in the loaded ranking. Filtering happens on the
+// page, with ranks re-numbered inside the genre like /api/artists-ranking?genre=.
+
+const MAX_GENRE_CHIPS = 12;
+let selectedGenre = null;
+
+/**
+ * Folds case and accents exactly like normalizeName in lib/list-query.js, so a chip
+ * shows the same artists as /api/artists-ranking?genre=
+ */
+function normalizeName(value) {
+    return value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+const hasGenre = (artist, genre) => (artist.genres || []).some(g => normalizeName(g) === normalizeName(genre));
+
+/**
+ * Counts artists per genre, most common first (ties alphabetical). Like countGenres in
+ * lib/list-query.js, each artist counts once per normalized genre, named by its first spelling.
+ */
+function countGenres(artists) {
+    const counts = new Map();
+    artists.forEach(artist => {
+        const genres = new Map();
+        (artist.genres || []).forEach(genre => {
+            if (!genres.has(normalizeName(genre))) genres.set(normalizeName(genre), genre);
+        });
+        genres.forEach((genre, key) => {
+            if (!counts.has(key)) counts.set(key, [genre, 0]);
+            counts.get(key)[1]++;
+        });
+    });
+    return [...counts.values()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
+/**
+ * The selected genre's artists with genre ranks, or the whole ranking
+ */
+function filterByGenre(artists) {
+    if (!selectedGenre) return artists;
+    return artists
+        .filter(artist => hasGenre(artist, selectedGenre))
+        .map((artist, index) => ({ ...artist, rank: index + 1, overallRank: artist.rank }));
+}
+
+/**
+ * Draws the "All" chip plus one per common genre. A selected genre that is no longer
+ * in the ranking (e.g. after switching market) falls back to "All".
+ */
+function renderGenreFilter(artists) {
+    const genres = countGenres(artists);
+    if (selectedGenre && !genres.some(([genre]) => genre === selectedGenre)) selectedGenre = null;
+
+    const shown = genres.slice(0, MAX_GENRE_CHIPS);
+    // Keep the selected genre visible even when it isn't among the most common
+    if (selectedGenre && !shown.some(([genre]) => genre === selectedGenre)) {
+        shown.push(genres.find(([genre]) => genre === selectedGenre));
+    }
+
+    const chip = (genre, label, count) => h('button', {
+        type: 'button',
+        class: 'genre-filter-chip',
+        'aria-pressed': String(genre === selectedGenre),
+        onclick: () => selectGenre(genre)
+    }, label, count === undefined ? null : h('span', { class: 'genre-filter-count' }, String(count)));
+
+    genreFilter.hidden = !genres.length;
+    genreFilter.replaceChildren(
+        chip(null, 'All'),
+        ...shown.map(([genre, count]) => chip(genre, genre, count))
+    );
+}
+
+/**
+ * Shows one genre (null for all) by re-rendering the loaded ranking, without refetching
+ */
+function selectGenre(genre) {
+    selectedGenre = genre;
+    displayArtists(currentRanking.artists);
+}
+
+// --- Search Suggestions ---
+// artistSearchInput is an ARIA combobox; #artist-suggestions is its listbox. Focus stays
+// in the input and aria-activedescendant points at the highlighted option.
+
+const SUGGEST_DELAY = 250;
+const MIN_SUGGEST_LENGTH = 2;
+let suggestTimer = null;
+let suggestController = null;
+let suggestions = [];
+let activeSuggestion = -1;
+
+/**
+ * Closes the dropdown and forgets pending requests
+ */
+function closeSuggestions() {
+    clearTimeout(suggestTimer);
+    if (suggestController) suggestController.abort();
+    suggestions = [];
+    activeSuggestion = -1;
+    artistSuggestions.hidden = true;
+    artistSuggestions.replaceChildren();
+    artistSearchInput.setAttribute('aria-expanded', 'false');
+    artistSearchInput.removeAttribute('aria-activedescendant');
+}
+
+/**
+ * Highlights option `index` (-1 for none) for keyboard selection
+ */
+function setActiveSuggestion(index) {
+    activeSuggestion = index;
+    artistSuggestions.querySelectorAll('[role="option"]').forEach((option, i) => {
+        option.setAttribute('aria-selected', String(i === index));
+        if (i === index) option.scrollIntoView({ block: 'nearest' });
+    });
+    if (index >= 0) artistSearchInput.setAttribute('aria-activedescendant', `artist-suggestion-${index}`);
+    else artistSearchInput.removeAttribute('aria-activedescendant');
+}
+
+/**
+ * Picks a suggestion: same result card, highlight and scroll as a full search
+ */
+function chooseSuggestion(index) {
+    const artist = suggestions[index];
+    if (!artist) return;
+    closeSuggestions();
+    artistSearchInput.value = artist.name;
+    showSearchResult(artist);
+}
+
+/**
+ * Fills the listbox with thumbnails, names and a #rank chip for ranked artists
+ */
+function renderSuggestions() {
+    artistSuggestions.replaceChildren(...suggestions.map((artist, index) => h('li', {
+        id: `artist-suggestion-${index}`,
+        class: 'artist-suggestion',
+        role: 'option',
+        'aria-selected': 'false',
+        // mousedown, not click: the input must keep focus so the list isn't closed by blur first
+        onmousedown: (event) => {
+            event.preventDefault();
+            chooseSuggestion(index);
+        }
+    },
+        h('img', { src: safeUrl(artist.imageUrl), alt: '', class: 'suggestion-image' }),
+        h('span', { class: 'suggestion-name' }, artist.name),
+        artist.rankInTop100 > 0 ? h('span', { class: 'suggestion-rank' }, `#${artist.rankInTop100}`) : null
+    )));
+
+    const open = suggestions.length > 0;
+    artistSuggestions.hidden = !open;
+    artistSearchInput.setAttribute('aria-expanded', String(open));
+    setActiveSuggestion(-1);
+}
+
+/**
+ * Fetches suggestions for the current input; responses to older input are dropped
+ */
+async function fetchSuggestions(query) {
+    if (suggestController) suggestController.abort();
+    suggestController = new AbortController();
+
+    try {
+        const response = await fetch(
+            `${API_BASE_URL}/api/search-artist/suggest?q=${encodeURIComponent(query)}${marketParam()}`,
+            { signal: suggestController.signal }
+        );
+        if (!response.ok) return;
+        const data = await response.json();
+        if (artistSearchInput.value.trim() !== query) return;
+        suggestions = data.suggestions;
+        renderSuggestions();
+    } catch (error) {
+        // Aborted by newer input, or the network failed; the full search still works
+        if (error.name !== 'AbortError') console.error('Error loading suggestions:', error);
+    }
+}
+
+/**
+ * Debounces typing into one suggest request per pause
+ */
+function scheduleSuggestions() {
+    clearTimeout(suggestTimer);
+    const query = artistSearchInput.value.trim();
+    if (query.length < MIN_SUGGEST_LENGTH) {
+        closeSuggestions();
+        return;
+    }
+    suggestTimer = setTimeout(() => fetchSuggestions(query), SUGGEST_DELAY);
+}
+
+/**
+ * Arrow keys move through the open list, Enter picks, Escape closes.
+ * Returns true when the key was handled here.
+ */
+function handleSuggestionKey(event) {
+    if (artistSuggestions.hidden) return false;
+
+    switch (event.key) {
+        case 'ArrowDown':
+            setActiveSuggestion((activeSuggestion + 1) % suggestions.length);
+            break;
+        case 'ArrowUp':
+            setActiveSuggestion(activeSuggestion <= 0 ? suggestions.length - 1 : activeSuggestion - 1);
+            break;
+        case 'Enter':
+            if (activeSuggestion < 0) return false;
+            chooseSuggestion(activeSuggestion);
+            break;
+        case 'Escape':
+            closeSuggestions();
+            break;
+        default:
+            return false;
+    }
+    event.preventDefault();
+    return true;
+}
+
+// --- Artist Detail Panel ---
+
+const ARTIST_HASH_PATTERN = /^#artist\/([A-Za-z0-9]+)$/;
+
+/**
+ * Renders the detail panel body from a /api/artists/:id response
+ */
+function renderArtistDetail(artist) {
+    const image = artist.images[0];
+    const maxPoints = Math.max(...artist.appearances.map(a => a.points), 1);
+    const externalLink = (url, ...children) => h('a', { href: safeUrl(url), target: '_blank', rel: 'noopener' }, ...children);
+
+    const appearances = artist.appearances.length
+        ? artist.appearances.map(a => h('li', { class: 'appearance' },
+            h('span', { class: 'appearance-query' }, `"${a.query}"`),
+            h('span', { class: 'appearance-bar' }, h('span', { style: { width: `${(a.points / maxPoints) * 100}%` } })),
+            h('span', { class: 'appearance-meta' }, `#${a.position} · ${Number(a.points.toFixed(3))} pts`)
+        ))
+        : [h('li', { class: 'appearance-empty' }, 'Not surfaced by any ranking query right now.')];
+
+    const topTracks = artist.topTracks === null
+        ? h('p', { class: 'detail-unavailable' }, 'Top tracks are not available from Spotify.')
+        : h('ol', { class: 'detail-list' }, artist.topTracks.map(t => h('li', {},
+            externalLink(t.spotifyUrl, t.name),
+            t.albumName ? [' ', h('span', { class: 'detail-muted' }, `— ${t.albumName}`)] : null
+        )));
+
+    const releases = artist.latestReleases === null
+        ? h('p', { class: 'detail-unavailable' }, 'Releases are not available from Spotify.')
+        : h('ul', { class: 'detail-list' }, artist.latestReleases.map(r => h('li', {},
+            externalLink(r.spotifyUrl, r.name),
+            ' ',
+            h('span', { class: 'detail-muted' }, `${r.type} · ${r.releaseDate || 'unknown date'}`)
+        )));
+
+    artistDetailContent.replaceChildren(
+        h('div', { class: 'detail-header' },
+            image ? h('img', { src: safeUrl(image.url), alt: artist.name, class: 'artist-image' }) : null,
+            h('div', {},
+                h('h2', { id: 'artist-detail-name' }, artist.name),
+                artist.rank > 0
+                    ? h('span', { class: 'rank-badge' }, `Rank #${artist.rank}`)
+                    : h('span', { class: 'not-ranked' }, 'Not in Top 100'),
+                artist.spotifyUrl
+                    ? h('a', { class: 'detail-spotify-link', href: safeUrl(artist.spotifyUrl), target: '_blank', rel: 'noopener' }, 'Open in Spotify')
+                    : null
+            )
+        ),
+        artist.genres.length
+            ? h('div', { class: 'detail-genres' }, artist.genres.map(g => h('span', { class: 'genre-chip' }, g)))
+            : '',
+        h('h3', {}, 'Score breakdown ', h('span', { class: 'detail-muted' }, `(${artist.strategy}, total ${Number(artist.score.toFixed(3))})`)),
+        h('ul', { class: 'appearance-list' }, appearances),
+        h('h3', {}, 'Top tracks'),
+        topTracks,
+        h('h3', {}, 'Latest releases'),
+        releases
+    );
+}
+
+/**
+ * Opens the detail panel and loads the artist's data
+ */
+async function showArtistDetail(artistId) {
+    artistDetail.hidden = false;
+    document.body.classList.add('detail-open');
+    artistDetailContent.replaceChildren(h('p', { class: 'message' }, 'Loading artist... ', h('span', { class: 'spinner' })));
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/artists/${encodeURIComponent(artistId)}${marketParam('?')}`);
+        const data = await response.json();
+        // Ignore the response if the user already moved on to another artist
+        if (window.location.hash !== `#artist/${artistId}`) return;
+
+        if (!response.ok) {
+            artistDetailContent.replaceChildren(messageElement(data.message || data.error || 'Could not load this artist.', { error: true }));
+            return;
+        }
+        renderArtistDetail(data);
+        artistDetailClose.focus();
+    } catch (error) {
+        console.error('Error loading artist details:', error);
+        artistDetailContent.replaceChildren(messageElement('Could not load this artist. Please try again.', { error: true }));
+    }
+}
+
+function hideArtistDetail() {
+    artistDetail.hidden = true;
+    document.body.classList.remove('detail-open');
+}
+
+/**
+ * Closes the panel and drops the #artist/... hash without adding a history entry
+ */
+function closeArtistDetail() {
+    if (ARTIST_HASH_PATTERN.test(window.location.hash)) {
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+    hideArtistDetail();
+}
+
+function handleArtistHash() {
+    const match = window.location.hash.match(ARTIST_HASH_PATTERN);
+    if (match) showArtistDetail(match[1]);
+    else hideArtistDetail();
+}
+
+window.addEventListener('hashchange', handleArtistHash);
+// The tooltip is fixed-positioned, so drop it rather than leave it floating on scroll
+window.addEventListener('scroll', hideRankTooltip, { passive: true });
+artistDetailClose.addEventListener('click', closeArtistDetail);
+compareClear.addEventListener('click', () => {
+    comparedArtists = [];
+    document.querySelectorAll('.compare-toggle').forEach(updateCompareToggle);
+    renderCompareDrawer();
+});
+// Clicking the backdrop (outside the panel) closes it too
+artistDetail.addEventListener('click', (event) => {
+    if (event.target === artistDetail) closeArtistDetail();
+});
+document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && !artistDetail.hidden) closeArtistDetail();
+});
+
 // --- Event Listeners & Initial Load ---
 
 // Attach ripple effect to the search button
@@ -340,8 +1320,9 @@ searchButton.addEventListener('click', (event) => {
     searchArtist(); // Then perform search
 });
 
-// Event listener for Enter key on search input
-artistSearchInput.addEventListener('keypress', function(event) {
+// Keyboard on the search input: suggestion navigation first, otherwise Enter searches
+artistSearchInput.addEventListener('keydown', function(event) {
+    if (handleSuggestionKey(event)) return;
     if (event.key === 'Enter') {
         searchArtist();
         // Optional: Trigger ripple on Enter key as well
@@ -349,10 +1330,37 @@ artistSearchInput.addEventListener('keypress', function(event) {
     }
 });
 
-// Optional: Clear search results when user starts typing again
+// Typing clears the last result and asks for suggestions
 artistSearchInput.addEventListener('input', function() {
-    searchResultsDisplay.innerHTML = '';
+    searchResultsDisplay.replaceChildren();
+    scheduleSuggestions();
+});
+artistSearchInput.addEventListener('blur', closeSuggestions);
+
+// Switching market reloads the list for that market
+marketSelect.addEventListener('change', () => {
+    fetchArtistsRanking();
+    connectRankingStream();
+    if (comparedArtists.length > 1) fetchComparison();
 });
 
+// Back online: quietly replace a saved ranking with a live one
+window.addEventListener('online', () => {
+    if (showingCachedRanking) fetchArtistsRanking({ background: true });
+});
+
+// Installable PWA: the service worker keeps the shell and last ranking for offline use
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
+}
+
 // !!! IMPORTANT: Call this function to load the initial Top 100 list
-fetchArtistsRanking();
\ No newline at end of file
+loadMarkets();
+loadWatchlist();
+fetchArtistsRanking();
+// Then keep it current as the server recomputes
+connectRankingStream();
+// Open the detail panel straight away for deep links like #artist/<id>
+handleArtistHash();
\ No newline at end of file
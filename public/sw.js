@@ -0,0 +1,96 @@
+// Service worker: keeps the app shell and the last ranking response available offline.
+//   - Shell files are precached and served cache-first, refreshed in the background.
+//   - /api/artists-ranking goes to the network first; every good response is kept, and
+//     when the network or the backend fails the kept copy is served instead, marked with
+//     an X-Served-From: sw-cache header so the page can say how old it is.
+const SHELL_CACHE = 'artist-ranking-shell-v1';
+const RANKING_CACHE = 'artist-ranking-data-v1';
+
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/style.css',
+    '/script.js',
+    '/manifest.webmanifest',
+    '/icon.svg',
+    '/placeholder-artist.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches left behind by older versions of this worker
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== SHELL_CACHE && key !== RANKING_CACHE).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Network first; on failure (offline or a 5xx) falls back to the last good ranking
+ */
+async function rankingNetworkFirst(request) {
+    const cache = await caches.open(RANKING_CACHE);
+    let response;
+    try {
+        response = await fetch(request);
+        if (response.status < 500) {
+            if (response.ok) await cache.put(request, response.clone());
+            return response;
+        }
+    } catch (error) {
+        // Offline: fall through to the cached copy
+    }
+
+    // Nothing kept yet: pass the 5xx on as it is (retrying would hit the backend twice)
+    const cached = await cache.match(request);
+    if (!cached) return response ?? Response.error();
+
+    const headers = new Headers(cached.headers);
+    headers.set('X-Served-From', 'sw-cache');
+    return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers });
+}
+
+/**
+ * Cache first for the shell, updating the cached copy in the background
+ */
+async function shellCacheFirst(event) {
+    const cache = await caches.open(SHELL_CACHE);
+    // Deep links only differ in the #hash, which never reaches the worker
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+
+    const refresh = fetch(event.request)
+        .then(response => {
+            if (response.ok) cache.put(event.request, response.clone());
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (url.pathname === '/api/artists-ranking') {
+        event.respondWith(rankingNetworkFirst(request));
+    } else if (SHELL_FILES.includes(url.pathname)) {
+        event.respondWith(shellCacheFirst(event));
+    }
+});
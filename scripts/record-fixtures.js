@@ -0,0 +1,69 @@
+// scripts/record-fixtures.js
+//
+// Rebuilds fixtures/spotify.json (npm run record:fixtures). Runs the app with
+// SPOTIFY_FIXTURES=record against the test stand-in (test/helpers/spotify-stand-in.js) and
+// requests only the routes the tests and the offline demo replay, so the recording is
+// reproducible and holds nothing else.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { startSpotifyStandIn } from '../test/helpers/spotify-stand-in.js';
+import { serveExpressApp } from '../test/helpers/http.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const FIXTURE_FILE = path.join(ROOT, 'fixtures/spotify.json');
+// The stand-in serves photos itself; the committed recording points them at Spotify's image host
+const IMAGE_HOST = 'https://i.scdn.co';
+
+// test/spotify-fixtures.test.js replays every ranking in every market, "future" and the
+// "dr" suggestions per market; test/cli.test.js the default ranking. The demo is the page
+// with "drake" typed, searched for and opened.
+function routesToRecord() {
+    const { markets, rankings } = JSON.parse(fs.readFileSync(path.join(ROOT, 'rankings.config.json'), 'utf8'));
+    const routes = [];
+    for (const market of ['global', ...markets]) {
+        for (const ranking of Object.keys(rankings)) routes.push(`/api/rankings/${ranking}?market=${market}`);
+        routes.push(`/api/search-artist?name=future&market=${market}`, `/api/search-artist/suggest?q=dr&market=${market}`);
+    }
+    for (const prefix of ['dra', 'drak', 'drake']) routes.push(`/api/search-artist/suggest?q=${prefix}`);
+    routes.push('/api/search-artist?name=drake&all=1', '/api/artists/drake01');
+    return routes;
+}
+
+const standIn = await startSpotifyStandIn();
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'record-fixtures-'));
+const recordFile = path.join(workDir, 'spotify.json');
+Object.assign(process.env, {
+    // Served below rather than listening on PORT
+    VERCEL: '1',
+    SPOTIFY_FIXTURES: 'record',
+    // A fresh file, so responses no route asks for any more drop out
+    SPOTIFY_FIXTURES_FILE: recordFile,
+    SPOTIFY_CLIENT_ID: 'stand-in-client-id',
+    SPOTIFY_CLIENT_SECRET: 'stand-in-client-secret',
+    SPOTIFY_ACCOUNTS_BASE_URL: standIn.accountsBaseUrl,
+    SPOTIFY_API_BASE_URL: standIn.apiBaseUrl,
+    CACHE_BACKEND: 'memory',
+    SNAPSHOT_DIR: workDir,
+    LOG_LEVEL: process.env.LOG_LEVEL || 'error'
+});
+
+const { default: app, fixtureServer } = await import('../api/artists-ranking.js');
+const server = await serveExpressApp(app);
+try {
+    for (const route of routesToRecord()) {
+        const res = await fetch(`${server.baseUrl}${route}`);
+        if (!res.ok) throw new Error(`${route} answered ${res.status}: ${await res.text()}`);
+    }
+} finally {
+    await server.close();
+    // Waits for the last recorded response to be written
+    await fixtureServer.close();
+    await standIn.close();
+}
+
+const recording = fs.readFileSync(recordFile, 'utf8').replaceAll(standIn.accountsBaseUrl, IMAGE_HOST);
+fs.writeFileSync(FIXTURE_FILE, recording);
+fs.rmSync(workDir, { recursive: true, force: true });
+console.log(`Recorded ${Object.keys(JSON.parse(recording)).length} Spotify responses to ${path.relative(process.cwd(), FIXTURE_FILE)}`);
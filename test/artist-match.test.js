@@ -0,0 +1,93 @@
+// test/artist-match.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { editDistance, matchArtistName, rankCandidates } from '../lib/artist-match.js';
+
+describe('editDistance', () => {
+    it('counts insertions, deletions and substitutions', () => {
+        assert.equal(editDistance('drake', 'drake'), 0);
+        assert.equal(editDistance('drak', 'drake'), 1);
+        assert.equal(editDistance('drakes', 'drake'), 1);
+        assert.equal(editDistance('droke', 'drake'), 1);
+        assert.equal(editDistance('', 'abc'), 3);
+    });
+
+    it('counts an adjacent transposition as one edit', () => {
+        assert.equal(editDistance('drkae', 'drake'), 1);
+    });
+});
+
+describe('matchArtistName', () => {
+    const cases = [
+        ['Drake', 'Drake', 'exact', 1],
+        ['beyonce', 'Beyoncé', 'normalized', 0.95],
+        ['acdc', 'AC/DC', 'punctuation', 0.9],
+        ['drkae', 'Drake', 'typo'],
+        ['future', 'Future Islands', 'prefix'],
+        ['marley', 'Bob Marley & The Wailers', 'contains'],
+        ['zzz', 'Drake', 'search']
+    ];
+
+    for (const [query, name, reason, confidence] of cases) {
+        it(`matches "${query}" to "${name}" as ${reason}`, () => {
+            const match = matchArtistName(query, name);
+            assert.equal(match.reason, reason);
+            if (confidence !== undefined) assert.equal(match.confidence, confidence);
+        });
+    }
+
+    it('orders reasons by confidence', () => {
+        const confidences = cases.map(([query, name]) => matchArtistName(query, name).confidence);
+        assert.deepEqual(confidences, [...confidences].sort((a, b) => b - a));
+    });
+
+    it('keeps confidence between 0 and 1', () => {
+        for (const [query, name] of [['x', 'A very long artist name'], ['', 'Drake'], ['Drake', '']]) {
+            const { confidence } = matchArtistName(query, name);
+            assert.ok(confidence >= 0 && confidence <= 1, `${query}/${name}: ${confidence}`);
+        }
+    });
+});
+
+describe('rankCandidates', () => {
+    const ranked = [
+        { id: 'drake01', name: 'Drake' },
+        { id: 'future02', name: 'Future Islands' },
+        { id: 'future01', name: 'Future' }
+    ];
+
+    it('prefers the better name match over the higher rank', () => {
+        const candidates = [{ id: 'future02', name: 'Future Islands' }, { id: 'future01', name: 'Future' }];
+        const [best, runnerUp] = rankCandidates('Future', candidates, ranked);
+        assert.equal(best.candidate.id, 'future01');
+        assert.equal(best.rank, 3);
+        assert.equal(runnerUp.candidate.id, 'future02');
+        assert.equal(runnerUp.rank, 2);
+    });
+
+    it('breaks confidence ties by rank, then by search position', () => {
+        const candidates = [
+            { id: 'other01', name: 'Drake' },
+            { id: 'other02', name: 'Drake' },
+            { id: 'drake01', name: 'Drake' }
+        ];
+        const matches = rankCandidates('Drake', candidates, [{ id: 'drake01', name: 'Drake Tribute' }]);
+        assert.deepEqual(matches.map(m => m.candidate.id), ['drake01', 'other01', 'other02']);
+        assert.deepEqual(matches.map(m => m.searchPosition), [2, 0, 1]);
+    });
+
+    it('falls back to a name match in the ranking for duplicate profiles', () => {
+        const [match] = rankCandidates('drake', [{ id: 'drake-duplicate', name: 'Drake' }], ranked);
+        assert.equal(match.rank, 1);
+    });
+
+    it('marks unranked candidates with rank -1', () => {
+        const [match] = rankCandidates('tyla', [{ id: 'tyla01', name: 'Tyla' }], ranked);
+        assert.equal(match.rank, -1);
+    });
+
+    it('drops candidates without an id or name', () => {
+        const matches = rankCandidates('drake', [null, { id: 'x' }, { name: 'Drake' }, { id: 'drake01', name: 'Drake' }], ranked);
+        assert.deepEqual(matches.map(m => m.candidate.id), ['drake01']);
+    });
+});
@@ -0,0 +1,226 @@
+// test/cache.test.js
+//
+// Stale-while-revalidate, shared computations and expiry in lib/cache.js, run against
+// the memory and file backends. The Redis backend runs too when REDIS_URL is set.
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Cache, MemoryCacheBackend, FileCacheBackend, RedisCacheBackend, createCacheBackend } from '../lib/cache.js';
+
+process.env.LOG_LEVEL = 'silent';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A compute() that counts its calls and resolves after `delay` ms with "<label>-<call>"
+function counter(label = 'value', delay = 0) {
+    const compute = async () => {
+        compute.calls++;
+        const call = compute.calls;
+        if (delay) await sleep(delay);
+        return `${label}-${call}`;
+    };
+    compute.calls = 0;
+    return compute;
+}
+
+const backends = {
+    memory: () => new MemoryCacheBackend(),
+    file: () => new FileCacheBackend(fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-')))
+};
+if (process.env.REDIS_URL) backends.redis = () => new RedisCacheBackend(process.env.REDIS_URL);
+
+for (const [name, createBackend] of Object.entries(backends)) {
+    describe(`Cache with the ${name} backend`, () => {
+        let cache;
+        // Keys are unique per test so a shared Redis starts empty each time
+        let keyCount = 0;
+        const key = () => `test:${process.pid}:${Date.now()}:${keyCount++}`;
+
+        before(() => {
+            cache = new Cache(createBackend());
+        });
+
+        after(() => cache.close());
+
+        it('computes on a miss and serves hits from the backend', async () => {
+            const k = key();
+            const compute = counter();
+            const first = await cache.wrap(k, { ttl: 1000 }, compute);
+            assert.equal(first.status, 'miss');
+            assert.equal(first.value, 'value-1');
+
+            const second = await cache.wrap(k, { ttl: 1000 }, compute);
+            assert.deepEqual(second, { value: 'value-1', storedAt: first.storedAt, status: 'hit' });
+            assert.equal(compute.calls, 1);
+        });
+
+        it('shares one computation between concurrent cold requests', async () => {
+            const k = key();
+            const compute = counter('shared', 50);
+            const results = await Promise.all(Array.from({ length: 5 }, () => cache.wrap(k, { ttl: 1000 }, compute)));
+            assert.equal(compute.calls, 1);
+            assert.ok(results.every(r => r.value === 'shared-1' && r.status === 'miss'));
+        });
+
+        it('serves stale values while one background refresh runs', async () => {
+            const k = key();
+            const compute = counter('swr', 50);
+            // Only the first value expires quickly
+            const options = { ttl: value => (value === 'swr-1' ? 20 : 5000), staleTtl: 5000 };
+            await cache.wrap(k, options, compute);
+            await sleep(40);
+
+            const stale = await Promise.all([1, 2, 3].map(() => cache.wrap(k, options, compute)));
+            assert.ok(stale.every(r => r.status === 'stale' && r.value === 'swr-1'));
+
+            await sleep(200);
+            assert.equal(compute.calls, 2, 'one refresh for three stale reads');
+            const refreshed = await cache.wrap(k, options, compute);
+            assert.equal(refreshed.status, 'hit');
+            assert.equal(refreshed.value, 'swr-2');
+        });
+
+        it('recomputes once a value is past its stale window', async () => {
+            const k = key();
+            const compute = counter('expiring');
+            await cache.wrap(k, { ttl: 20, staleTtl: 20 }, compute);
+            await sleep(60);
+
+            const result = await cache.wrap(k, { ttl: 20, staleTtl: 20 }, compute);
+            assert.equal(result.status, 'miss');
+            assert.equal(result.value, 'expiring-2');
+            assert.equal(await cache.peek(key()), null);
+        });
+
+        it('lets values pick their own lifetime', async () => {
+            const k = key();
+            const ttl = value => (value.partial ? 10 : 1000);
+            let call = 0;
+            const compute = async () => ({ partial: ++call === 1, call });
+
+            await cache.wrap(k, { ttl }, compute);
+            await sleep(30);
+            assert.equal((await cache.wrap(k, { ttl }, compute)).value.call, 2);
+            assert.equal((await cache.wrap(k, { ttl }, compute)).status, 'hit');
+        });
+
+        it('keeps entries stored with an infinite ttl', async () => {
+            const k = key();
+            await cache.backend.set(k, { value: 'kept' }, Infinity);
+            assert.deepEqual(await cache.backend.get(k), { value: 'kept' });
+        });
+
+        it('does not cache failed computations', async () => {
+            const k = key();
+            await assert.rejects(cache.wrap(k, { ttl: 1000 }, async () => { throw new Error('boom'); }), /boom/);
+            assert.equal((await cache.wrap(k, { ttl: 1000 }, counter('retry'))).value, 'retry-1');
+        });
+    });
+}
+
+describe('FileCacheBackend', () => {
+    it('persists entries across instances and treats broken files as misses', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+        await new FileCacheBackend(dir).set('ranking:default:global', { value: 42 }, 1000);
+        assert.deepEqual(await new FileCacheBackend(dir).get('ranking:default:global'), { value: 42 });
+
+        const backend = new FileCacheBackend(dir);
+        fs.writeFileSync(backend.fileFor('half'), '{"entry":');
+        assert.equal(await backend.get('half'), null);
+        assert.deepEqual(fs.readdirSync(dir).filter(f => f.endsWith('.tmp')), []);
+    });
+
+    it('names files by key hash, so long user-supplied keys fit', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+        const backend = new FileCacheBackend(dir);
+        const key = `suggest:NG:${'é/%?'.repeat(100)}`;
+        await backend.set(key, { value: 'long' }, 1000);
+        assert.deepEqual(await backend.get(key), { value: 'long' });
+        assert.match(path.basename(backend.fileFor(key)), /^[0-9a-f]{64}\.json$/);
+    });
+
+    it('deletes expired files when reading them', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+        const backend = new FileCacheBackend(dir);
+        await backend.set('expired', { value: 'old' }, -1);
+        assert.equal(await backend.get('expired'), null);
+        assert.deepEqual(fs.readdirSync(dir), []);
+    });
+
+    it('keeps at most maxEntries files, dropping the least recently used', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+        const backend = new FileCacheBackend(dir, { maxEntries: 2 });
+        const usedAt = (key, seconds) => fs.utimesSync(backend.fileFor(key), seconds, seconds);
+        await backend.set('a', { value: 'a' }, 1000);
+        usedAt('a', 100);
+        await backend.set('b', { value: 'b' }, 1000);
+        usedAt('b', 200);
+        await backend.get('a');
+
+        await backend.set('c', { value: 'c' }, 1000);
+        assert.equal(fs.readdirSync(dir).length, 2);
+        assert.equal(await backend.get('b'), null, 'b was the least recently used');
+        assert.deepEqual(await backend.get('a'), { value: 'a' });
+        assert.deepEqual(await backend.get('c'), { value: 'c' });
+    });
+});
+
+describe('MemoryCacheBackend', () => {
+    it('keeps at most maxEntries, dropping expired then least recently used entries', async () => {
+        const backend = new MemoryCacheBackend({ maxEntries: 3 });
+        await backend.set('a', { value: 'a' }, 1000);
+        await backend.set('expired', { value: 'expired' }, -1);
+        await backend.set('b', { value: 'b' }, 1000);
+        await backend.get('a');
+        await backend.set('c', { value: 'c' }, 1000);
+        assert.deepEqual([...backend.entries.keys()], ['b', 'a', 'c']);
+
+        await backend.set('d', { value: 'd' }, 1000);
+        assert.equal(backend.entries.size, 3);
+        assert.equal(await backend.get('b'), null, 'b was the least recently used');
+        assert.deepEqual(await backend.get('a'), { value: 'a' });
+    });
+
+    it('takes its cap from CACHE_MAX_ENTRIES', () => {
+        assert.equal(createCacheBackend({}).maxEntries, 1000);
+        assert.equal(createCacheBackend({ CACHE_MAX_ENTRIES: '50' }).maxEntries, 50);
+        assert.equal(createCacheBackend({ CACHE_BACKEND: 'file', CACHE_MAX_ENTRIES: '50' }).maxEntries, 50);
+        assert.throws(() => createCacheBackend({ CACHE_MAX_ENTRIES: 'lots' }), /CACHE_MAX_ENTRIES must be a positive integer/);
+    });
+});
+
+describe('RedisCacheBackend', { skip: !process.env.REDIS_URL && 'REDIS_URL is not set' }, () => {
+    it('swaps an entry for the one it replaces', async () => {
+        const backend = new RedisCacheBackend(process.env.REDIS_URL);
+        const k = `test:${process.pid}:${Date.now()}:swap`;
+        try {
+            assert.equal(await backend.swap(k, { value: 1 }, Infinity), null);
+            assert.deepEqual(await backend.swap(k, { value: 2 }, Infinity), { value: 1 });
+            assert.deepEqual(await backend.get(k), { value: 2 });
+        } finally {
+            await backend.close();
+        }
+    });
+});
+
+describe('Cache with a failing backend', () => {
+    it('computes every time instead of failing', async () => {
+        const broken = { name: 'broken', get: async () => { throw new Error('down'); }, set: async () => { throw new Error('down'); } };
+        const cache = new Cache(broken);
+        const compute = counter();
+        assert.equal((await cache.wrap('test:broken', { ttl: 1000 }, compute)).value, 'value-1');
+        assert.equal((await cache.wrap('test:broken', { ttl: 1000 }, compute)).value, 'value-2');
+    });
+});
+
+describe('createCacheBackend', () => {
+    it('picks the backend from the environment', () => {
+        assert.equal(createCacheBackend({}).name, 'memory');
+        assert.equal(createCacheBackend({ CACHE_BACKEND: 'file', CACHE_DIR: '/tmp/x' }).dir, '/tmp/x');
+        assert.equal(createCacheBackend({ REDIS_URL: 'redis://localhost:6379' }).name, 'redis');
+        assert.throws(() => createCacheBackend({ CACHE_BACKEND: 'redis' }), /requires REDIS_URL/);
+        assert.throws(() => createCacheBackend({ CACHE_BACKEND: 'disk' }), /Unknown CACHE_BACKEND/);
+    });
+});
@@ -0,0 +1,214 @@
+// test/cli.test.js
+//
+// bin/artist-rank.js run as a child process against the Spotify stand-in.
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { startSpotifyStandIn } from './helpers/spotify-stand-in.js';
+
+const CLI = fileURLToPath(new URL('../bin/artist-rank.js', import.meta.url));
+
+let standIn;
+let tmpDir;
+let env;
+
+before(async () => {
+    standIn = await startSpotifyStandIn();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    env = {
+        ...process.env,
+        SPOTIFY_CLIENT_ID: 'test-client-id',
+        SPOTIFY_CLIENT_SECRET: 'test-client-secret',
+        SPOTIFY_ACCOUNTS_BASE_URL: standIn.accountsBaseUrl,
+        SPOTIFY_API_BASE_URL: standIn.apiBaseUrl,
+        SNAPSHOT_DIR: tmpDir,
+        CACHE_BACKEND: 'memory'
+    };
+});
+
+after(async () => {
+    await standIn.close();
+});
+
+function run(args, extraEnv = {}) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], { env: { ...env, ...extraEnv } }, (err, stdout, stderr) => {
+            resolve({ code: err ? err.code : 0, stdout, stderr });
+        });
+    });
+}
+
+describe('artist-rank compute', () => {
+    it('prints the top N as a table', async () => {
+        const { code, stdout } = await run(['compute', '--top', '3']);
+        assert.equal(code, 0);
+        const lines = stdout.trim().split('\n');
+        assert.match(lines[0], /^default ranking, global, position-sum/);
+        assert.match(lines[2], /^Rank\s+Move\s+Artist\s+Score\s+ID$/);
+        assert.equal(lines.length, 6);
+        assert.match(lines[3], /^\s+1\s.*future01$/);
+    });
+
+    it('prints JSON and CSV', async () => {
+        const json = await run(['compute', '--top', '2', '--format', 'json', '--market', 'KE']);
+        assert.equal(json.code, 0);
+        const body = JSON.parse(json.stdout);
+        assert.equal(body.market, 'KE');
+        assert.equal(body.degraded, false);
+        assert.deepEqual(body.artists.map(a => a.rank), [1, 2]);
+
+        const csv = await run(['compute', '--top', '2', '--format', 'csv']);
+        assert.equal(csv.code, 0);
+        const rows = csv.stdout.trim().split('\r\n');
+        assert.equal(rows[0], 'rank,id,name,imageUrl,score,generatedAt');
+        assert.equal(rows.length, 3);
+    });
+
+    it('exits 3 when some Spotify searches failed', async () => {
+        const configFile = path.join(tmpDir, 'degraded.config.json');
+        fs.writeFileSync(configFile, JSON.stringify({
+            defaultRanking: 'default',
+            markets: ['KE'],
+            defaults: { offsets: [0], limit: 10, size: 100, cacheLifetime: 60000, staleLifetime: 60000 },
+            rankings: { default: { queries: ['pop', 'bad-request'] } }
+        }));
+        const { code, stdout, stderr } = await run(['compute', '--format', 'json'], { RANKING_CONFIG: configFile });
+        assert.equal(code, 3);
+        assert.equal(JSON.parse(stdout).degraded, true);
+        assert.match(stderr, /1\/2 Spotify searches failed/);
+    });
+
+    it('adds to the snapshot history unless --no-snapshot', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-snapshots-'));
+        const history = path.join(dir, 'snapshots.jsonl');
+
+        assert.equal((await run(['compute', '--no-snapshot'], { SNAPSHOT_DIR: dir })).code, 0);
+        assert.equal(fs.existsSync(history), false);
+
+        assert.equal((await run(['compute'], { SNAPSHOT_DIR: dir })).code, 0);
+        assert.equal(fs.readFileSync(history, 'utf8').trim().split('\n').length, 1);
+    });
+
+    it('leaves watchlist alerts to the server', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-alerts-'));
+        // Drake was far down last time and is watched with no threshold
+        fs.writeFileSync(path.join(dir, 'snapshots.jsonl'), JSON.stringify({
+            generatedAt: '2026-01-01T00:00:00.000Z',
+            artists: [{ id: 'drake01', name: 'Drake', rank: 90, score: 1 }]
+        }) + '\n');
+        fs.writeFileSync(path.join(dir, 'watchlist.json'), JSON.stringify({
+            artists: [{ id: 'drake01', name: 'Drake', imageUrl: null, moveThreshold: 0, addedAt: '2026-01-01T00:00:00.000Z' }]
+        }));
+        const hooks = [];
+        const receiver = http.createServer((req, res) => {
+            hooks.push(req.url);
+            res.end();
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+        const { code } = await run(['compute'], {
+            SNAPSHOT_DIR: dir,
+            WEBHOOK_URLS: `http://127.0.0.1:${receiver.address().port}/hook`,
+            WEBHOOK_SECRET: 'test-secret'
+        });
+        await new Promise(resolve => receiver.close(resolve));
+
+        assert.equal(code, 0);
+        assert.deepEqual(hooks, []);
+    });
+
+    it('replays the committed Spotify fixtures without network or credentials', async () => {
+        // Nothing listens on port 9, so any request that skipped the fixtures would fail
+        const { code, stdout } = await run(['compute', '--format', 'json', '--no-snapshot'], {
+            SPOTIFY_FIXTURES: 'replay',
+            SPOTIFY_CLIENT_ID: '',
+            SPOTIFY_CLIENT_SECRET: '',
+            SPOTIFY_ACCOUNTS_BASE_URL: 'http://127.0.0.1:9',
+            SPOTIFY_API_BASE_URL: 'http://127.0.0.1:9/v1'
+        });
+        assert.equal(code, 0);
+        const result = JSON.parse(stdout);
+        assert.equal(result.degraded, false);
+        assert.ok(result.artists.length > 0);
+    });
+
+    it('rejects bad options with exit code 2', async () => {
+        assert.equal((await run(['compute', '--market', 'ZZ'])).code, 2);
+        assert.equal((await run(['compute', '--top', '0'])).code, 2);
+        assert.equal((await run(['compute', '--format', 'xml'])).code, 2);
+        assert.equal((await run(['compute', '--strategy', 'constructor'])).code, 2);
+        assert.equal((await run(['rank'])).code, 2);
+    });
+});
+
+describe('artist-rank search', () => {
+    it('finds an artist and their rank like /api/search-artist', async () => {
+        const { code, stdout } = await run(['search', 'drake', '--format', 'json']);
+        assert.equal(code, 0);
+        const result = JSON.parse(stdout);
+        assert.equal(result.id, 'drake01');
+        assert.ok(result.rankInTop100 > 0);
+    });
+
+    it('lists every candidate with --all', async () => {
+        const { code, stdout } = await run(['search', 'future', '--all']);
+        assert.equal(code, 0);
+        assert.match(stdout, /future01/);
+        assert.match(stdout, /future02/);
+    });
+
+    it('exits 1 when nobody matches', async () => {
+        const { code, stderr } = await run(['search', 'nobody']);
+        assert.equal(code, 1);
+        assert.match(stderr, /Artist not found/);
+    });
+});
+
+describe('artist-rank diff', () => {
+    const write = (name, content) => {
+        const file = path.join(tmpDir, name);
+        fs.writeFileSync(file, content);
+        return file;
+    };
+    const artist = (id, rank) => ({ id, name: id, rank, score: 100 - rank });
+
+    it('reports entered, left and moved artists', async () => {
+        const previous = write('old.json', JSON.stringify({ artists: [artist('a1', 1), artist('b2', 2), artist('c3', 3)] }));
+        const current = write('new.json', JSON.stringify({ artists: [artist('b2', 1), artist('a1', 2), artist('d4', 3)] }));
+
+        const { code, stdout } = await run(['diff', previous, current, '--format', 'json']);
+        assert.equal(code, 0);
+        const changes = JSON.parse(stdout);
+        assert.deepEqual(changes.entered.map(a => a.id), ['d4']);
+        assert.deepEqual(changes.left.map(a => a.id), ['c3']);
+        assert.deepEqual(changes.moved.map(a => [a.id, a.from, a.rank]), [['b2', 2, 1], ['a1', 1, 2]]);
+
+        const table = await run(['diff', previous, current]);
+        assert.match(table.stdout, /^Entered \(1\)\n {2}#3 {2}d4 \(d4\)/);
+        assert.match(table.stdout, /#1 {2}b2 \(b2\) {2}up from #2/);
+    });
+
+    it('reads the latest snapshot from a snapshot history', async () => {
+        const history = write('snapshots.jsonl', [
+            { generatedAt: '2026-01-01T00:00:00.000Z', artists: [artist('a1', 1)] },
+            { generatedAt: '2026-01-02T00:00:00.000Z', artists: [artist('b2', 1)] }
+        ].map(s => JSON.stringify(s)).join('\n') + '\n');
+        const previous = write('single.json', JSON.stringify({ artists: [artist('b2', 1)] }));
+
+        const { code, stdout } = await run(['diff', previous, history, '--format', 'json']);
+        assert.equal(code, 0);
+        assert.deepEqual(JSON.parse(stdout), { entered: [], left: [], moved: [] });
+    });
+
+    it('fails on files that hold no ranking', async () => {
+        const bogus = write('bogus.json', JSON.stringify({ hello: 'world' }));
+        const { code, stderr } = await run(['diff', bogus, bogus]);
+        assert.equal(code, 1);
+        assert.match(stderr, /does not hold a ranking/);
+    });
+});
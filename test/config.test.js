@@ -0,0 +1,155 @@
+// test/config.test.js
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { loadConfig, ConfigError } from '../lib/config.js';
+
+const VALID = {
+    defaultRanking: 'default',
+    markets: ['KE', 'US'],
+    defaults: { offsets: [0, 10], limit: 10, size: 50, cacheLifetime: 60000, staleLifetime: 0 },
+    rankings: {
+        default: { queries: ['a', 'pop'], queryWeights: { a: 0.5 } },
+        genres: { queries: ['afrobeats'], strategy: 'rrf', size: 20 }
+    }
+};
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+let dir;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+});
+
+// Writes a config file and loads it with no env overrides
+function load(config, env = {}) {
+    const file = path.join(dir, `config-${Math.random().toString(36).slice(2)}.json`);
+    fs.writeFileSync(file, typeof config === 'string' ? config : JSON.stringify(config));
+    return loadConfig({ file, env });
+}
+
+// Clones VALID with `change` applied to the copy
+function variant(change) {
+    const config = structuredClone(VALID);
+    change(config);
+    return config;
+}
+
+function problemsOf(config) {
+    try {
+        load(config);
+    } catch (err) {
+        assert.ok(err instanceof ConfigError);
+        return err.problems;
+    }
+    assert.fail('expected a ConfigError');
+}
+
+describe('loadConfig', () => {
+    it('resolves every ranking against the shared defaults', () => {
+        const config = load(VALID);
+        assert.equal(config.defaultRanking, 'default');
+        assert.deepEqual(config.markets, ['KE', 'US']);
+        assert.deepEqual(config.rankings.default, {
+            name: 'default', queries: ['a', 'pop'], queryWeights: { a: 0.5 },
+            offsets: [0, 10], limit: 10, size: 50, cacheLifetime: 60000, staleLifetime: 0
+        });
+        assert.equal(config.rankings.genres.size, 20);
+        assert.equal(config.rankings.genres.strategy, 'rrf');
+        assert.deepEqual(config.rankings.genres.queryWeights, {});
+    });
+
+    it('loads the shipped rankings.config.json', () => {
+        const config = loadConfig({ env: {} });
+        assert.ok(config.rankings[config.defaultRanking]);
+    });
+
+    it('applies env overrides', () => {
+        const config = load(VALID, { SEARCH_QUERIES: 'pop, rock', SEARCH_LIMIT: '5', MARKETS: 'ng' });
+        assert.deepEqual(config.rankings.default.queries, ['pop', 'rock']);
+        assert.deepEqual(config.rankings.default.queryWeights, {}, 'weights of dropped queries go too');
+        assert.equal(config.rankings.genres.limit, 5);
+        assert.deepEqual(config.markets, ['NG']);
+    });
+
+    it('reports a missing or unreadable file', () => {
+        assert.throws(() => loadConfig({ file: path.join(dir, 'nope.json'), env: {} }), { name: 'ConfigError', problems: ['file not found'] });
+        assert.throws(() => load('{ not json'), /could not parse/);
+        assert.throws(() => load({ defaultRanking: 'default' }), /"rankings" must be an object/);
+    });
+
+    it('rejects prototype keys as strategies', () => {
+        const problems = problemsOf(variant(config => { config.rankings.genres.strategy = 'constructor'; }));
+        assert.deepEqual(problems, ['rankings.genres.strategy "constructor" is not a known ranking strategy']);
+    });
+
+    it('rejects a prototype key as the default ranking', () => {
+        const problems = problemsOf(variant(config => { config.defaultRanking = 'constructor'; }));
+        assert.deepEqual(problems, ['defaultRanking "constructor" is not one of the configured rankings']);
+    });
+
+    it('reports missing fields', () => {
+        const problems = problemsOf(variant(config => {
+            delete config.defaults.limit;
+            delete config.rankings.genres.queries;
+        }));
+        assert.ok(problems.includes('rankings.default.limit must be an integer between 1 and 50'));
+        assert.ok(problems.includes('rankings.genres.queries must be a non-empty array'));
+    });
+
+    it('lists every bad value at once', () => {
+        const problems = problemsOf(variant(config => {
+            config.defaultRanking = 'missing';
+            config.markets = ['kenya'];
+            config.rankings['Bad Name'] = { queries: ['x'] };
+            Object.assign(config.rankings.default, {
+                queries: ['a', ''],
+                offsets: [995],
+                size: 0,
+                cacheLifetime: -1,
+                staleLifetime: 1.5,
+                strategy: 'coin-flip',
+                queryWeights: { a: -1, rock: 2 }
+            });
+        }));
+        assert.deepEqual(problems, [
+            'rankings.default.queries must only contain non-empty strings',
+            'rankings.default: offset + limit must not exceed 1000',
+            'rankings.default.size must be a positive integer',
+            'rankings.default.cacheLifetime must be a positive number of milliseconds',
+            'rankings.default.staleLifetime must be a non-negative number of milliseconds',
+            'rankings.default.queryWeights.a must be a non-negative number',
+            'rankings.default.queryWeights.rock: "rock" is not one of the ranking\'s queries',
+            'rankings.default.strategy "coin-flip" is not a known ranking strategy',
+            'rankings.Bad Name: name must be lowercase letters, digits and dashes',
+            'defaultRanking "missing" is not one of the configured rankings',
+            'markets must be an array of two-letter uppercase country codes (e.g. "KE")'
+        ]);
+    });
+
+    it('fails the import of lib/rankings.js with every problem', async () => {
+        const file = path.join(dir, 'broken.json');
+        fs.writeFileSync(file, JSON.stringify(variant(config => {
+            config.defaults.limit = 99;
+            config.markets = ['kenya'];
+        })));
+
+        const run = promisify(execFile)(process.execPath, ['--input-type=module', '-e', "await import('./lib/rankings.js')"], {
+            cwd: ROOT,
+            env: { ...process.env, RANKING_CONFIG: file, LOG_LEVEL: 'silent' }
+        });
+        await assert.rejects(run, err => {
+            assert.match(err.stderr, /ConfigError: Invalid ranking config/);
+            assert.match(err.stderr, /rankings\.default\.limit must be an integer between 1 and 50/);
+            assert.match(err.stderr, /rankings\.genres\.limit must be an integer between 1 and 50/);
+            assert.match(err.stderr, /markets must be an array/);
+            return true;
+        });
+    });
+});
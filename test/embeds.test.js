@@ -0,0 +1,67 @@
+// test/embeds.test.js
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSpotifyStandIn, PHOTO_PNG } from './helpers/spotify-stand-in.js';
+import { isSpotifyImageUrl, fetchPhotoDataUri, renderShareCard, renderShareCardPng } from '../lib/embeds.js';
+
+const PHOTO = `data:image/png;base64,${PHOTO_PNG.toString('base64')}`;
+const CARD = { name: 'Drake', photo: PHOTO, rank: 3, market: 'KE', generatedAt: Date.UTC(2026, 0, 2) };
+
+let standIn;
+
+before(async () => {
+    process.env.LOG_LEVEL = 'silent';
+    standIn = await startSpotifyStandIn();
+});
+
+after(() => standIn.close());
+
+describe('share card photos', () => {
+    it('only fetches from Spotify image hosts', () => {
+        assert.equal(isSpotifyImageUrl('https://i.scdn.co/image/ab67616d'), true);
+        assert.equal(isSpotifyImageUrl('https://mosaic.scdn.co/640/ab67616d'), true);
+        assert.equal(isSpotifyImageUrl('https://image-cdn-ak.spotifycdn.com/image/ab67616d'), true);
+        assert.equal(isSpotifyImageUrl('http://i.scdn.co/image/ab67616d'), false);
+        assert.equal(isSpotifyImageUrl('https://i.scdn.co.example.com/image/x'), false);
+        assert.equal(isSpotifyImageUrl('http://127.0.0.1/image/x'), false);
+        assert.equal(isSpotifyImageUrl(null), false);
+    });
+
+    it('downloads a photo as a data: URI', async () => {
+        assert.equal(await fetchPhotoDataUri(`${standIn.accountsBaseUrl}/image/drake01-640`), PHOTO);
+    });
+
+    it('resolves to null for failed downloads and non-images', async () => {
+        assert.equal(await fetchPhotoDataUri(`${standIn.apiBaseUrl}/artists/drake01`), null);
+        assert.equal(await fetchPhotoDataUri('http://127.0.0.1:9/image/x'), null);
+    });
+});
+
+describe('renderShareCard', () => {
+    it('inlines the photo and shows name, rank and scope', () => {
+        const svg = renderShareCard(CARD);
+        assert.ok(svg.includes(`<image href="${PHOTO}"`));
+        assert.ok(svg.includes('>Drake<'));
+        assert.ok(svg.includes('>#3<'));
+        assert.ok(svg.includes('Ranked in KE · 2026-01-02'));
+    });
+
+    it('never references external images', () => {
+        const svg = renderShareCard({ ...CARD, photo: 'https://i.scdn.co/image/x', rank: -1, market: null });
+        assert.doesNotMatch(svg, /<image/);
+        assert.ok(svg.includes('Not in the Top 100'));
+        assert.ok(svg.includes('Checked worldwide'));
+    });
+
+    it('escapes the artist name', () => {
+        assert.ok(renderShareCard({ ...CARD, name: 'Tom & <Jerry>' }).includes('Tom &amp; &lt;Jerry&gt;'));
+    });
+});
+
+describe('renderShareCardPng', () => {
+    it('renders a 1200x630 PNG', async () => {
+        const png = await renderShareCardPng(CARD);
+        assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+        assert.deepEqual([png.readUInt32BE(16), png.readUInt32BE(20)], [1200, 630]);
+    });
+});
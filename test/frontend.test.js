@@ -0,0 +1,629 @@
+// test/frontend.test.js
+//
+// The page script (public/script.js) in jsdom: list rendering, rank badges, the retry
+// box and search results. Assertions stick to classes and text, not markup.
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/dom.js';
+import { applyListQuery, normalizeName, countGenres } from '../lib/list-query.js';
+
+const ARTISTS = [
+    { rank: 1, id: 'drake01', name: 'Drake', imageUrl: 'd.jpg', genres: ['hip hop', 'rap'], score: 30, movement: 'up', previousRank: 4 },
+    { rank: 2, id: 'tyla01', name: 'Tyla', imageUrl: 't.jpg', genres: ['amapiano', 'pop'], score: 20, movement: 'new', previousRank: null },
+    { rank: 3, id: 'future01', name: 'Future', imageUrl: 'f.jpg', genres: ['hip hop', 'trap'], score: 15, movement: 'same', previousRank: 3 },
+    { rank: 4, id: 'sza01', name: 'SZA', imageUrl: 's.jpg', genres: ['pop', 'r&b'], score: 10, movement: 'down', previousRank: 2 },
+    { rank: 5, id: 'burna01', name: 'Burna Boy', imageUrl: 'b.jpg', genres: ['afrobeats'], score: 5, movement: null, previousRank: null }
+];
+
+const ranking = (artists = ARTISTS, extra = {}) => () => ({
+    body: { ranking: 'default', strategy: 'position-sum', market: null, generatedAt: '2026-01-01T00:00:00.000Z', degraded: false, total: artists.length, artists, ...extra }
+});
+
+let page;
+
+afterEach(() => page?.close());
+
+const emptyWatchlist = () => ({ body: { market: null, artists: [] } });
+
+// Loads the page and waits for the initial ranking to render
+async function openPage(routes = {}) {
+    page = loadPage({ routes: { '/api/artists-ranking': ranking(), '/api/watchlist': emptyWatchlist, ...routes } });
+    await page.waitFor(() => page.document.querySelector('#artist-list .artist-item, #artist-list .error-message'));
+    return page;
+}
+
+const rows = () => [...page.document.querySelectorAll('#artist-list .artist-item')];
+
+describe('ranking list', () => {
+    it('loads the explained ranking on start', async () => {
+        await openPage();
+        const request = page.requests.find(url => url.pathname === '/api/artists-ranking');
+        assert.equal(request.searchParams.get('explain'), '1');
+    });
+
+    it('renders one row per artist in rank order', async () => {
+        await openPage();
+        assert.deepEqual(rows().map(row => row.id), ARTISTS.map(a => `artist-${a.id}`));
+        assert.deepEqual(rows().map(row => row.querySelector('.artist-name').textContent), ARTISTS.map(a => a.name));
+    });
+
+    it('marks the top three', async () => {
+        await openPage();
+        assert.deepEqual(rows().map(row => row.classList.contains('top-three')), [true, true, true, false, false]);
+    });
+
+    it('shows how each artist moved since the last ranking', async () => {
+        await openPage();
+        const badge = (id) => page.document.querySelector(`#artist-${id} .rank-movement`);
+
+        assert.ok(badge('drake01').classList.contains('up'));
+        assert.equal(badge('drake01').textContent, '▲3');
+        assert.equal(badge('drake01').title, 'Up from #4');
+        assert.ok(badge('sza01').classList.contains('down'));
+        assert.equal(badge('sza01').textContent, '▼2');
+        assert.equal(badge('tyla01').textContent, 'NEW');
+        assert.equal(badge('future01').textContent, '–');
+        assert.equal(badge('burna01'), null);
+    });
+
+    it('renders artist data as text, never as markup', async () => {
+        const name = '<img src=x onerror="window.pwned = true">';
+        await openPage({
+            '/api/artists-ranking': ranking([{ ...ARTISTS[0], name, imageUrl: 'javascript:alert(1)' }])
+        });
+        const [row] = rows();
+        assert.equal(row.querySelector('.artist-name').textContent, name);
+        assert.equal(row.querySelectorAll('img').length, 1);
+        assert.equal(row.querySelector('.artist-image').hasAttribute('src'), false);
+        assert.equal(page.window.pwned, undefined);
+    });
+
+    it('builds the error box without inline handlers or styles', async () => {
+        await openPage({ '/api/artists-ranking': () => ({ status: 500, body: { error: 'down' } }) });
+        const errorBox = page.document.querySelector('#artist-list .error-message');
+        assert.equal(errorBox.querySelectorAll('[onclick], [style]').length, 0);
+    });
+
+    it('says so when the ranking is empty', async () => {
+        page = loadPage({ routes: { '/api/artists-ranking': ranking([]), '/api/watchlist': emptyWatchlist } });
+        await page.waitFor(() => page.document.querySelector('#artist-list .message'));
+        assert.match(page.document.getElementById('artist-list').textContent, /No artists found in the ranking/);
+    });
+
+    it('flags a degraded ranking', async () => {
+        await openPage({
+            '/api/artists-ranking': () => ({
+                ...ranking(ARTISTS, { degraded: true })(),
+                headers: { 'X-Ranking-Degraded': '2 of 20 searches failed' }
+            })
+        });
+        const notice = page.document.getElementById('ranking-notice');
+        assert.equal(notice.hidden, false);
+        assert.match(notice.textContent, /may be incomplete \(2 of 20 searches failed\)/);
+    });
+
+    it('keeps the list of the market picked last when an older response arrives late', async () => {
+        let answerGlobal;
+        const globalAnswered = new Promise(resolve => { answerGlobal = resolve; });
+        let requests = 0;
+        const KE_ARTISTS = [{ ...ARTISTS[4], rank: 1 }];
+        await openPage({
+            '/api/markets': () => ({ body: { markets: ['KE'] } }),
+            '/api/artists-ranking': async url => {
+                if (url.searchParams.get('market') === 'KE') return ranking(KE_ARTISTS, { market: 'KE' })();
+                // The first load answers at once; the reload under test answers only when told
+                if (++requests > 1) await globalAnswered;
+                return ranking()();
+            }
+        });
+        const select = page.document.getElementById('market-select');
+        await page.waitFor(() => select.options.length > 1);
+
+        // A reload of the global list is still in flight when KE is picked
+        page.window.fetchArtistsRanking();
+        select.value = 'KE';
+        select.dispatchEvent(new page.window.Event('change'));
+        await page.waitFor(() => rows().length === 1);
+
+        answerGlobal();
+        await new Promise(resolve => setTimeout(resolve, 400));
+        assert.deepEqual(rows().map(row => row.id), ['artist-burna01']);
+    });
+
+    it('offers a retry that reloads the list after a failure', async () => {
+        let fail = true;
+        await openPage({
+            '/api/artists-ranking': () => fail ? { status: 500, body: { error: 'Spotify is down' } } : ranking()()
+        });
+        const retry = page.document.querySelector('#artist-list .error-message button');
+        assert.match(retry.textContent, /Try Again/);
+
+        fail = false;
+        retry.click();
+        await page.waitFor(() => rows().length === ARTISTS.length);
+    });
+});
+
+describe('genre filter', () => {
+    const chips = () => [...page.document.querySelectorAll('#genre-filter .genre-filter-chip')];
+    const chip = label => chips().find(c => c.firstChild.textContent === label);
+
+    it('offers a chip per genre, most common first', async () => {
+        await openPage();
+        assert.equal(page.document.getElementById('genre-filter').hidden, false);
+        assert.deepEqual(chips().map(c => c.textContent), ['All', 'hip hop2', 'pop2', 'afrobeats1', 'amapiano1', 'r&b1', 'rap1', 'trap1']);
+        assert.equal(chip('All').getAttribute('aria-pressed'), 'true');
+    });
+
+    it('shows one genre with ranks inside it, without refetching', async () => {
+        await openPage();
+        const requests = page.requests.filter(url => url.pathname === '/api/artists-ranking').length;
+
+        chip('hip hop').click();
+        assert.deepEqual(rows().map(row => row.id), ['artist-drake01', 'artist-future01']);
+        assert.deepEqual(rows().map(row => row.querySelector('.rank-number').textContent), ['#1', '#2']);
+        // Movement still compares places in the whole ranking
+        assert.equal(page.document.querySelector('#artist-future01 .rank-movement').textContent, '–');
+        assert.equal(chip('hip hop').getAttribute('aria-pressed'), 'true');
+
+        chip('All').click();
+        assert.equal(rows().length, ARTISTS.length);
+        assert.equal(page.requests.filter(url => url.pathname === '/api/artists-ranking').length, requests);
+    });
+
+    it('keeps the searched artist highlighted', async () => {
+        await openPage({ '/api/search-artist': () => ({ body: { candidates: [{ id: 'drake01', name: 'Drake', imageUrl: 'd.jpg', rankInTop100: 1, confidence: 1, reason: 'exact' }] } }) });
+        page.document.getElementById('artist-search-input').value = 'drake';
+        await page.window.searchArtist();
+        const highlighted = () => [...page.document.querySelectorAll('#artist-list .highlight-searched')].map(row => row.id);
+
+        chip('hip hop').click();
+        assert.deepEqual(highlighted(), ['artist-drake01']);
+        chip('afrobeats').click();
+        assert.deepEqual(highlighted(), []);
+        chip('All').click();
+        assert.deepEqual(highlighted(), ['artist-drake01']);
+    });
+
+    it('matches genres like /api/artists-ranking?genre=, ignoring case and accents', async () => {
+        const spelled = [
+            { ...ARTISTS[0], genres: ['Hip Hop'] },
+            { ...ARTISTS[1], genres: ['hip hop'] },
+            { ...ARTISTS[2], genres: ['Música Urbana'] },
+            { ...ARTISTS[3], genres: ['musica urbana '] },
+            { ...ARTISTS[4], genres: ['afrobeats', 'Afrobeats'] }
+        ];
+        await openPage({ '/api/artists-ranking': ranking(spelled) });
+        for (const sample of ['Hip Hop', 'Música Urbana', 'musica urbana ', 'R&B', 'Ñu-Disco']) {
+            assert.equal(page.window.normalizeName(sample), normalizeName(sample), sample);
+        }
+
+        // Chip counts are what /api/genres reports, one per artist and normalized genre
+        assert.deepEqual(
+            chips().slice(1).map(c => c.textContent),
+            countGenres(spelled).map(({ genre, count }) => `${genre}${count}`)
+        );
+
+        for (const genre of ['Hip Hop', 'Música Urbana', 'afrobeats']) {
+            chip(genre).click();
+            const { artists } = applyListQuery(spelled, { genre });
+            assert.deepEqual(rows().map(row => row.id), artists.map(a => `artist-${a.id}`), genre);
+        }
+    });
+
+    it('listens for scrolls once however often the list re-renders', async () => {
+        await openPage();
+        const scrollListeners = new Set();
+        const addEventListener = page.window.addEventListener.bind(page.window);
+        page.window.addEventListener = (type, listener, options) => {
+            if (type === 'scroll') scrollListeners.add(listener);
+            return addEventListener(type, listener, options);
+        };
+
+        chip('hip hop').click();
+        chip('pop').click();
+        chip('All').click();
+        // The parallax is set up shortly after each render
+        await new Promise(resolve => setTimeout(resolve, 150));
+        assert.equal(scrollListeners.size, 1);
+    });
+
+    it('stays hidden when the ranking has no genres', async () => {
+        await openPage({ '/api/artists-ranking': ranking(ARTISTS.map(({ genres, ...artist }) => artist)) });
+        assert.equal(page.document.getElementById('genre-filter').hidden, true);
+    });
+});
+
+describe('search', () => {
+    const candidate = (id, name, rankInTop100, confidence, reason = 'exact') => ({
+        id, name, imageUrl: `${id}.jpg`, rankInTop100, confidence, reason
+    });
+
+    async function search(query, response) {
+        await openPage({ '/api/search-artist': response });
+        page.document.getElementById('artist-search-input').value = query;
+        page.window.searchArtist();
+        const results = page.document.getElementById('search-results-display');
+        await page.waitFor(() => !/Searching/.test(results.textContent));
+        return results;
+    }
+
+    it('asks for a name when the box is blank', async () => {
+        const results = await search('   ', () => assert.fail('should not search'));
+        assert.match(results.textContent, /Please enter an artist name/);
+    });
+
+    it('shows the rank of a ranked artist and highlights their row', async () => {
+        const results = await search('drake', () => ({ body: { candidates: [candidate('drake01', 'Drake', 1, 1)] } }));
+        assert.match(results.querySelector('.rank-badge').textContent, /Rank #1/);
+        assert.ok(page.document.getElementById('artist-drake01').classList.contains('highlight-searched'));
+        assert.ok(results.querySelector('.share-button'));
+    });
+
+    it('says when the artist is not in the Top 100', async () => {
+        const results = await search('adele', () => ({ body: { candidates: [candidate('adele01', 'Adele', -1, 1)] } }));
+        assert.match(results.querySelector('.not-ranked').textContent, /Not in Top 100/);
+        assert.equal(page.document.querySelectorAll('.highlight-searched').length, 0);
+    });
+
+    it('lets the user choose between close matches', async () => {
+        const results = await search('future', () => ({
+            body: {
+                candidates: [
+                    candidate('future01', 'Future', 3, 0.85, 'prefix'),
+                    candidate('future02', 'Future Islands', -1, 0.8, 'prefix'),
+                    candidate('futurex', 'Futurex', -1, 0.3, 'search')
+                ]
+            }
+        }));
+        const options = [...results.querySelectorAll('.candidate-option')];
+        assert.deepEqual(options.map(o => o.querySelector('.candidate-name').textContent), ['Future', 'Future Islands']);
+
+        options[0].click();
+        assert.match(results.querySelector('.rank-badge').textContent, /Rank #3/);
+        assert.ok(page.document.getElementById('artist-future01').classList.contains('highlight-searched'));
+    });
+
+    it('shows the API error for an unknown artist', async () => {
+        const results = await search('zzz', () => ({ status: 404, body: { message: 'Artist not found' } }));
+        assert.match(results.textContent, /Error: Artist not found/);
+    });
+
+    it('shows the API validation error for a rejected name', async () => {
+        const results = await search('x'.repeat(100), () => ({
+            status: 400, body: { error: 'Artist name must be at most 100 characters' }
+        }));
+        assert.match(results.textContent, /Error: Artist name must be at most 100 characters/);
+    });
+
+    it('shows server messages as text', async () => {
+        const results = await search('zzz', () => ({ status: 404, body: { message: '<b>bold</b>' } }));
+        assert.equal(results.querySelector('b'), null);
+        assert.match(results.textContent, /Error: <b>bold<\/b>/);
+    });
+
+    it('shows a generic error when the request fails', async () => {
+        const results = await search('drake', () => { throw new TypeError('Failed to fetch'); });
+        assert.match(results.textContent, /An error occurred during search/);
+    });
+});
+
+describe('live updates', () => {
+    const GENERATED_AT = '2026-01-01T00:00:00.000Z';
+    const ADELE = { rank: 5, id: 'adele01', name: 'Adele', imageUrl: 'a.jpg', genres: ['soul'], score: 4, movement: 'new', previousRank: null };
+    // Tyla and Drake swap places, Burna Boy drops out and Adele comes in; SZA stays put,
+    // so against the new snapshot she no longer moved down
+    const DIFF = {
+        generatedAt: '2026-01-01T01:00:00.000Z',
+        previousGeneratedAt: GENERATED_AT,
+        degraded: false,
+        entered: [ADELE],
+        left: [ARTISTS[4]],
+        moved: [{ ...ARTISTS[1], rank: 1, from: 2 }, { ...ARTISTS[0], rank: 2, from: 1 }],
+        updated: [{ ...ARTISTS[3], movement: 'same', previousRank: 4 }]
+    };
+
+    // Opens the page with Drake searched for (and so highlighted)
+    async function openHighlighted() {
+        await openPage({ '/api/search-artist': () => ({ body: { candidates: [{ id: 'drake01', name: 'Drake', imageUrl: 'd.jpg', rankInTop100: 1, confidence: 1, reason: 'exact' }] } }) });
+        page.document.getElementById('artist-search-input').value = 'drake';
+        await page.window.searchArtist();
+        assert.ok(page.document.getElementById('artist-drake01').classList.contains('highlight-searched'));
+        return page.streams.at(-1);
+    }
+
+    const rankingRequests = () => page.requests.filter(url => url.pathname === '/api/artists-ranking').length;
+
+    it('follows the ranking stream', async () => {
+        await openPage();
+        assert.equal(page.streams.at(-1).url.pathname, '/api/artists-ranking/stream');
+    });
+
+    it('closes the stream after its first error instead of retrying', async () => {
+        await openPage();
+        const stream = page.streams.at(-1);
+        stream.emit('error');
+        assert.ok(stream.closed);
+    });
+
+    it('moves rows to their new ranks and keeps the search highlight', async () => {
+        const stream = await openHighlighted();
+        const drakeRow = page.document.getElementById('artist-drake01');
+        const requests = rankingRequests();
+
+        stream.emit('diff', DIFF);
+
+        assert.deepEqual(rows().map(row => row.id), ['artist-tyla01', 'artist-drake01', 'artist-future01', 'artist-sza01', 'artist-adele01']);
+        assert.deepEqual(rows().map(row => row.querySelector('.rank-number').textContent), ['#1', '#2', '#3', '#4', '#5']);
+        assert.equal(page.document.getElementById('artist-burna01'), null);
+        // Moved rows are rebuilt; unchanged ones stay the same nodes
+        assert.notEqual(page.document.getElementById('artist-drake01'), drakeRow);
+        assert.ok(page.document.getElementById('artist-drake01').classList.contains('highlight-searched'));
+        assert.equal(page.document.querySelectorAll('.highlight-searched').length, 1);
+        assert.equal(rankingRequests(), requests);
+    });
+
+    it('refreshes the movement badge of rows that kept their rank', async () => {
+        const stream = await openHighlighted();
+        const futureRow = page.document.getElementById('artist-future01');
+        assert.ok(page.document.querySelector('#artist-sza01 .rank-movement').classList.contains('down'));
+
+        stream.emit('diff', DIFF);
+
+        assert.ok(page.document.querySelector('#artist-sza01 .rank-movement').classList.contains('same'));
+        assert.equal(page.document.getElementById('artist-future01'), futureRow);
+    });
+
+    it('keeps the search highlight when a genre is selected', async () => {
+        const stream = await openHighlighted();
+        [...page.document.querySelectorAll('.genre-filter-chip')].find(c => c.firstChild.textContent === 'hip hop').click();
+
+        stream.emit('diff', DIFF);
+
+        assert.deepEqual(rows().map(row => row.id), ['artist-drake01', 'artist-future01']);
+        assert.ok(page.document.getElementById('artist-drake01').classList.contains('highlight-searched'));
+    });
+
+    it('reloads instead when the diff is against another ranking', async () => {
+        const stream = await openHighlighted();
+        const requests = rankingRequests();
+
+        stream.emit('diff', { ...DIFF, previousGeneratedAt: '2025-12-31T23:00:00.000Z' });
+
+        await page.waitFor(() => rankingRequests() > requests);
+        assert.ok(page.document.getElementById('artist-burna01'));
+    });
+});
+
+describe('search suggestions', () => {
+    const SUGGESTIONS = [
+        { id: 'future01', name: 'Future', imageUrl: 'f.jpg', rankInTop100: 3 },
+        { id: 'future02', name: 'Future Islands', imageUrl: 'fi.jpg', rankInTop100: -1 }
+    ];
+
+    async function type(text) {
+        await openPage({ '/api/search-artist/suggest': () => ({ body: { query: text, suggestions: SUGGESTIONS } }) });
+        const input = page.document.getElementById('artist-search-input');
+        input.value = text;
+        input.dispatchEvent(new page.window.Event('input'));
+        const listbox = page.document.getElementById('artist-suggestions');
+        await page.waitFor(() => !listbox.hidden);
+        return { input, listbox };
+    }
+
+    const press = (input, key) => input.dispatchEvent(new page.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+
+    it('lists suggestions with a rank chip for ranked artists', async () => {
+        const { input, listbox } = await type('fut');
+        const request = page.requests.find(url => url.pathname === '/api/search-artist/suggest');
+        assert.equal(request.searchParams.get('q'), 'fut');
+
+        assert.equal(input.getAttribute('aria-expanded'), 'true');
+        const options = [...listbox.querySelectorAll('[role="option"]')];
+        assert.deepEqual(options.map(o => o.querySelector('.suggestion-name').textContent), ['Future', 'Future Islands']);
+        assert.equal(options[0].querySelector('.suggestion-rank').textContent, '#3');
+        assert.equal(options[1].querySelector('.suggestion-rank'), null);
+    });
+
+    it('moves through options with the arrow keys and picks with Enter', async () => {
+        const { input, listbox } = await type('fut');
+        press(input, 'ArrowDown');
+        press(input, 'ArrowDown');
+        assert.equal(input.getAttribute('aria-activedescendant'), 'artist-suggestion-1');
+        press(input, 'ArrowUp');
+        assert.equal(input.getAttribute('aria-activedescendant'), 'artist-suggestion-0');
+        assert.equal(listbox.querySelector('[aria-selected="true"]').id, 'artist-suggestion-0');
+
+        press(input, 'Enter');
+        assert.equal(listbox.hidden, true);
+        assert.equal(input.value, 'Future');
+        const results = page.document.getElementById('search-results-display');
+        assert.match(results.querySelector('.rank-badge').textContent, /Rank #3/);
+        assert.ok(page.document.getElementById('artist-future01').classList.contains('highlight-searched'));
+    });
+
+    it('closes on Escape', async () => {
+        const { input, listbox } = await type('fut');
+        press(input, 'Escape');
+        assert.equal(listbox.hidden, true);
+        assert.equal(input.getAttribute('aria-expanded'), 'false');
+    });
+
+    it('waits for two characters', async () => {
+        await openPage();
+        const input = page.document.getElementById('artist-search-input');
+        input.value = 'f';
+        input.dispatchEvent(new page.window.Event('input'));
+        await new Promise(resolve => setTimeout(resolve, 400));
+        assert.ok(!page.requests.some(url => url.pathname === '/api/search-artist/suggest'));
+    });
+});
+
+describe('comparison drawer', () => {
+    const COMPARISON = {
+        ranking: 'default',
+        strategy: 'position-sum',
+        market: null,
+        generatedAt: '2026-01-01T00:00:00.000Z',
+        queries: ['pop', 'trap'],
+        sharedQueries: ['trap'],
+        artists: [
+            { id: 'drake01', name: 'Drake', imageUrl: 'd.jpg', rank: 1, score: 30, queries: ['pop', 'trap'], appearances: [{ query: 'pop', position: 1, points: 20 }, { query: 'trap', position: 2, points: 10 }], history: [{ rank: 4 }, { rank: 1 }] },
+            { id: 'future01', name: 'Future', imageUrl: 'f.jpg', rank: 3, score: 15, queries: ['trap'], appearances: [{ query: 'trap', position: 1, points: 15 }], history: [] }
+        ]
+    };
+
+    const toggle = id => page.document.querySelector(`#artist-${id} .compare-toggle`);
+
+    it('collects artists from the list and compares them', async () => {
+        await openPage({ '/api/compare': () => ({ body: COMPARISON }) });
+        const drawer = page.document.getElementById('compare-drawer');
+        assert.equal(drawer.hidden, true);
+
+        toggle('drake01').click();
+        assert.equal(drawer.hidden, false);
+        assert.equal(toggle('drake01').getAttribute('aria-pressed'), 'true');
+        assert.match(drawer.textContent, /Pick at least one more artist/);
+        assert.equal(page.window.location.hash, '', 'the toggle must not open the detail panel');
+
+        toggle('future01').click();
+        await page.waitFor(() => drawer.querySelector('.compare-table'));
+        const request = page.requests.find(url => url.pathname === '/api/compare');
+        assert.equal(request.searchParams.get('ids'), 'drake01,future01');
+
+        assert.match(drawer.textContent, /Shared queries: "trap"/);
+        assert.match(drawer.textContent, /Not in Top 100|#3/);
+        assert.equal(drawer.querySelectorAll('.shared-query').length, 1);
+    });
+
+    it('caps the selection at four artists', async () => {
+        await openPage({ '/api/compare': () => ({ body: COMPARISON }) });
+        for (const id of ['drake01', 'tyla01', 'future01', 'sza01']) toggle(id).click();
+        assert.equal(toggle('burna01').disabled, true);
+
+        toggle('sza01').click();
+        assert.equal(toggle('burna01').disabled, false);
+        await page.waitFor(() => page.document.querySelector('#compare-content .compare-table'));
+    });
+
+    it('adds the searched artist and removes chips', async () => {
+        await openPage({
+            '/api/search-artist': () => ({ body: { candidates: [{ id: 'adele01', name: 'Adele', imageUrl: 'a.jpg', rankInTop100: -1, confidence: 1, reason: 'exact' }] } })
+        });
+        page.document.getElementById('artist-search-input').value = 'adele';
+        await page.window.searchArtist();
+        page.document.querySelector('#search-results-display .compare-toggle').click();
+
+        const chips = page.document.getElementById('compare-chips');
+        assert.match(chips.textContent, /Adele/);
+        chips.querySelector('.compare-chip-remove').click();
+        assert.equal(page.document.getElementById('compare-drawer').hidden, true);
+    });
+});
+
+describe('watchlist', () => {
+    const entry = (id, name) => ({ id, name, imageUrl: `${id}.jpg`, moveThreshold: 5, addedAt: '2026-01-01T00:00:00.000Z' });
+    const star = id => page.document.querySelector(`#artist-${id} .star-toggle`);
+    const strip = () => page.document.getElementById('my-artists');
+
+    it('pins starred artists in the My artists strip with their rank', async () => {
+        await openPage({
+            '/api/watchlist': () => ({ body: { market: null, artists: [entry('adele01', 'Adele'), entry('tyla01', 'Tyla')] } })
+        });
+        await page.waitFor(() => !strip().hidden);
+
+        const cards = [...strip().querySelectorAll('.my-artist')];
+        assert.deepEqual(cards.map(card => card.querySelector('.my-artist-name').textContent), ['Tyla', 'Adele']);
+        assert.equal(cards[0].querySelector('.my-artist-rank').textContent, '#2');
+        assert.equal(cards[1].querySelector('.my-artist-rank').textContent, 'Not in the Top 100');
+        assert.equal(cards[0].getAttribute('href'), '#artist/tyla01');
+        assert.equal(star('tyla01').getAttribute('aria-pressed'), 'true');
+        assert.equal(star('drake01').getAttribute('aria-pressed'), 'false');
+    });
+
+    it('stars and unstars rows through the API', async () => {
+        const calls = [];
+        await openPage({
+            '/api/watchlist': (url, init) => {
+                if (init.method === 'POST') {
+                    calls.push(['POST', JSON.parse(init.body)]);
+                    return { status: 201, body: entry('future01', 'Future') };
+                }
+                return emptyWatchlist();
+            },
+            '/api/watchlist/future01': (url, init) => {
+                calls.push([init.method]);
+                return { status: 204, body: null };
+            }
+        });
+        assert.equal(strip().hidden, true);
+
+        star('future01').click();
+        await page.waitFor(() => !strip().hidden);
+        assert.deepEqual(calls[0], ['POST', { id: 'future01' }]);
+        assert.equal(star('future01').getAttribute('aria-pressed'), 'true');
+        assert.match(strip().textContent, /Future#3/);
+        assert.equal(page.window.location.hash, '', 'the star must not open the detail panel');
+
+        star('future01').click();
+        await page.waitFor(() => strip().hidden);
+        assert.deepEqual(calls[1], ['DELETE']);
+        assert.equal(star('future01').getAttribute('aria-pressed'), 'false');
+    });
+
+    it('asks for the watchlist token once and sends it with changes', async () => {
+        const authorizations = [];
+        await openPage({
+            '/api/watchlist': (url, init) => {
+                if (init.method !== 'POST') return emptyWatchlist();
+                authorizations.push(init.headers.Authorization);
+                return init.headers.Authorization === 'Bearer team-token'
+                    ? { status: 201, body: entry('drake01', 'Drake') }
+                    : { status: 401, body: { error: 'A valid watchlist token is required' } };
+            },
+            '/api/watchlist/drake01': (url, init) => {
+                authorizations.push(init.headers.Authorization);
+                return { status: 204, body: null };
+            }
+        });
+        const prompts = [];
+        page.window.prompt = (message) => {
+            prompts.push(message);
+            return ' team-token ';
+        };
+
+        star('drake01').click();
+        await page.waitFor(() => star('drake01').getAttribute('aria-pressed') === 'true');
+        star('drake01').click();
+        await page.waitFor(() => star('drake01').getAttribute('aria-pressed') === 'false');
+
+        assert.equal(prompts.length, 1);
+        assert.deepEqual(authorizations, [undefined, 'Bearer team-token', 'Bearer team-token']);
+        assert.equal(page.window.localStorage.getItem('watchlistToken'), 'team-token');
+    });
+
+    it('shows the refusal when no token is given', async () => {
+        await openPage({
+            '/api/watchlist': (url, init) => init.method === 'POST'
+                ? { status: 401, body: { error: 'A valid watchlist token is required' } }
+                : emptyWatchlist()
+        });
+        page.window.prompt = () => null;
+        star('drake01').click();
+        await page.waitFor(() => star('drake01').title);
+        assert.match(star('drake01').title, /watchlist token is required/);
+        assert.equal(star('drake01').getAttribute('aria-pressed'), 'false');
+    });
+
+    it('keeps the star unchanged when the API refuses', async () => {
+        await openPage({
+            '/api/watchlist': (url, init) => init.method === 'POST'
+                ? { status: 409, body: { error: 'The watchlist is full (100 artists)' } }
+                : emptyWatchlist()
+        });
+        star('drake01').click();
+        await page.waitFor(() => star('drake01').title);
+        assert.match(star('drake01').title, /watchlist is full/);
+        assert.equal(star('drake01').getAttribute('aria-pressed'), 'false');
+    });
+});
@@ -0,0 +1,78 @@
+// test/helpers/dom.js
+//
+// Loads public/index.html and public/script.js into jsdom with fetch() answered by
+// in-test route handlers, so the page's rendering can be tested without a server.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JSDOM } from 'jsdom';
+
+const __filename = fileURLToPath(import.meta.url);
+const PUBLIC_DIR = path.join(path.dirname(__filename), '../../public');
+
+// 204 responses may not carry a body
+const json = (status, body, headers = {}) => new Response(status === 204 ? null : JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+});
+
+// routes maps a pathname to (url, init) => ({ status, body, headers }) or throws to simulate
+// a network failure; init is fetch()'s second argument ({ method, body, ... }).
+// Unrouted requests answer 404.
+// Resolves to { window, document, requests, streams, waitFor(predicate), close() }; streams
+// holds every EventSource the page opened, and stream.emit(event, data) delivers to it.
+export function loadPage({ routes = {} } = {}) {
+    const html = fs.readFileSync(path.join(PUBLIC_DIR, 'index.html'), 'utf8');
+    const dom = new JSDOM(html, { url: 'http://localhost:3000/', runScripts: 'dangerously', pretendToBeVisual: true });
+    const { window } = dom;
+    const requests = [];
+
+    window.fetch = async (input, init = {}) => {
+        const url = new URL(input, window.location.href);
+        requests.push(url);
+        const handler = routes[url.pathname];
+        if (!handler) return json(404, { error: 'Not found' });
+        const { status = 200, body, headers } = await handler(url, init);
+        return json(status, body, headers);
+    };
+    // Browser APIs jsdom doesn't implement
+    window.IntersectionObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+    window.HTMLElement.prototype.scrollIntoView = function () {};
+    window.Element.prototype.animate = function () {};
+    const streams = [];
+    window.EventSource = class {
+        constructor(url) {
+            this.url = new URL(url, window.location.href);
+            this.listeners = {};
+            this.closed = false;
+            streams.push(this);
+        }
+        addEventListener(type, listener) {
+            (this.listeners[type] ||= []).push(listener);
+        }
+        close() {
+            this.closed = true;
+        }
+        emit(type, data) {
+            const event = new window.MessageEvent(type, { data: JSON.stringify(data) });
+            (this.listeners[type] || []).forEach(listener => listener(event));
+        }
+    };
+
+    window.eval(fs.readFileSync(path.join(PUBLIC_DIR, 'script.js'), 'utf8'));
+
+    // Polls until predicate() is truthy; the page renders after short animation delays
+    const waitFor = async (predicate, timeout = 2000) => {
+        const started = Date.now();
+        while (!predicate()) {
+            if (Date.now() - started > timeout) throw new Error('Timed out waiting for the page');
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+    };
+
+    return { window, document: window.document, requests, streams, waitFor, close: () => window.close() };
+}
@@ -0,0 +1,46 @@
+// test/helpers/http.js
+import http from 'http';
+
+async function listen(server) {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// Serves an Express app on a random local port
+export function serveExpressApp(app) {
+    return listen(http.createServer(app));
+}
+
+// Serves a Vercel-style (req, res) handler, adding the helpers Vercel's Node runtime
+// provides: req.query, res.status() and res.json()
+export function serveVercelHandler(handler) {
+    return listen(http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        req.query = Object.fromEntries(url.searchParams);
+        res.status = code => {
+            res.statusCode = code;
+            return res;
+        };
+        res.json = body => {
+            res.setHeader('Content-Type', 'application/json; charset=utf-8');
+            res.end(JSON.stringify(body));
+            return res;
+        };
+        handler(req, res);
+    }));
+}
+
+// GET with exact request headers. fetch() adds Cache-Control: no-cache to conditional
+// requests, which makes Express ignore If-None-Match, so 304 checks go through here.
+export function rawGet(url, headers = {}) {
+    return new Promise((resolve, reject) => {
+        http.get(url, { headers }, res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+        }).on('error', reject);
+    });
+}
@@ -0,0 +1,174 @@
+// test/helpers/spotify-stand-in.js
+//
+// A local stand-in for accounts.spotify.com/api/token, api.spotify.com/v1/search, the
+// /v1/artists/:id (plus /top-tracks and /albums) endpoints and artist photos (/image/:name).
+// Search matches the query against a fixed roster (names and genres), so every run
+// returns the same results. Artists with a `markets` list are only found by searches
+// without a market or with one of those markets. Special queries:
+//   "nobody"      - no results
+//   "bad-request" - HTTP 400 (a failure the client does not retry)
+// Other failures are scripted per test with standIn.fail() (see startSpotifyStandIn).
+import http from 'http';
+
+export const ROSTER = [
+    { id: 'drake01', name: 'Drake', genres: ['hip hop', 'rap', 'pop'] },
+    { id: 'future01', name: 'Future', genres: ['trap', 'hip hop'] },
+    { id: 'future02', name: 'Future Islands', genres: ['indie', 'synthpop'] },
+    { id: 'beyonce01', name: 'Beyoncé', genres: ['pop', 'r&b'] },
+    { id: 'burna01', name: 'Burna Boy', genres: ['afrobeats', 'dancehall'] },
+    { id: 'wizkid01', name: 'Wizkid', genres: ['afrobeats', 'pop'] },
+    { id: 'sautisol01', name: 'Sauti Sol', genres: ['afropop', 'band'], markets: ['KE'] },
+    { id: 'taylor01', name: 'Taylor Swift', genres: ['pop', 'country'] },
+    { id: 'bob01', name: 'Bob Marley & The Wailers', genres: ['reggae', 'roots reggae'] },
+    { id: 'acdc01', name: 'AC/DC', genres: ['rock', 'hard rock'] },
+    { id: 'daft01', name: 'Daft Punk', genres: ['dance', 'electro'] },
+    { id: 'kendrick01', name: 'Kendrick Lamar', genres: ['hip hop', 'rap'] },
+    { id: 'tyla01', name: 'Tyla', genres: ['amapiano', 'pop'], markets: ['KE', 'NG'] },
+    { id: 'bts01', name: 'BTS', genres: ['k-pop'] },
+    { id: 'shakira01', name: 'Shakira', genres: ['latin pop', 'dance'] },
+    { id: 'noimage01', name: 'Anonymous Artist', genres: ['pop'], noImage: true }
+];
+
+const normalize = value => value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// A 1x1 PNG served for every artist photo
+export const PHOTO_PNG = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64'
+);
+
+// Artist photos are served by the stand-in itself (/image/:name), so nothing leaves the machine
+let imageBaseUrl = 'https://i.scdn.co';
+
+function toSpotifyArtist(artist) {
+    return {
+        id: artist.id,
+        name: artist.name,
+        type: 'artist',
+        genres: artist.genres,
+        external_urls: { spotify: `https://open.spotify.com/artist/${artist.id}` },
+        images: artist.noImage ? [] : [
+            { url: `${imageBaseUrl}/image/${artist.id}-640`, width: 640, height: 640 },
+            { url: `${imageBaseUrl}/image/${artist.id}-320`, width: 320, height: 320 }
+        ]
+    };
+}
+
+function toSpotifyTracks(artist) {
+    return [1, 2].map(n => ({
+        id: `${artist.id}-track${n}`,
+        name: `${artist.name} Hit ${n}`,
+        preview_url: null,
+        external_urls: { spotify: `https://open.spotify.com/track/${artist.id}-track${n}` },
+        album: { name: `${artist.name} Album`, images: [{ url: `https://i.scdn.co/image/${artist.id}-album` }] }
+    }));
+}
+
+function toSpotifyAlbums(artist) {
+    return ['2019-05-10', '2024-11-01', '2022-02-14'].map((releaseDate, n) => ({
+        id: `${artist.id}-album${n}`,
+        name: `${artist.name} Release ${n}`,
+        album_type: n === 1 ? 'single' : 'album',
+        release_date: releaseDate,
+        images: [{ url: `https://i.scdn.co/image/${artist.id}-album${n}` }],
+        external_urls: { spotify: `https://open.spotify.com/album/${artist.id}-album${n}` }
+    }));
+}
+
+export function searchRoster(query, market) {
+    const needle = normalize(query);
+    return ROSTER.filter(artist =>
+        (!market || !artist.markets || artist.markets.includes(market)) &&
+        (normalize(artist.name).includes(needle) || artist.genres.some(g => normalize(g).includes(needle)))
+    );
+}
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+// Starts the stand-in on a random local port; `latency` (ms) delays every answer.
+// Resolves to { accountsBaseUrl, apiBaseUrl, requests, fail(), maxInFlight(), close() }.
+// fail({ path, q }, status, { times, headers }) answers the next `times` requests for that
+// path (and search query, if given) with `status` before serving them normally again.
+export async function startSpotifyStandIn({ latency = 0 } = {}) {
+    const requests = [];
+    const failures = [];
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        res.on('close', () => inFlight--);
+        if (latency) await new Promise(resolve => setTimeout(resolve, latency));
+
+        const failure = failures.find(f => f.times > 0 && f.path === url.pathname &&
+            (f.q === undefined || f.q === url.searchParams.get('q')));
+        if (failure) {
+            failure.times--;
+            res.writeHead(failure.status, { 'Content-Type': 'application/json', ...failure.headers });
+            return res.end(JSON.stringify({ error: { status: failure.status, message: 'Scripted failure' } }));
+        }
+
+        if (req.method === 'POST' && url.pathname === '/api/token') {
+            return sendJson(res, 200, { access_token: 'stand-in-token', token_type: 'Bearer', expires_in: 3600 });
+        }
+
+        if (req.method === 'GET' && url.pathname.startsWith('/v1/') && req.headers.authorization !== 'Bearer stand-in-token') {
+            return sendJson(res, 401, { error: { status: 401, message: 'Invalid access token' } });
+        }
+
+        if (req.method === 'GET' && url.pathname.startsWith('/image/')) {
+            res.writeHead(200, { 'Content-Type': 'image/png' });
+            return res.end(PHOTO_PNG);
+        }
+
+        const artistRoute = url.pathname.match(/^\/v1\/artists\/([^/]+)(\/top-tracks|\/albums)?$/);
+        if (req.method === 'GET' && artistRoute) {
+            const artist = ROSTER.find(a => a.id === artistRoute[1]);
+            if (!artist) return sendJson(res, 404, { error: { status: 404, message: 'Resource not found' } });
+            if (artistRoute[2] === '/top-tracks') return sendJson(res, 200, { tracks: toSpotifyTracks(artist) });
+            if (artistRoute[2] === '/albums') return sendJson(res, 200, { items: toSpotifyAlbums(artist) });
+            return sendJson(res, 200, toSpotifyArtist(artist));
+        }
+
+        if (req.method === 'GET' && url.pathname === '/v1/search') {
+            const q = url.searchParams.get('q') || '';
+            if (q === 'bad-request') return sendJson(res, 400, { error: { status: 400, message: 'Bad request' } });
+
+            const limit = Number(url.searchParams.get('limit') || 20);
+            const offset = Number(url.searchParams.get('offset') || 0);
+            const matches = q === 'nobody' ? [] : searchRoster(q, url.searchParams.get('market'));
+
+            return sendJson(res, 200, {
+                artists: {
+                    items: matches.slice(offset, offset + limit).map(toSpotifyArtist),
+                    limit,
+                    offset,
+                    total: matches.length
+                }
+            });
+        }
+
+        sendJson(res, 404, { error: { status: 404, message: 'Not found' } });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    imageBaseUrl = base;
+
+    return {
+        accountsBaseUrl: base,
+        apiBaseUrl: `${base}/v1`,
+        requests,
+        fail: ({ path, q }, status, { times = 1, headers = {} } = {}) => {
+            failures.push({ path, q, status, times, headers });
+        },
+        maxInFlight: () => maxInFlight,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
@@ -0,0 +1,103 @@
+// test/list-query.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseListQuery, applyListQuery, normalizeName, countGenres, parseMarket } from '../lib/list-query.js';
+
+const ARTISTS = [
+    { rank: 1, id: 'drake01', name: 'Drake', imageUrl: 'd.jpg', genres: ['hip hop', 'pop'], score: 30, contributions: [{ query: 'pop', points: 30 }] },
+    { rank: 2, id: 'beyonce01', name: 'Beyoncé', imageUrl: 'b.jpg', genres: ['pop', 'r&b'], score: 20, contributions: [] },
+    { rank: 3, id: 'future01', name: 'Future', imageUrl: 'f.jpg', genres: ['hip hop', 'trap'], score: 10, contributions: [] }
+];
+
+describe('parseListQuery', () => {
+    it('defaults to the whole list without contributions', () => {
+        assert.deepEqual(parseListQuery({}), {
+            options: { limit: undefined, offset: 0, q: null, genre: null, fields: null, explain: false }
+        });
+    });
+
+    it('parses paging, search, fields and explain', () => {
+        const { options } = parseListQuery({ limit: '2', offset: '1', q: ' fut ', genre: ' Hip Hop ', fields: 'rank, name', explain: '1' });
+        assert.deepEqual(options, { limit: 2, offset: 1, q: 'fut', genre: 'Hip Hop', fields: ['rank', 'name'], explain: true });
+    });
+
+    it('turns on explain when contributions are projected', () => {
+        assert.equal(parseListQuery({ fields: 'name,contributions' }).options.explain, true);
+    });
+
+    it('collects every problem', () => {
+        const { errors } = parseListQuery({ limit: '0', offset: '-1', fields: 'name,followers' });
+        assert.equal(errors.length, 3);
+        assert.match(errors[2], /Unknown field\(s\): followers/);
+    });
+});
+
+describe('applyListQuery', () => {
+    it('pages and counts matches before paging', () => {
+        const { total, artists } = applyListQuery(ARTISTS, { limit: 1, offset: 1 });
+        assert.equal(total, 3);
+        assert.deepEqual(artists.map(a => a.id), ['beyonce01']);
+    });
+
+    it('filters by name ignoring case and accents', () => {
+        const { total, artists } = applyListQuery(ARTISTS, { q: 'BEYONCE' });
+        assert.equal(total, 1);
+        assert.equal(artists[0].id, 'beyonce01');
+    });
+
+    it('filters by genre and re-numbers ranks inside it', () => {
+        const { total, artists } = applyListQuery(ARTISTS, { genre: 'Hip Hop' });
+        assert.equal(total, 2);
+        assert.deepEqual(artists.map(a => [a.id, a.rank, a.overallRank]), [['drake01', 1, 1], ['future01', 2, 3]]);
+        assert.equal(applyListQuery(ARTISTS, { genre: 'hip hop', q: 'fut' }).artists[0].rank, 2);
+        assert.equal(applyListQuery(ARTISTS, { genre: 'polka' }).total, 0);
+    });
+
+    it('strips contributions unless explaining', () => {
+        assert.ok(!('contributions' in applyListQuery(ARTISTS, {}).artists[0]));
+        assert.ok('contributions' in applyListQuery(ARTISTS, { explain: true }).artists[0]);
+    });
+
+    it('projects fields in the requested order', () => {
+        const { artists } = applyListQuery(ARTISTS, { fields: ['name', 'rank', 'movement'] });
+        assert.deepEqual(artists[0], { name: 'Drake', rank: 1, movement: null });
+    });
+});
+
+describe('countGenres', () => {
+    it('counts artists per genre, most common first', () => {
+        assert.deepEqual(countGenres(ARTISTS), [
+            { genre: 'hip hop', count: 2 },
+            { genre: 'pop', count: 2 },
+            { genre: 'r&b', count: 1 },
+            { genre: 'trap', count: 1 }
+        ]);
+        assert.deepEqual(countGenres([{ id: 'x' }]), []);
+    });
+
+    it('counts each artist once per genre, however it is spelled', () => {
+        const artists = [
+            { id: 'a', genres: ['Hip Hop', 'hip hop', 'Música Urbana'] },
+            { id: 'b', genres: ['hip hop', 'musica urbana'] }
+        ];
+        assert.deepEqual(countGenres(artists), [
+            { genre: 'Hip Hop', count: 2 },
+            { genre: 'Música Urbana', count: 2 }
+        ]);
+        assert.equal(applyListQuery(artists, { genre: 'Hip Hop' }).total, 2);
+    });
+});
+
+describe('normalizeName', () => {
+    it('lowercases, trims and strips diacritics', () => {
+        assert.equal(normalizeName('  Beyoncé '), 'beyonce');
+    });
+});
+
+describe('parseMarket', () => {
+    it('takes a configured market in any case, and nothing or "global" for no market', () => {
+        assert.deepEqual(parseMarket('ke', ['KE', 'NG']), { market: 'KE' });
+        for (const value of [undefined, '', 'global']) assert.deepEqual(parseMarket(value, ['KE']), { market: null });
+        assert.deepEqual(parseMarket('ZZ', ['KE']), { error: 'Unknown market "ZZ"' });
+    });
+});
@@ -0,0 +1,42 @@
+// test/metrics.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Counter, Histogram, renderMetrics } from '../lib/metrics.js';
+
+describe('Counter', () => {
+    it('keeps one series per label set', () => {
+        const counter = new Counter('test_counter_total', 'A test counter', ['kind']);
+        counter.inc({ kind: 'a' });
+        counter.inc({ kind: 'a' }, 2);
+        counter.inc({ kind: 'b "quoted"' });
+        assert.deepEqual(counter.render(), [
+            'test_counter_total{kind="a"} 3',
+            'test_counter_total{kind="b \\"quoted\\""} 1'
+        ]);
+    });
+});
+
+describe('Histogram', () => {
+    it('counts observations into cumulative buckets', () => {
+        const histogram = new Histogram('test_duration_seconds', 'A test histogram', ['op'], [0.1, 1]);
+        histogram.observe({ op: 'x' }, 0.05);
+        histogram.observe({ op: 'x' }, 0.5);
+        histogram.observe({ op: 'x' }, 3);
+        assert.deepEqual(histogram.render(), [
+            'test_duration_seconds_bucket{op="x",le="0.1"} 1',
+            'test_duration_seconds_bucket{op="x",le="1"} 2',
+            'test_duration_seconds_bucket{op="x",le="+Inf"} 3',
+            'test_duration_seconds_sum{op="x"} 3.55',
+            'test_duration_seconds_count{op="x"} 3'
+        ]);
+    });
+});
+
+describe('renderMetrics', () => {
+    it('renders every metric with its HELP and TYPE lines', () => {
+        const text = renderMetrics();
+        assert.match(text, /# HELP spotify_requests_total .+\n# TYPE spotify_requests_total counter/);
+        assert.match(text, /# TYPE ranking_compute_duration_seconds histogram/);
+        assert.ok(text.endsWith('\n'));
+    });
+});
@@ -0,0 +1,110 @@
+// test/ranking-events.test.js
+//
+// rankingEvents: the "diff" emitted when a scored ranking is replaced by a newer one, which
+// /api/artists-ranking/stream forwards to the page. Rankings expire after 200ms here so a
+// second read recomputes.
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startSpotifyStandIn } from './helpers/spotify-stand-in.js';
+
+const CACHE_LIFETIME = 200;
+
+let standIn;
+let rankings;
+let diffRankings;
+let diffUpdates;
+let snapshotDir;
+
+before(async () => {
+    standIn = await startSpotifyStandIn();
+    snapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ranking-events-'));
+    Object.assign(process.env, {
+        VERCEL: '1',
+        SPOTIFY_CLIENT_ID: 'test-client-id',
+        SPOTIFY_CLIENT_SECRET: 'test-client-secret',
+        SPOTIFY_ACCOUNTS_BASE_URL: standIn.accountsBaseUrl,
+        SPOTIFY_API_BASE_URL: standIn.apiBaseUrl,
+        SNAPSHOT_DIR: snapshotDir,
+        CACHE_LIFETIME: String(CACHE_LIFETIME),
+        STALE_LIFETIME: '0',
+        LOG_LEVEL: 'silent'
+    });
+
+    rankings = await import('../lib/rankings.js');
+    ({ diffRankings, diffUpdates } = await import('../lib/ranking-diff.js'));
+});
+
+after(async () => {
+    await rankings.cache.close();
+    await standIn.close();
+});
+
+const expire = () => new Promise(resolve => setTimeout(resolve, CACHE_LIFETIME + 20));
+
+// Collects the diffs emitted while fn runs
+async function diffsDuring(fn) {
+    const diffs = [];
+    const onDiff = (key, diff) => diffs.push({ key, diff });
+    rankings.rankingEvents.on('diff', onDiff);
+    try {
+        await fn();
+    } finally {
+        rankings.rankingEvents.off('diff', onDiff);
+    }
+    return diffs;
+}
+
+describe('rankingEvents diff', () => {
+    it('emits what changed when a newer ranking replaces the current one', async () => {
+        const first = await rankings.getArtistsRanking();
+        await expire();
+
+        // Without "pop" results the ranking comes back degraded and reshuffled
+        standIn.fail({ path: '/v1/search', q: 'pop' }, 404, { times: 3 });
+        let second;
+        const diffs = await diffsDuring(async () => { second = await rankings.getArtistsRanking(); });
+
+        assert.equal(diffs.length, 1);
+        const [{ key, diff }] = diffs;
+        assert.equal(key, 'default:global:position-sum');
+        assert.equal(diff.generatedAt, new Date(second.generatedAt).toISOString());
+        assert.equal(diff.previousGeneratedAt, new Date(first.generatedAt).toISOString());
+        assert.equal(diff.degraded, true);
+
+        const { entered, left, moved } = diffRankings(first.artists, second.artists);
+        assert.deepEqual({ entered: diff.entered, left: diff.left, moved: diff.moved }, { entered, left, moved });
+        assert.ok(moved.length > 0, 'dropping a query should move artists');
+        for (const artist of diff.moved) {
+            assert.equal(artist.from, first.artists.find(a => a.id === artist.id).rank);
+            assert.equal(artist.rank, second.artists.find(a => a.id === artist.id).rank);
+        }
+        // Artists that kept their rank but changed otherwise come as they are now
+        assert.deepEqual(diff.updated, diffUpdates(first.artists, second.artists));
+        for (const artist of diff.updated) {
+            assert.deepEqual(artist, second.artists.find(a => a.id === artist.id));
+        }
+    });
+
+    it('emits nothing while the ranking is served from the cache', async () => {
+        await expire();
+        await rankings.getArtistsRanking();
+        const diffs = await diffsDuring(() => rankings.getArtistsRanking());
+        assert.deepEqual(diffs, []);
+    });
+
+    it('keys diffs by ranking, market and strategy', async () => {
+        await rankings.getArtistsRanking({ strategy: 'rrf', market: 'KE' });
+        await expire();
+
+        const diffs = await diffsDuring(() => rankings.getArtistsRanking({ strategy: 'rrf', market: 'KE' }));
+        assert.deepEqual(diffs.map(d => d.key), ['default:KE:rrf']);
+        assert.equal(diffs[0].diff.degraded, false);
+    });
+
+    it('stores no snapshots unless the process opts in', () => {
+        assert.deepEqual(fs.readdirSync(snapshotDir), []);
+    });
+});
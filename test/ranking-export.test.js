@@ -0,0 +1,77 @@
+// test/ranking-export.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv, toJsonLines, toAtomFeed } from '../lib/ranking-export.js';
+import { diffRankings, diffUpdates } from '../lib/ranking-diff.js';
+
+const GENERATED_AT = Date.parse('2026-01-02T03:04:05.000Z');
+
+describe('toCsv', () => {
+    it('quotes commas and quotes, and defuses spreadsheet formulas', () => {
+        const csv = toCsv([
+            { rank: 1, id: 'a1', name: 'Earth, Wind & Fire', imageUrl: 'a.jpg', score: 10 },
+            { rank: 2, id: 'b2', name: 'The "Band"', imageUrl: 'b.jpg', score: 5 },
+            { rank: 3, id: 'c3', name: '=HYPERLINK("x")', imageUrl: null, score: 1 }
+        ], GENERATED_AT);
+
+        assert.equal(csv, [
+            'rank,id,name,imageUrl,score,generatedAt',
+            '1,a1,"Earth, Wind & Fire",a.jpg,10,2026-01-02T03:04:05.000Z',
+            '2,b2,"The ""Band""",b.jpg,5,2026-01-02T03:04:05.000Z',
+            `3,c3,"'=HYPERLINK(""x"")",,1,2026-01-02T03:04:05.000Z`,
+            ''
+        ].join('\r\n'));
+    });
+});
+
+describe('toJsonLines', () => {
+    it('writes one export row per line', () => {
+        const lines = toJsonLines([{ rank: 1, id: 'a1', name: 'A', imageUrl: 'a.jpg', score: 3, movement: 'up' }], GENERATED_AT);
+        assert.equal(lines, '{"rank":1,"id":"a1","name":"A","imageUrl":"a.jpg","score":3,"generatedAt":"2026-01-02T03:04:05.000Z"}\n');
+    });
+});
+
+describe('diffRankings', () => {
+    it('reports who entered, left and moved', () => {
+        const previous = [{ id: 'a', rank: 1 }, { id: 'b', rank: 2 }, { id: 'c', rank: 3 }];
+        const current = [{ id: 'b', rank: 1 }, { id: 'd', rank: 2 }, { id: 'a', rank: 3 }];
+        assert.deepEqual(diffRankings(previous, current), {
+            entered: [{ id: 'd', rank: 2 }],
+            left: [{ id: 'c', rank: 3 }],
+            moved: [{ id: 'b', rank: 1, from: 2 }, { id: 'a', rank: 3, from: 1 }]
+        });
+    });
+
+    it('reports artists that kept their rank but changed otherwise', () => {
+        const previous = [{ id: 'a', rank: 1, movement: 'up' }, { id: 'b', rank: 2, movement: 'same' }, { id: 'c', rank: 3, movement: 'new' }];
+        const current = [{ id: 'a', rank: 1, movement: 'same' }, { id: 'b', rank: 2, movement: 'same' }, { id: 'd', rank: 3, movement: 'new' }];
+        assert.deepEqual(diffUpdates(previous, current), [{ id: 'a', rank: 1, movement: 'same' }]);
+    });
+});
+
+describe('toAtomFeed', () => {
+    const snapshot = (generatedAt, names) => ({
+        generatedAt,
+        artists: names.map((name, index) => ({ id: name.toLowerCase(), name, rank: index + 1 }))
+    });
+    const options = { title: 'Ranking', siteUrl: 'https://example.com', feedUrl: 'https://example.com/feed' };
+
+    it('adds an entry only when the ranking changed, newest first', () => {
+        const feed = toAtomFeed([
+            snapshot('2026-01-01T00:00:00.000Z', ['A', 'B']),
+            snapshot('2026-01-02T00:00:00.000Z', ['A', 'B']),
+            snapshot('2026-01-03T00:00:00.000Z', ['A', 'C <&>'])
+        ], options);
+
+        const entries = feed.match(/<entry>/g) || [];
+        assert.equal(entries.length, 1);
+        assert.match(feed, /<updated>2026-01-03T00:00:00.000Z<\/updated>/);
+        assert.match(feed, /Ranking update: 1 new entry, 0 big movers/);
+        // Names are escaped twice: once for the HTML content, once for the XML around it
+        assert.ok(feed.includes('C &amp;lt;&amp;amp;&amp;gt;'));
+    });
+
+    it('is valid with no history', () => {
+        assert.match(toAtomFeed([], options), /<feed [^>]*>[\s\S]*<\/feed>/);
+    });
+});
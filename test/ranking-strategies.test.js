@@ -0,0 +1,80 @@
+// test/ranking-strategies.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_STRATEGY, getStrategy, explainScore, listStrategies } from '../lib/ranking-strategies.js';
+
+// An artist found at position 0 for "pop", 3 for "rock" and 12 for "a" (offset 10 + index 2)
+const HITS = [
+    { query: 'pop', position: 0 },
+    { query: 'rock', position: 3 },
+    { query: 'a', position: 12 }
+];
+const CONTEXT = { maxPosition: 30, resultCounts: { pop: 20, rock: 10, a: 30 }, queryWeights: { a: 0.5, legend: 1.5 } };
+
+const score = (name, hits = HITS) => getStrategy(name).score(hits, CONTEXT);
+
+describe('ranking strategies', () => {
+    it('defaults to position-sum', () => {
+        assert.equal(DEFAULT_STRATEGY, 'position-sum');
+        assert.equal(getStrategy().name, 'position-sum');
+    });
+
+    it('returns null for unknown strategies', () => {
+        assert.equal(getStrategy('coin-flip'), null);
+        for (const name of ['constructor', 'toString', 'hasOwnProperty', '__proto__']) {
+            assert.equal(getStrategy(name), null, name);
+        }
+    });
+
+    it('lists every strategy with a description', () => {
+        const strategies = listStrategies();
+        assert.deepEqual(strategies.map(s => s.name), ['position-sum', 'rrf', 'borda', 'query-count', 'weighted']);
+        for (const strategy of strategies) assert.ok(strategy.description);
+    });
+
+    it('position-sum adds (maxPosition - position) per hit', () => {
+        assert.equal(score('position-sum'), (30 - 0) + (30 - 3) + (30 - 12));
+    });
+
+    it('rrf adds 1 / (60 + rank) per hit with 1-based ranks', () => {
+        assert.equal(score('rrf'), 1 / 61 + 1 / 64 + 1 / 73);
+    });
+
+    it('borda awards (results in the query - rank) per hit', () => {
+        assert.equal(score('borda'), (20 - 0 - 1) + (10 - 3 - 1) + (30 - 12 - 1));
+    });
+
+    it('query-count counts distinct queries', () => {
+        assert.equal(score('query-count', [...HITS, { query: 'pop', position: 5 }]), 3);
+    });
+
+    it('weighted applies the configured query weights, 1 for the rest', () => {
+        assert.equal(score('weighted'), 1 * 30 + 1 * 27 + 0.5 * 18);
+        assert.equal(score('weighted', [{ query: 'legend', position: 0 }]), 1.5 * 30);
+        assert.equal(getStrategy('weighted').score(HITS, { maxPosition: 30 }), score('position-sum'));
+    });
+
+    it('scores nothing for an artist without hits', () => {
+        for (const { name } of listStrategies()) assert.equal(score(name, []), 0);
+    });
+
+    describe('explainScore', () => {
+        for (const { name } of listStrategies()) {
+            it(`breaks the ${name} score into per-query parts that add up`, () => {
+                const strategy = getStrategy(name);
+                const parts = explainScore(strategy, HITS, CONTEXT);
+                const total = parts.reduce((sum, part) => sum + part.points, 0);
+                assert.ok(Math.abs(total - strategy.score(HITS, CONTEXT)) < 1e-12);
+            });
+        }
+
+        it('sorts parts by points and reports 1-based positions', () => {
+            const parts = explainScore(getStrategy('position-sum'), [...HITS, { query: 'rock', position: 4 }], CONTEXT);
+            assert.deepEqual(parts, [
+                { query: 'rock', points: 27 + 26, positions: [4, 5] },
+                { query: 'pop', points: 30, positions: [1] },
+                { query: 'a', points: 18, positions: [13] }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,76 @@
+// test/recording.test.js
+//
+// setRecording(): watchlist alerts for a fresh snapshot go out after the ranking is
+// answered, handed to waitUntil where the process may be frozen.
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { startSpotifyStandIn } from './helpers/spotify-stand-in.js';
+
+let standIn;
+let receiver;
+let rankings;
+let watchlist;
+let snapshotDir;
+// Webhook requests, answered only when the test says so
+const held = [];
+
+before(async () => {
+    standIn = await startSpotifyStandIn();
+    receiver = http.createServer((req, res) => {
+        req.resume();
+        held.push(res);
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+    snapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-'));
+    Object.assign(process.env, {
+        SPOTIFY_CLIENT_ID: 'test-client-id',
+        SPOTIFY_CLIENT_SECRET: 'test-client-secret',
+        SPOTIFY_ACCOUNTS_BASE_URL: standIn.accountsBaseUrl,
+        SPOTIFY_API_BASE_URL: standIn.apiBaseUrl,
+        SNAPSHOT_DIR: snapshotDir,
+        WEBHOOK_URLS: `http://127.0.0.1:${receiver.address().port}/hook`,
+        WEBHOOK_SECRET: 'test-secret',
+        LOG_LEVEL: 'silent'
+    });
+    delete process.env.VERCEL;
+
+    rankings = await import('../lib/rankings.js');
+    watchlist = await import('../lib/watchlist.js');
+});
+
+after(async () => {
+    await rankings.cache.close();
+    await standIn.close();
+    await new Promise(resolve => receiver.close(resolve));
+});
+
+describe('watchlist alerts', () => {
+    it('never hold up the ranking', async () => {
+        // Drake was not in the previous ranking, so the next one reports him entering
+        fs.writeFileSync(path.join(snapshotDir, 'snapshots.jsonl'), JSON.stringify({ generatedAt: '2026-01-01T00:00:00.000Z', artists: [] }) + '\n');
+        await watchlist.addToWatchlist({ id: 'drake01', name: 'Drake' });
+
+        const pending = [];
+        rankings.setRecording({ snapshots: true, alerts: true, waitUntil: promise => pending.push(promise) });
+        try {
+            const ranking = await rankings.getArtistsRanking();
+            assert.ok(ranking.artists.some(a => a.id === 'drake01'));
+            assert.equal(pending.length, 1, 'the alerts are handed to waitUntil');
+            let delivered = false;
+            pending[0].then(() => { delivered = true; });
+            await new Promise(resolve => setImmediate(resolve));
+            assert.equal(delivered, false, 'the ranking came back before the webhook was answered');
+
+            while (!held.length) await new Promise(resolve => setTimeout(resolve, 10));
+            held[0].end('ok');
+            await pending[0];
+        } finally {
+            rankings.setRecording();
+        }
+    });
+});
@@ -0,0 +1,605 @@
+// test/routes.test.js
+//
+// Every route of the Express app (api/artists-ranking.js) against the Spotify stand-in.
+// /api/search-artist has its own contract suite in search-contract.test.js.
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startSpotifyStandIn } from './helpers/spotify-stand-in.js';
+import { serveExpressApp, rawGet } from './helpers/http.js';
+
+let standIn;
+let app;
+let server;
+
+before(async () => {
+    standIn = await startSpotifyStandIn();
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'routes-'));
+    Object.assign(process.env, {
+        VERCEL: '1',
+        SPOTIFY_CLIENT_ID: 'test-client-id',
+        SPOTIFY_CLIENT_SECRET: 'test-client-secret',
+        SPOTIFY_ACCOUNTS_BASE_URL: standIn.accountsBaseUrl,
+        SPOTIFY_API_BASE_URL: standIn.apiBaseUrl,
+        SNAPSHOT_DIR: dataDir,
+        // Vercel instances only keep the watchlist in Redis or an explicitly configured file
+        WATCHLIST_FILE: path.join(dataDir, 'watchlist.json'),
+        WATCHLIST_TOKEN: 'test-watchlist-token',
+        LOG_LEVEL: 'silent'
+    });
+
+    ({ default: app } = await import('../api/artists-ranking.js'));
+    server = await serveExpressApp(app);
+});
+
+after(async () => {
+    await server.close();
+    await standIn.close();
+});
+
+async function get(urlPath, options) {
+    const res = await fetch(`${server.baseUrl}${urlPath}`, options);
+    const type = res.headers.get('content-type') || '';
+    const body = type.startsWith('application/json') ? await res.json() : await res.text();
+    return { status: res.status, headers: res.headers, body };
+}
+
+describe('GET /', () => {
+    it('serves the page', async () => {
+        const { status, headers, body } = await get('/');
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /text\/html/);
+        assert.match(body, /id="artist-list"/);
+    });
+
+    it('sends a strict Content-Security-Policy', async () => {
+        const { headers } = await get('/');
+        const policy = headers.get('content-security-policy');
+        assert.match(policy, /script-src 'self'(;|$)/);
+        assert.match(policy, /style-src 'self'(;|$)/);
+        assert.match(policy, /frame-ancestors 'none'/);
+    });
+
+    it('allows the placeholder image of artists without a photo', async () => {
+        const { body } = await get('/api/search-artist?name=anonymous');
+        const placeholder = new URL(body.imageUrl, server.baseUrl);
+        assert.equal(placeholder.origin, server.baseUrl, 'the placeholder is served by the app');
+
+        const { headers } = await get('/');
+        const imageSources = headers.get('content-security-policy').match(/img-src ([^;]+)/)[1].split(' ');
+        assert.ok(imageSources.includes("'self'"));
+
+        const image = await get(placeholder.pathname);
+        assert.equal(image.status, 200);
+        assert.match(image.headers.get('content-type'), /image\/svg\+xml/);
+    });
+});
+
+describe('GET /api/artists-ranking', () => {
+    it('returns the ranking envelope', async () => {
+        const { status, body } = await get('/api/artists-ranking');
+        assert.equal(status, 200);
+        assert.deepEqual(Object.keys(body), [
+            'ranking', 'strategy', 'market', 'generatedAt', 'expiresAt', 'degraded', 'total', 'limit', 'offset', 'artists'
+        ]);
+        assert.equal(body.ranking, 'default');
+        assert.equal(body.strategy, 'position-sum');
+        assert.equal(body.market, null);
+        assert.equal(body.degraded, false);
+        assert.equal(body.total, body.artists.length);
+    });
+
+    it('numbers ranks in order of descending score', async () => {
+        const { body } = await get('/api/artists-ranking');
+        body.artists.forEach((artist, index) => {
+            assert.equal(artist.rank, index + 1);
+            if (index) assert.ok(body.artists[index - 1].score >= artist.score);
+        });
+    });
+
+    it('leaves out artists without images', async () => {
+        const { body } = await get('/api/artists-ranking');
+        assert.ok(body.artists.length > 0);
+        assert.ok(!body.artists.some(a => a.id === 'noimage01'));
+        for (const artist of body.artists) assert.ok(artist.imageUrl);
+    });
+
+    it('explains scores with contributions that add up', async () => {
+        const { body } = await get('/api/artists-ranking?explain=1');
+        for (const artist of body.artists) {
+            const total = artist.contributions.reduce((sum, c) => sum + c.points, 0);
+            assert.equal(total, artist.score);
+        }
+    });
+
+    it('serves repeat requests from the cache', async () => {
+        const { headers } = await get('/api/artists-ranking');
+        assert.equal(headers.get('x-cache'), 'HIT');
+    });
+
+    it('pages, filters and projects', async () => {
+        const { body } = await get('/api/artists-ranking?limit=2&offset=1&fields=rank,name');
+        assert.equal(body.limit, 2);
+        assert.equal(body.offset, 1);
+        assert.deepEqual(body.artists.map(a => Object.keys(a)), [['rank', 'name'], ['rank', 'name']]);
+        assert.equal(body.artists[0].rank, 2);
+
+        const filtered = await get('/api/artists-ranking?q=future');
+        assert.deepEqual(filtered.body.artists.map(a => a.id).sort(), ['future01', 'future02']);
+    });
+
+    it('answers 304 to a matching If-None-Match', async () => {
+        const first = await rawGet(`${server.baseUrl}/api/artists-ranking`);
+        assert.ok(first.headers.etag);
+        const second = await rawGet(`${server.baseUrl}/api/artists-ranking`, { 'If-None-Match': first.headers.etag });
+        assert.equal(second.status, 304);
+    });
+
+    it('lets cross-origin clients read ETag and Last-Modified', async () => {
+        const { headers } = await get('/api/artists-ranking', { headers: { Origin: 'https://example.com' } });
+        const exposed = headers.get('access-control-expose-headers').split(',');
+        assert.ok(exposed.includes('ETag'));
+        assert.ok(exposed.includes('Last-Modified'));
+    });
+
+    it('switches strategy with ?strategy=', async () => {
+        const { headers, body } = await get('/api/artists-ranking?strategy=query-count');
+        assert.equal(headers.get('x-ranking-strategy'), 'query-count');
+        assert.equal(body.strategy, 'query-count');
+    });
+
+    it('ranks within a market with ?market=', async () => {
+        const global = await get('/api/artists-ranking');
+        const us = await get('/api/artists-ranking?market=us');
+        assert.equal(us.body.market, 'US');
+        assert.ok(global.body.artists.some(a => a.id === 'sautisol01'));
+        assert.ok(!us.body.artists.some(a => a.id === 'sautisol01'), 'Sauti Sol is only available in KE');
+    });
+
+    it('rejects bad parameters with 400', async () => {
+        for (const query of ['?strategy=coin-flip', '?strategy=constructor', '?strategy=toString', '?limit=0', '?fields=followers', '?market=ZZ']) {
+            const { status, body } = await get(`/api/artists-ranking${query}`);
+            assert.equal(status, 400, query);
+            assert.ok(body.error, query);
+        }
+    });
+});
+
+describe('ranking exports', () => {
+    it('serves CSV with one row per artist', async () => {
+        const { status, headers, body } = await get('/api/artists-ranking.csv');
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /text\/csv/);
+        assert.match(headers.get('content-disposition'), /attachment; filename="artists-ranking-global-\d{4}-\d{2}-\d{2}\.csv"/);
+
+        const [header, ...rows] = body.trim().split('\r\n');
+        assert.equal(header, 'rank,id,name,imageUrl,score,generatedAt');
+        const { body: ranking } = await get('/api/artists-ranking');
+        assert.equal(rows.length, ranking.total);
+    });
+
+    it('serves JSON Lines with one object per artist', async () => {
+        const { status, body } = await get('/api/artists-ranking.jsonl');
+        assert.equal(status, 200);
+        const rows = body.trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(Object.keys(rows[0]), ['rank', 'id', 'name', 'imageUrl', 'score', 'generatedAt']);
+        assert.equal(rows[0].rank, 1);
+    });
+
+    it('serves an Atom feed', async () => {
+        const { status, headers, body } = await get('/api/artists-ranking.atom');
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /application\/atom\+xml/);
+        assert.match(body, /<feed xmlns="http:\/\/www.w3.org\/2005\/Atom">/);
+    });
+
+    it('links the Atom feed to PUBLIC_BASE_URL whatever the Host header says', async () => {
+        process.env.PUBLIC_BASE_URL = 'https://ranker.example/';
+        try {
+            const { body } = await rawGet(`${server.baseUrl}/api/artists-ranking.atom`, { Host: 'evil.example' });
+            assert.match(body, /<link rel="self" type="application\/atom\+xml" href="https:\/\/ranker\.example\/api\/artists-ranking\.atom"/);
+            assert.ok(!body.includes('evil.example'));
+        } finally {
+            delete process.env.PUBLIC_BASE_URL;
+        }
+    });
+});
+
+describe('GET /api/artists-ranking/stream', () => {
+    it('opens an event stream with the current ranking version', async () => {
+        delete process.env.VERCEL;
+        try {
+            const controller = new AbortController();
+            const res = await fetch(`${server.baseUrl}/api/artists-ranking/stream`, { signal: controller.signal });
+            assert.equal(res.status, 200);
+            assert.match(res.headers.get('content-type'), /text\/event-stream/);
+
+            const reader = res.body.getReader();
+            const { value } = await reader.read();
+            controller.abort();
+
+            const text = new TextDecoder().decode(value);
+            assert.match(text, /^event: ranking\ndata: \{"generatedAt":"[^"]+"\}\n\n/);
+        } finally {
+            process.env.VERCEL = '1';
+        }
+    });
+
+    it('answers 501 on Vercel, where a function cannot hold a stream open', async () => {
+        const { status, body } = await get('/api/artists-ranking/stream');
+        assert.equal(status, 501);
+        assert.match(body.error, /long-running server/);
+    });
+});
+
+describe('named rankings', () => {
+    it('lists the configured rankings', async () => {
+        const { status, body } = await get('/api/rankings');
+        assert.equal(status, 200);
+        assert.ok(Array.isArray(body.rankings));
+        assert.ok(body.rankings.some(r => r.name === 'default'));
+        assert.ok(body.rankings.some(r => r.name === 'global-genres'));
+    });
+
+    it('serves a named ranking', async () => {
+        const { status, body } = await get('/api/rankings/global-genres');
+        assert.equal(status, 200);
+        assert.equal(body.ranking, 'global-genres');
+        assert.ok(body.artists.some(a => a.id === 'bts01'));
+    });
+
+    it('answers 404 for an unknown ranking', async () => {
+        const { status, body } = await get('/api/rankings/nope');
+        assert.equal(status, 404);
+        assert.ok(body.rankings.includes('default'));
+    });
+
+    it('answers 404 for prototype keys used as ranking names', async () => {
+        for (const name of ['constructor', 'toString', '__proto__']) {
+            assert.equal((await get(`/api/rankings/${name}`)).status, 404, name);
+            assert.equal((await get(`/api/artists/drake01?ranking=${name}`)).status, 404, name);
+        }
+    });
+
+    it('lists the ranking strategies', async () => {
+        const { body } = await get('/api/ranking-strategies');
+        assert.equal(body.default, 'position-sum');
+        assert.ok(body.strategies.some(s => s.name === 'rrf'));
+    });
+});
+
+describe('genres', () => {
+    it('keeps genres on ranked artists and counts them', async () => {
+        const { body: ranking } = await get('/api/artists-ranking');
+        assert.deepEqual(ranking.artists.find(a => a.id === 'drake01').genres, ['hip hop', 'rap', 'pop']);
+
+        const { status, body } = await get('/api/genres');
+        assert.equal(status, 200);
+        assert.equal(body.total, ranking.artists.length);
+        const hipHop = body.genres.find(g => g.genre === 'hip hop');
+        assert.equal(hipHop.count, ranking.artists.filter(a => a.genres.includes('hip hop')).length);
+        body.genres.forEach((genre, index) => {
+            if (index) assert.ok(body.genres[index - 1].count >= genre.count);
+        });
+    });
+
+    it('filters the ranking by genre with ranks inside the genre', async () => {
+        const { body: ranking } = await get('/api/artists-ranking');
+        const expected = ranking.artists.filter(a => a.genres.includes('hip hop'));
+
+        const { status, body } = await get('/api/artists-ranking?genre=Hip%20Hop');
+        assert.equal(status, 200);
+        assert.equal(body.total, expected.length);
+        assert.deepEqual(body.artists.map(a => [a.id, a.rank, a.overallRank]), expected.map((a, i) => [a.id, i + 1, a.rank]));
+        assert.equal((await get('/api/artists-ranking?genre=polka')).body.total, 0);
+    });
+
+    it('validates the ranking options', async () => {
+        assert.equal((await get('/api/genres?market=XX')).status, 400);
+        assert.equal((await get('/api/genres?ranking=nope')).status, 404);
+    });
+});
+
+describe('markets', () => {
+    it('lists the configured markets', async () => {
+        const { body } = await get('/api/markets');
+        assert.deepEqual(body.markets, ['KE', 'NG', 'US']);
+    });
+
+    it('compares two markets', async () => {
+        const { status, body } = await get('/api/markets/compare?a=KE&b=US&limit=100');
+        assert.equal(status, 200);
+        assert.deepEqual(body.markets, ['KE', 'US']);
+        const sautiSol = body.artists.find(a => a.id === 'sautisol01');
+        assert.equal(sautiSol.ranks.US, null);
+        assert.ok(sautiSol.ranks.KE > 0);
+        assert.ok(sautiSol.difference > 0);
+    });
+
+    it('rejects incomplete or identical comparisons', async () => {
+        assert.equal((await get('/api/markets/compare?a=KE')).status, 400);
+        assert.equal((await get('/api/markets/compare?a=KE&b=ke')).status, 400);
+        assert.equal((await get('/api/markets/compare?a=KE&b=ZZ')).status, 400);
+    });
+});
+
+describe('artist routes', () => {
+    it('returns artist details with their place in the ranking', async () => {
+        const { status, body } = await get('/api/artists/drake01');
+        assert.equal(status, 200);
+        assert.equal(body.name, 'Drake');
+        assert.ok(body.rank > 0);
+        assert.ok(body.appearances.length > 0);
+        assert.equal(body.topTracks.length, 2);
+        assert.equal(body.latestReleases[0].releaseDate, '2024-11-01');
+    });
+
+    it('rejects malformed ids and unknown artists', async () => {
+        assert.equal((await get('/api/artists/not-an-id!')).status, 400);
+        const { status, body } = await get('/api/artists/zzz99');
+        assert.equal(status, 404);
+        assert.deepEqual(body, { message: 'Artist not found' });
+    });
+
+    it('returns rank history from stored snapshots', async () => {
+        const { body: ranking } = await get('/api/artists-ranking');
+        const { status, body } = await get('/api/artists/drake01/history');
+        assert.equal(status, 200);
+        assert.equal(body.name, 'Drake');
+        assert.ok(body.history.length >= 1);
+        assert.ok(body.history[0].rank > 0);
+        // The snapshot carries the ranking's own timestamp
+        assert.equal(body.history.at(-1).generatedAt, ranking.generatedAt);
+    });
+
+    it('answers 404 for an artist with no history and 400 for a malformed id', async () => {
+        assert.equal((await get('/api/artists/zzz99/history')).status, 404);
+        assert.equal((await get('/api/artists/not-an-id!/history')).status, 400);
+    });
+
+    it('validates ?ranking= and ?market= like the ranking itself', async () => {
+        const unknownRanking = await get('/api/artists/drake01?ranking=nope');
+        assert.equal(unknownRanking.status, 404);
+        assert.ok(unknownRanking.body.rankings.includes('default'));
+
+        for (const urlPath of ['/api/artists/drake01', '/api/artists/drake01/history', '/api/watchlist', '/api/share/drake01.svg']) {
+            const { status, body } = await get(`${urlPath}?market=ZZ`);
+            assert.equal(status, 400, urlPath);
+            assert.deepEqual(body.markets, ['KE', 'NG', 'US'], urlPath);
+        }
+    });
+});
+
+describe('GET /api/compare', () => {
+    it('compares rank, score and query presence', async () => {
+        const { status, body } = await get('/api/compare?ids=drake01,future01');
+        assert.equal(status, 200);
+        assert.deepEqual(body.artists.map(a => a.id), ['drake01', 'future01']);
+
+        const [drake, future] = body.artists;
+        assert.ok(drake.rank > 0 && future.rank > 0);
+        assert.ok(drake.queries.length > 0);
+        assert.ok(Array.isArray(drake.history));
+        assert.deepEqual(body.sharedQueries, body.queries.filter(q => drake.queries.includes(q) && future.queries.includes(q)));
+        assert.ok(body.sharedQueries.includes('hip hop'));
+    });
+
+    it('looks up artists no query surfaced', async () => {
+        const { status, body } = await get('/api/compare?ids=drake01,noimage01');
+        assert.equal(status, 200);
+        const unranked = body.artists[1];
+        assert.equal(unranked.rank, -1);
+        assert.ok(unranked.name);
+        assert.deepEqual(unranked.queries, []);
+        assert.deepEqual(body.sharedQueries, []);
+    });
+
+    it('takes two to four distinct, valid ids', async () => {
+        assert.equal((await get('/api/compare')).status, 400);
+        assert.equal((await get('/api/compare?ids=drake01,drake01')).status, 400);
+        assert.equal((await get('/api/compare?ids=a1,b2,c3,d4,e5')).status, 400);
+        assert.equal((await get('/api/compare?ids=drake01,bad!')).status, 400);
+        assert.equal((await get('/api/compare?ids=drake01,zzz99')).status, 404);
+    });
+});
+
+describe('watchlist', () => {
+    const auth = (token = 'test-watchlist-token') => ({ Authorization: `Bearer ${token}` });
+    const post = (body, headers = auth()) => get('/api/watchlist', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const remove = (id, headers = auth()) => get(`/api/watchlist/${id}`, { method: 'DELETE', headers });
+
+    it('adds, lists with ranks and removes artists', async () => {
+        assert.deepEqual((await get('/api/watchlist')).body.artists, []);
+
+        const added = await post({ id: 'drake01' });
+        assert.equal(added.status, 201);
+        assert.equal(added.body.name, 'Drake');
+        assert.equal(added.body.moveThreshold, 5);
+        const updated = await post({ id: 'drake01', moveThreshold: 10 });
+        assert.equal(updated.status, 200);
+        assert.equal(updated.body.moveThreshold, 10);
+        assert.equal((await post({ id: 'noimage01' })).status, 201);
+
+        const { body: ranking } = await get('/api/artists-ranking');
+        const { status, body } = await get('/api/watchlist');
+        assert.equal(status, 200);
+        assert.deepEqual(body.artists.map(a => [a.id, a.rank]), [
+            ['drake01', ranking.artists.find(a => a.id === 'drake01').rank],
+            ['noimage01', -1]
+        ]);
+
+        assert.equal((await remove('drake01')).status, 204);
+        assert.equal((await remove('drake01')).status, 404);
+        assert.equal((await remove('noimage01')).status, 204);
+    });
+
+    it('needs the watchlist token for changes', async () => {
+        for (const headers of [{}, auth('wrong'), { Authorization: 'Basic dGVzdA==' }]) {
+            const added = await post({ id: 'drake01' }, headers);
+            assert.equal(added.status, 401);
+            assert.equal(added.headers.get('www-authenticate'), 'Bearer realm="watchlist"');
+            assert.equal((await remove('drake01', headers)).status, 401);
+        }
+        assert.deepEqual((await get('/api/watchlist')).body.artists, []);
+    });
+
+    it('is read-only without a configured token', async () => {
+        const token = process.env.WATCHLIST_TOKEN;
+        delete process.env.WATCHLIST_TOKEN;
+        try {
+            const { status, body } = await post({ id: 'drake01' });
+            assert.equal(status, 403);
+            assert.match(body.error, /WATCHLIST_TOKEN/);
+            assert.equal((await remove('drake01')).status, 403);
+            assert.equal((await get('/api/watchlist')).status, 200);
+        } finally {
+            process.env.WATCHLIST_TOKEN = token;
+        }
+    });
+
+    it('rejects bad bodies and unknown artists', async () => {
+        assert.equal((await post({ id: 'bad!' })).status, 400);
+        assert.equal((await post({ id: 'drake01', moveThreshold: 1.5 })).status, 400);
+        const malformed = await post('{"id":');
+        assert.equal(malformed.status, 400);
+        assert.equal(malformed.body.error, 'Body must be a small JSON object');
+        assert.equal((await post({ id: 'zzz99' })).status, 404);
+        assert.equal((await remove('bad!')).status, 400);
+        assert.equal((await get('/api/watchlist?market=XX')).status, 400);
+    });
+
+    it('answers 503 on Vercel without shared storage', async () => {
+        const file = process.env.WATCHLIST_FILE;
+        delete process.env.WATCHLIST_FILE;
+        try {
+            const { status, body } = await get('/api/watchlist');
+            assert.equal(status, 503);
+            assert.match(body.error, /REDIS_URL/);
+            assert.equal((await post({ id: 'drake01' })).status, 503);
+        } finally {
+            process.env.WATCHLIST_FILE = file;
+        }
+    });
+});
+
+describe('embeds and share cards', () => {
+    it('serves the embed page with the requested widget options', async () => {
+        const { status, headers, body } = await get('/embed?count=5&theme=light&market=KE');
+        assert.equal(status, 200);
+        assert.match(body, /<artist-ranking count="5" theme="light" market="KE"><\/artist-ranking>/);
+        assert.doesNotMatch(body, /<style/);
+        assert.match(headers.get('content-security-policy'), /frame-ancestors \*/);
+    });
+
+    it('rejects bad embed options', async () => {
+        assert.equal((await get('/embed?theme=neon')).status, 400);
+        assert.equal((await get('/embed?count=101')).status, 400);
+        assert.equal((await get('/embed?market=ZZ')).status, 400);
+    });
+
+    it('renders a share card with the current rank', async () => {
+        const { body: ranking } = await get('/api/artists-ranking');
+        const drake = ranking.artists.find(a => a.id === 'drake01');
+
+        const { status, headers, body } = await get('/api/share/drake01.svg');
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /image\/svg\+xml/);
+        assert.ok(body.includes(`#${drake.rank}`));
+        assert.ok(body.includes('Drake'));
+        // Images shown as <img> or og:image never load external resources
+        assert.doesNotMatch(body, /href="http/);
+    });
+
+    it('renders the share card as PNG for social posts', async () => {
+        const res = await fetch(`${server.baseUrl}/api/share/drake01.png`);
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('content-type'), 'image/png');
+        const png = Buffer.from(await res.arrayBuffer());
+        assert.deepEqual([...png.subarray(1, 4)], [...Buffer.from('PNG')]);
+        assert.deepEqual([png.readUInt32BE(16), png.readUInt32BE(20)], [1200, 630]);
+    });
+
+    it('renders unranked artists and 404s unknown ones', async () => {
+        const unranked = await get('/api/share/noimage01.svg');
+        assert.equal(unranked.status, 200);
+        assert.ok(unranked.body.includes('Not in the Top 100'));
+        assert.equal((await get('/api/share/zzz99.svg')).status, 404);
+    });
+});
+
+describe('health, metrics and request ids', () => {
+    it('reports token validity, cache age and the last refresh', async () => {
+        await get('/api/artists-ranking');
+        const { status, headers, body } = await get('/api/health');
+        assert.equal(status, 200);
+        assert.equal(headers.get('cache-control'), 'no-store');
+        assert.equal(body.status, 'ok');
+        assert.equal(body.token.valid, true);
+        assert.equal(body.token.lastError, null);
+
+        const ranking = body.rankings.find(r => r.ranking === 'default' && r.market === null);
+        assert.ok(ranking.ageSeconds >= 0);
+        assert.equal(ranking.fresh, true);
+        assert.equal(ranking.lastRefresh.outcome, 'ok');
+        assert.equal(ranking.lastRefresh.failedRequests, 0);
+    });
+
+    it('serves Prometheus metrics for Spotify calls, ranking computes and the cache', async () => {
+        await get('/api/artists-ranking');
+        const { status, headers, body } = await get('/metrics');
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+        assert.match(body, /# TYPE spotify_requests_total counter/);
+        assert.match(body, /spotify_requests_total\{endpoint="search",query="pop",status="200"\} \d+/);
+        assert.match(body, /spotify_request_duration_seconds_bucket\{endpoint="search",query="pop",le="\+Inf"\} \d+/);
+        assert.match(body, /ranking_compute_duration_seconds_count\{ranking="default",market="global",outcome="ok"\} \d+/);
+        assert.match(body, /cache_lookups_total\{kind="ranking",result="hit"\} \d+/);
+    });
+
+    it('echoes a well-formed X-Request-Id and replaces anything else', async () => {
+        const echoed = await get('/api/markets', { headers: { 'X-Request-Id': 'oncall-42' } });
+        assert.equal(echoed.headers.get('x-request-id'), 'oncall-42');
+
+        const replaced = await get('/api/markets', { headers: { 'X-Request-Id': 'has spaces' } });
+        assert.match(replaced.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    });
+});
+
+// On Vercel each file under api/ is its own function and everything else reaches the
+// Express app only through a rewrite in vercel.json. Filesystem matches win over rewrites.
+describe('vercel.json', () => {
+    const root = new URL('..', import.meta.url);
+    let rewrites;
+    before(() => {
+        ({ rewrites } = JSON.parse(fs.readFileSync(new URL('vercel.json', root), 'utf8')));
+    });
+    // Rewrite sources only use literal paths and (.*)
+    const matches = (source, urlPath) => new RegExp(
+        `^${source.split('(.*)').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`
+    ).test(urlPath);
+    const functionFile = urlPath => new URL(`.${urlPath}.js`, root);
+
+    it('sends every route of the Express app to it', () => {
+        const routes = app.router.stack.filter(layer => layer.route).map(layer => layer.route.path);
+        assert.ok(routes.length > 20);
+        for (const route of routes) {
+            // The page itself is a static file from public/
+            if (route === '/') continue;
+            const urlPath = route.replace(/:\w+/g, 'x');
+            const served = fs.existsSync(functionFile(urlPath)) || rewrites.some(({ source }) => matches(source, urlPath));
+            assert.ok(served, `${route} is neither a function nor rewritten`);
+        }
+    });
+
+    it('only rewrites to functions that exist', () => {
+        for (const { destination } of rewrites) {
+            assert.ok(fs.existsSync(functionFile(destination)), destination);
+        }
+    });
+});
@@ -0,0 +1,223 @@
+// test/search-contract.test.js
+//
+// /api/search-artist and /api/search-artist/suggest must behave the same whether they are
+// served by the Express app (api/artists-ranking.js) or by the standalone serverless
+// handlers (api/search-artist.js, api/search-artist/suggest.js).
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startSpotifyStandIn } from './helpers/spotify-stand-in.js';
+import { serveExpressApp, serveVercelHandler } from './helpers/http.js';
+
+const RESULT_FIELDS = ['confidence', 'id', 'imageUrl', 'name', 'rankInTop100', 'reason'];
+
+let standIn;
+const entryPoints = {};
+
+before(async () => {
+    standIn = await startSpotifyStandIn();
+    Object.assign(process.env, {
+        VERCEL: '1',
+        SPOTIFY_CLIENT_ID: 'test-client-id',
+        SPOTIFY_CLIENT_SECRET: 'test-client-secret',
+        SPOTIFY_ACCOUNTS_BASE_URL: standIn.accountsBaseUrl,
+        SPOTIFY_API_BASE_URL: standIn.apiBaseUrl,
+        SNAPSHOT_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'search-contract-')),
+        LOG_LEVEL: 'silent'
+    });
+
+    const { default: app } = await import('../api/artists-ranking.js');
+    const { default: handler } = await import('../api/search-artist.js');
+    const { default: suggestHandler } = await import('../api/search-artist/suggest.js');
+    entryPoints.express = await serveExpressApp(app);
+    entryPoints.serverless = await serveVercelHandler(handler);
+    entryPoints.serverlessSuggest = await serveVercelHandler(suggestHandler);
+});
+
+after(async () => {
+    await Promise.all(Object.values(entryPoints).map(server => server.close()));
+    await standIn.close();
+});
+
+async function request(entryPoint, query, { method = 'GET' } = {}) {
+    const res = await fetch(`${entryPoints[entryPoint].baseUrl}/api/search-artist${query}`, { method });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+}
+
+async function suggest(entryPoint, query) {
+    const server = entryPoint === 'express' ? entryPoints.express : entryPoints.serverlessSuggest;
+    const res = await fetch(`${server.baseUrl}/api/search-artist/suggest${query}`);
+    return { status: res.status, headers: res.headers, body: await res.json() };
+}
+
+for (const entryPoint of ['express', 'serverless']) {
+    describe(`search-artist contract (${entryPoint})`, () => {
+        it('returns the best match with its rank', async () => {
+            const { status, body } = await request(entryPoint, '?name=drake');
+            assert.equal(status, 200);
+            assert.deepEqual(Object.keys(body).sort(), RESULT_FIELDS);
+            assert.equal(body.id, 'drake01');
+            assert.equal(body.name, 'Drake');
+            assert.ok(body.rankInTop100 > 0, 'Drake should be ranked');
+        });
+
+        it('prefers the exact name over a higher-ranked partial match', async () => {
+            const { body } = await request(entryPoint, '?name=Future');
+            assert.equal(body.id, 'future01');
+            assert.equal(body.reason, 'exact');
+        });
+
+        it('returns every candidate with all=1', async () => {
+            const { status, body } = await request(entryPoint, '?name=future&all=1');
+            assert.equal(status, 200);
+            assert.equal(body.query, 'future');
+            assert.deepEqual(body.candidates.map(c => c.id), ['future01', 'future02']);
+            for (const candidate of body.candidates) {
+                assert.deepEqual(Object.keys(candidate).sort(), RESULT_FIELDS);
+            }
+        });
+
+        it('explains the rank of a ranked artist with explain=1', async () => {
+            const { status, body } = await request(entryPoint, '?name=drake&explain=1');
+            assert.equal(status, 200);
+            assert.ok(body.explain, 'ranked artists carry an explanation');
+            assert.ok(body.explain.contributions.length > 0);
+            const total = body.explain.contributions.reduce((sum, c) => sum + c.points, 0);
+            assert.equal(total, body.explain.score);
+        });
+
+        it('explains unranked artists as null', async () => {
+            const { body } = await request(entryPoint, '?name=anonymous&explain=1');
+            assert.equal(body.rankInTop100, -1);
+            assert.equal(body.explain, null);
+        });
+
+        it('rejects a missing name with 400', async () => {
+            const { status, body } = await request(entryPoint, '');
+            assert.equal(status, 400);
+            assert.deepEqual(body, { error: 'No artist name provided' });
+        });
+
+        it('rejects a blank name with 400', async () => {
+            const { status, body } = await request(entryPoint, '?name=%20%20');
+            assert.equal(status, 400);
+            assert.deepEqual(body, { error: 'No artist name provided' });
+        });
+
+        it('rejects names over 100 characters with 400 before searching', async () => {
+            const searches = standIn.requests.length;
+            const { status, body } = await request(entryPoint, `?name=${'a'.repeat(101)}`);
+            assert.equal(status, 400);
+            assert.deepEqual(body, { error: 'Artist name must be at most 100 characters' });
+            assert.equal(standIn.requests.length, searches);
+        });
+
+        it('searches within a market with market=', async () => {
+            const kenya = await request(entryPoint, '?name=sauti%20sol&market=ke');
+            assert.equal(kenya.status, 200);
+            assert.equal(kenya.body.id, 'sautisol01');
+
+            const us = await request(entryPoint, '?name=sauti%20sol&market=US');
+            assert.equal(us.status, 404);
+        });
+
+        it('rejects an unknown market with 400', async () => {
+            const { status, body } = await request(entryPoint, '?name=drake&market=ZZ');
+            assert.equal(status, 400);
+            assert.equal(body.error, 'Unknown market "ZZ"');
+            assert.ok(Array.isArray(body.markets));
+        });
+
+        it('answers 404 when Spotify finds nobody', async () => {
+            const { status, body } = await request(entryPoint, '?name=nobody');
+            assert.equal(status, 404);
+            assert.deepEqual(body, { message: 'Artist not found' });
+        });
+
+        it('answers 405 for methods other than GET', async () => {
+            const { status, headers, body } = await request(entryPoint, '?name=drake', { method: 'POST' });
+            assert.equal(status, 405);
+            assert.equal(headers.get('allow'), 'GET');
+            assert.deepEqual(body, { error: 'Method not allowed' });
+        });
+
+        it('answers 400 when Spotify rejects the query', async () => {
+            const { status, body } = await request(entryPoint, '?name=bad-request');
+            assert.equal(status, 400);
+            assert.deepEqual(body, { error: 'Spotify could not search for that text' });
+        });
+
+        it('answers 500 with the request id when Spotify refuses the search', async () => {
+            standIn.fail({ path: '/v1/search', q: 'drake' }, 403);
+            const { status, headers, body } = await request(entryPoint, '?name=drake');
+            assert.equal(status, 500);
+            assert.deepEqual(body, { error: 'Search failed', requestId: headers.get('x-request-id') });
+            assert.ok(body.requestId);
+        });
+
+        it('echoes a well-formed incoming X-Request-Id', async () => {
+            const res = await fetch(`${entryPoints[entryPoint].baseUrl}/api/search-artist?name=drake`, {
+                headers: { 'X-Request-Id': 'trace-abc.123' }
+            });
+            assert.equal(res.headers.get('x-request-id'), 'trace-abc.123');
+        });
+    });
+}
+
+describe('search-artist entry points agree', () => {
+    for (const query of ['?name=drake', '?name=beyonce&all=1', '?name=future&all=1&explain=1', '?name=acdc', '?name=nobody', '']) {
+        it(`returns identical responses for "${query}"`, async () => {
+            const [express, serverless] = await Promise.all([
+                request('express', query),
+                request('serverless', query)
+            ]);
+            assert.equal(serverless.status, express.status);
+            assert.deepEqual(serverless.body, express.body);
+        });
+    }
+});
+
+for (const entryPoint of ['express', 'serverless']) {
+    describe(`search-artist/suggest contract (${entryPoint})`, () => {
+        it('suggests matching artists with their rank', async () => {
+            const { status, body } = await suggest(entryPoint, '?q=fut');
+            assert.equal(status, 200);
+            assert.equal(body.query, 'fut');
+            assert.deepEqual(body.suggestions.map(s => s.id).sort(), ['future01', 'future02']);
+            for (const suggestion of body.suggestions) {
+                assert.deepEqual(Object.keys(suggestion).sort(), ['id', 'imageUrl', 'name', 'rankInTop100']);
+            }
+        });
+
+        it('caches Spotify results per prefix', async () => {
+            const searchesBefore = standIn.requests.filter(r => r.path === '/v1/search').length;
+            await suggest(entryPoint, '?q=drak');
+            const { headers } = await suggest(entryPoint, '?q=DRAK');
+            assert.equal(headers.get('x-cache'), 'HIT');
+            assert.equal(standIn.requests.filter(r => r.path === '/v1/search').length, searchesBefore + 1);
+        });
+
+        it('skips single characters', async () => {
+            const { status, body } = await suggest(entryPoint, '?q=d');
+            assert.equal(status, 200);
+            assert.deepEqual(body.suggestions, []);
+        });
+
+        it('rejects missing, overlong or unsearchable text and unknown markets with 400', async () => {
+            assert.deepEqual((await suggest(entryPoint, '')).body, { error: 'No search text provided' });
+            assert.equal((await suggest(entryPoint, '?q=drake&market=ZZ')).status, 400);
+            assert.deepEqual((await suggest(entryPoint, '?q=bad-request')).body, { error: 'Spotify could not search for that text' });
+            const tooLong = await suggest(entryPoint, `?q=${'dr'.repeat(51)}`);
+            assert.equal(tooLong.status, 400);
+            assert.deepEqual(tooLong.body, { error: 'Search text must be at most 100 characters' });
+        });
+
+        it('suggests within a market', async () => {
+            const { body } = await suggest(entryPoint, '?q=sauti&market=US');
+            assert.deepEqual(body.suggestions, []);
+        });
+    });
+}
+
@@ -0,0 +1,96 @@
+// test/service-worker.test.js
+//
+// The ranking route of the service worker (public/sw.js), run in a vm context with an
+// in-memory CacheStorage and a scripted fetch.
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import vm from 'vm';
+
+const SW_SOURCE = fs.readFileSync(new URL('../public/sw.js', import.meta.url), 'utf8');
+const RANKING_URL = 'https://app.test/api/artists-ranking';
+
+// Loads the worker; `respond` answers each fetch (return a Response or throw)
+function loadWorker(respond) {
+    const stores = new Map();
+    const caches = {
+        async open(name) {
+            if (!stores.has(name)) stores.set(name, new Map());
+            const store = stores.get(name);
+            return {
+                put: async (request, response) => { store.set(request.url, response); },
+                match: async (request) => store.get(request.url)?.clone()
+            };
+        },
+        keys: async () => [...stores.keys()],
+        delete: async (name) => stores.delete(name)
+    };
+
+    const listeners = {};
+    const fetches = [];
+    const self = {
+        location: new URL('https://app.test/'),
+        addEventListener: (type, listener) => { listeners[type] = listener; }
+    };
+    const fetch = async (request) => {
+        fetches.push(request.url);
+        return respond(fetches.length);
+    };
+    vm.runInNewContext(SW_SOURCE, { self, caches, fetch, Headers, Response, URL, Promise });
+
+    const get = (url = RANKING_URL) => new Promise((resolve, reject) => {
+        const request = new Request(url);
+        listeners.fetch({
+            request,
+            respondWith: promise => Promise.resolve(promise).then(resolve, reject),
+            waitUntil: () => {}
+        });
+    });
+    return { get, fetches };
+}
+
+const json = (status, body) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+describe('service worker ranking route', () => {
+    it('serves the network response and keeps good ones', async () => {
+        const worker = loadWorker(n => n === 1 ? json(200, { total: 1 }) : json(503, { error: 'down' }));
+
+        const fresh = await worker.get();
+        assert.equal(fresh.status, 200);
+        assert.equal(fresh.headers.get('x-served-from'), null);
+
+        const fallback = await worker.get();
+        assert.equal(fallback.status, 200);
+        assert.equal(fallback.headers.get('x-served-from'), 'sw-cache');
+        assert.deepEqual(await fallback.json(), { total: 1 });
+    });
+
+    it('passes a 5xx on without fetching again when nothing is cached', async () => {
+        const worker = loadWorker(() => json(502, { error: 'Bad gateway' }));
+
+        const response = await worker.get();
+        assert.equal(response.status, 502);
+        assert.deepEqual(await response.json(), { error: 'Bad gateway' });
+        assert.equal(worker.fetches.length, 1);
+    });
+
+    it('answers a network error when offline with nothing cached', async () => {
+        const worker = loadWorker(() => { throw new TypeError('Failed to fetch'); });
+
+        const response = await worker.get();
+        assert.equal(response.type, 'error');
+        assert.equal(worker.fetches.length, 1);
+    });
+
+    it('falls back to the kept copy when offline', async () => {
+        const worker = loadWorker(n => {
+            if (n === 1) return json(200, { total: 2 });
+            throw new TypeError('Failed to fetch');
+        });
+
+        await worker.get();
+        const response = await worker.get();
+        assert.equal(response.headers.get('x-served-from'), 'sw-cache');
+        assert.deepEqual(await response.json(), { total: 2 });
+    });
+});
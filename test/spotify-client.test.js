@@ -0,0 +1,130 @@
+// test/spotify-client.test.js
+//
+// Retries, rate limiting, the concurrency cap and token sharing in lib/spotify-client.js,
+// against the Spotify stand-in with scripted failures. Backoff waits are real, so the
+// slow cases stay few.
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSpotifyStandIn } from './helpers/spotify-stand-in.js';
+
+// Latency keeps requests overlapping long enough to observe the concurrency cap
+const LATENCY = 30;
+
+let standIn;
+let client;
+
+before(async () => {
+    standIn = await startSpotifyStandIn({ latency: LATENCY });
+    Object.assign(process.env, {
+        SPOTIFY_CLIENT_ID: 'test-client-id',
+        SPOTIFY_CLIENT_SECRET: 'test-client-secret',
+        SPOTIFY_ACCOUNTS_BASE_URL: standIn.accountsBaseUrl,
+        SPOTIFY_API_BASE_URL: standIn.apiBaseUrl,
+        LOG_LEVEL: 'silent'
+    });
+    client = await import('../lib/spotify-client.js');
+});
+
+after(() => standIn.close());
+
+// Requests the stand-in received for one path (and search query) since `from`
+function requestsFor(path, { q, from = 0 } = {}) {
+    return standIn.requests.slice(from).filter(r => r.path === path && (q === undefined || r.query.q === q));
+}
+
+async function timed(promise) {
+    const started = Date.now();
+    const value = await promise;
+    return { value, elapsed: Date.now() - started };
+}
+
+// Runs first: the module starts without a token
+describe('token handling', () => {
+    it('shares one token request between concurrent callers', async () => {
+        const artists = await Promise.all(['drake01', 'future01', 'tyla01', 'bts01'].map(id => client.getArtist(id)));
+        assert.deepEqual(artists.map(a => a.id), ['drake01', 'future01', 'tyla01', 'bts01']);
+        assert.equal(requestsFor('/api/token').length, 1);
+        assert.equal(client.getTokenStatus().valid, true);
+    });
+
+    it('fetches a new token once when Spotify answers 401', async () => {
+        const from = standIn.requests.length;
+        standIn.fail({ path: '/v1/artists/drake01' }, 401);
+        assert.equal((await client.getArtist('drake01')).id, 'drake01');
+        assert.equal(requestsFor('/api/token', { from }).length, 1);
+        assert.equal(requestsFor('/v1/artists/drake01', { from }).length, 2);
+    });
+});
+
+describe('retries', () => {
+    it('waits for Retry-After on 429', async () => {
+        const from = standIn.requests.length;
+        standIn.fail({ path: '/v1/artists/future01' }, 429, { headers: { 'Retry-After': '1' } });
+        const { value, elapsed } = await timed(client.getArtist('future01'));
+        assert.equal(value.id, 'future01');
+        assert.equal(requestsFor('/v1/artists/future01', { from }).length, 2);
+        assert.ok(elapsed >= 1000, `retried after ${elapsed}ms`);
+    });
+
+    it('backs off exponentially on 5xx', async () => {
+        const from = standIn.requests.length;
+        standIn.fail({ path: '/v1/artists/tyla01' }, 503, { times: 2 });
+        const { value, elapsed } = await timed(client.getArtist('tyla01'));
+        assert.equal(value.id, 'tyla01');
+        assert.equal(requestsFor('/v1/artists/tyla01', { from }).length, 3);
+        // 500ms, then 1000ms
+        assert.ok(elapsed >= 1500, `succeeded after ${elapsed}ms`);
+    });
+
+    it('gives up after three retries with the last status', async () => {
+        const from = standIn.requests.length;
+        standIn.fail({ path: '/v1/artists/bts01' }, 500, { times: 10 });
+        await assert.rejects(client.getArtist('bts01'), err => err instanceof client.SpotifyError && err.status === 500);
+        assert.equal(requestsFor('/v1/artists/bts01', { from }).length, 4);
+    });
+
+    it('does not retry other client errors', async () => {
+        const from = standIn.requests.length;
+        await assert.rejects(client.getArtist('zzz99'), { name: 'SpotifyError', status: 404 });
+        assert.equal(requestsFor('/v1/artists/zzz99', { from }).length, 1);
+    });
+});
+
+describe('concurrency', () => {
+    it('keeps at most five requests in flight', async () => {
+        const requests = Array.from({ length: 12 }, (_, i) => ({ query: 'pop', offset: i, limit: 1 }));
+        const { results, failed } = await client.searchArtistsBatch(requests);
+        assert.equal(failed, 0);
+        assert.equal(results.length, 12);
+        assert.equal(standIn.maxInFlight(), 5);
+    });
+});
+
+describe('searchArtistsBatch', () => {
+    it('counts failed searches without rejecting the batch', async () => {
+        const batch = await client.searchArtistsBatch([
+            { query: 'hip hop', offset: 0, limit: 10 },
+            { query: 'bad-request', offset: 0, limit: 10 },
+            { query: 'nobody', offset: 0, limit: 10 }
+        ]);
+        assert.equal(batch.total, 3);
+        assert.equal(batch.failed, 1);
+        assert.ok(batch.results[0].items.length > 0);
+        assert.match(batch.results[1].error, /HTTP 400/);
+        assert.deepEqual(batch.results[2], { query: 'nobody', offset: 0, limit: 10, items: [], error: null });
+    });
+
+    it('shares a retry budget of two attempts per search', async () => {
+        const from = standIn.requests.length;
+        standIn.fail({ path: '/v1/search', q: 'rock' }, 503, { times: 10 });
+        standIn.fail({ path: '/v1/search', q: 'dance' }, 503, { times: 10 });
+        const batch = await client.searchArtistsBatch([
+            { query: 'rock', offset: 0, limit: 10 },
+            { query: 'dance', offset: 0, limit: 10 }
+        ]);
+        assert.equal(batch.failed, 2);
+        assert.match(batch.results[0].error, /HTTP 503/);
+        // Without the budget each search would make four attempts
+        assert.equal(requestsFor('/v1/search', { from }).length, 4);
+    });
+});
@@ -0,0 +1,190 @@
+// test/spotify-fixtures.test.js
+//
+// Record against the Spotify stand-in, then replay the recording without it; the app also
+// boots from the committed recording (fixtures/spotify.json).
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import net from 'net';
+import { execFile, spawn } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { startSpotifyStandIn } from './helpers/spotify-stand-in.js';
+import { startFixtureServer, fixtureKey, MISSING_FIXTURE_HEADER } from '../lib/spotify-fixtures.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+let standIn;
+let file;
+
+before(async () => {
+    standIn = await startSpotifyStandIn();
+    process.env.LOG_LEVEL = 'silent';
+    file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'spotify-fixtures-')), 'spotify.json');
+});
+
+after(async () => {
+    await standIn.close();
+});
+
+async function getToken(accountsBaseUrl, authorization) {
+    const res = await fetch(`${accountsBaseUrl}/api/token`, {
+        method: 'POST',
+        headers: { Authorization: authorization, 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: 'grant_type=client_credentials'
+    });
+    return (await res.json()).access_token;
+}
+
+async function search(apiBaseUrl, token, query) {
+    const res = await fetch(`${apiBaseUrl}/search?type=artist&q=${encodeURIComponent(query)}&limit=5`, {
+        headers: { Authorization: `Bearer ${token}` }
+    });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+}
+
+describe('spotify fixtures', () => {
+    it('keys requests independently of query parameter order', () => {
+        assert.equal(
+            fixtureKey('GET', '/v1/search', new URLSearchParams('type=artist&q=drake&limit=5')),
+            fixtureKey('GET', '/v1/search', new URLSearchParams('limit=5&q=drake&type=artist'))
+        );
+    });
+
+    it('records responses from upstream', async () => {
+        const recorder = await startFixtureServer({
+            mode: 'record',
+            file,
+            upstreamAccountsUrl: standIn.accountsBaseUrl,
+            upstreamApiUrl: standIn.apiBaseUrl
+        });
+        const token = await getToken(recorder.accountsBaseUrl, `Basic ${Buffer.from('id:secret').toString('base64')}`);
+        const { status, body } = await search(recorder.apiBaseUrl, token, 'drake');
+        await recorder.close();
+
+        assert.equal(status, 200);
+        assert.equal(body.artists.items[0].id, 'drake01');
+
+        const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+        assert.deepEqual(Object.keys(saved), ['GET /v1/search?limit=5&q=drake&type=artist']);
+        assert.ok(!JSON.stringify(saved).includes('stand-in-token'), 'tokens are never recorded');
+    });
+
+    it('replays recorded responses without upstream or credentials', async () => {
+        const requestsBefore = standIn.requests.length;
+        const player = await startFixtureServer({ mode: 'replay', file });
+        const token = await getToken(player.accountsBaseUrl, '');
+        const recorded = await search(player.apiBaseUrl, token, 'drake');
+        const missing = await search(player.apiBaseUrl, token, 'tyla');
+        await player.close();
+
+        assert.equal(recorded.status, 200);
+        assert.equal(recorded.body.artists.items[0].id, 'drake01');
+        assert.equal(missing.status, 404);
+        assert.equal(missing.headers.get(MISSING_FIXTURE_HEADER), 'GET /v1/search?limit=5&q=tyla&type=artist');
+        assert.equal(standIn.requests.length, requestsBefore, 'replay never reaches upstream');
+    });
+
+    it('rejects an unknown mode', async () => {
+        await assert.rejects(startFixtureServer({ mode: 'rewind', file }), /SPOTIFY_FIXTURES must be one of/);
+    });
+
+    // Serves the app from the committed recording, fetches each path and prints the
+    // responses; no stand-in, network or credentials
+    async function replayCommitted(paths) {
+        const script = `
+            const { default: app } = await import('./api/artists-ranking.js');
+            const { serveExpressApp } = await import('./test/helpers/http.js');
+            const server = await serveExpressApp(app);
+            const responses = [];
+            for (const path of ${JSON.stringify(paths)}) {
+                const res = await fetch(server.baseUrl + path);
+                responses.push({ status: res.status, body: await res.json() });
+            }
+            console.log(JSON.stringify(responses));
+            process.exit(0);
+        `;
+        const { SPOTIFY_ACCOUNTS_BASE_URL, SPOTIFY_API_BASE_URL, SPOTIFY_CLIENT_ID, SPOTIFY_CLIENT_SECRET, ...env } = process.env;
+        const { stdout } = await promisify(execFile)(process.execPath, ['--input-type=module', '-e', script], {
+            cwd: ROOT,
+            env: {
+                ...env,
+                VERCEL: '1',
+                SPOTIFY_FIXTURES: 'replay',
+                SNAPSHOT_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'spotify-replay-')),
+                LOG_LEVEL: 'silent'
+            }
+        });
+
+        return JSON.parse(stdout);
+    }
+
+    it('boots the app from the committed recording', async () => {
+        const [{ status, body }] = await replayCommitted(['/api/artists-ranking']);
+        assert.equal(status, 200);
+        assert.equal(body.degraded, false);
+        assert.ok(body.artists.length > 0, 'the recording yields a ranking');
+        assert.ok(body.artists.every(artist => artist.imageUrl.startsWith('https://i.scdn.co/')));
+    });
+
+    it('covers every configured market, searches and suggestions in the committed recording', async () => {
+        const { markets, rankings } = JSON.parse(fs.readFileSync(path.join(ROOT, 'rankings.config.json'), 'utf8'));
+        const paths = [];
+        for (const ranking of Object.keys(rankings)) {
+            for (const market of ['global', ...markets]) paths.push(`/api/rankings/${ranking}?market=${market}`);
+        }
+        for (const market of ['global', ...markets]) {
+            paths.push(`/api/search-artist?name=future&market=${market}`, `/api/search-artist/suggest?q=dr&market=${market}`);
+        }
+
+        const responses = await replayCommitted(paths);
+        responses.forEach(({ status }, i) => assert.equal(status, 200, paths[i]));
+    });
+
+    it('answers 503 naming the fixture to record when the recording has a gap', async () => {
+        const [{ status, body }] = await replayCommitted(['/api/search-artist?name=nobody%20recorded']);
+        assert.equal(status, 503);
+        assert.equal(body.fixture, 'GET /v1/search?limit=5&offset=0&q=nobody+recorded&type=artist');
+        assert.match(body.error, /SPOTIFY_FIXTURES=record/);
+        assert.ok(body.error.includes(body.fixture));
+    });
+
+    it('serves the recording through npm start', async () => {
+        const { scripts } = JSON.parse(fs.readFileSync(path.join(ROOT, 'package.json'), 'utf8'));
+        const [command, script] = scripts.start.split(' ');
+        assert.equal(command, 'node');
+
+        // A free port for the server to listen on
+        const probe = net.createServer();
+        await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+        const { port } = probe.address();
+        await new Promise(resolve => probe.close(resolve));
+
+        const { SPOTIFY_ACCOUNTS_BASE_URL, SPOTIFY_API_BASE_URL, SPOTIFY_CLIENT_ID, SPOTIFY_CLIENT_SECRET, VERCEL, ...env } = process.env;
+        const server = spawn(process.execPath, [script], {
+            cwd: ROOT,
+            stdio: 'ignore',
+            env: {
+                ...env,
+                PORT: String(port),
+                SPOTIFY_FIXTURES: 'replay',
+                SNAPSHOT_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'spotify-start-')),
+                LOG_LEVEL: 'silent'
+            }
+        });
+        try {
+            let res;
+            for (let tries = 0; !res && tries < 100; tries++) {
+                res = await fetch(`http://127.0.0.1:${port}/api/artists-ranking`).catch(() => null);
+                if (!res) await new Promise(resolve => setTimeout(resolve, 100));
+            }
+            assert.ok(res, 'the server came up');
+            assert.equal(res.status, 200);
+            assert.ok((await res.json()).artists.length > 0);
+        } finally {
+            server.kill();
+        }
+    });
+});
@@ -0,0 +1,158 @@
+// test/watchlist.test.js
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import {
+    findWatchlistEvents, listWatchlist, addToWatchlist, removeFromWatchlist, notifyWatchlist, watchlistStorage,
+    WatchlistError, MAX_WATCHED_ARTISTS
+} from '../lib/watchlist.js';
+import { signPayload } from '../lib/webhooks.js';
+
+const artist = (id, rank) => ({ id, name: id.toUpperCase(), rank });
+const watch = (id, moveThreshold = 5) => ({ id, name: id.toUpperCase(), moveThreshold });
+
+before(() => {
+    process.env.WATCHLIST_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'watchlist-')), 'watchlist.json');
+    process.env.LOG_LEVEL = 'silent';
+});
+
+after(() => {
+    delete process.env.WATCHLIST_FILE;
+    delete process.env.WEBHOOK_URLS;
+    delete process.env.WEBHOOK_SECRET;
+});
+
+describe('findWatchlistEvents', () => {
+    const previous = [artist('a1', 1), artist('b2', 2), artist('c3', 3), artist('d4', 20)];
+    const current = [artist('d4', 1), artist('a1', 2), artist('e5', 3), artist('b2', 12)];
+
+    it('reports watched artists that entered, left or moved past their threshold', () => {
+        const events = findWatchlistEvents([watch('b2'), watch('c3'), watch('d4'), watch('e5')], previous, current);
+        assert.deepEqual(events, [
+            { type: 'entered', id: 'e5', name: 'E5', rank: 3, previousRank: null, change: null },
+            { type: 'left', id: 'c3', name: 'C3', rank: null, previousRank: 3, change: null },
+            { type: 'moved', id: 'd4', name: 'D4', rank: 1, previousRank: 20, change: 19 },
+            { type: 'moved', id: 'b2', name: 'B2', rank: 12, previousRank: 2, change: -10 }
+        ]);
+    });
+
+    it('ignores unwatched artists and moves within the threshold', () => {
+        assert.deepEqual(findWatchlistEvents([watch('a1', 0)], previous, current).map(e => e.id), ['a1']);
+        assert.deepEqual(findWatchlistEvents([watch('a1', 1)], previous, current), []);
+        assert.deepEqual(findWatchlistEvents([watch('b2', 10)], previous, current), []);
+    });
+});
+
+describe('watchlist storage', () => {
+    it('adds, updates and removes artists', async () => {
+        const added = await addToWatchlist({ id: 'drake01', name: 'Drake', imageUrl: 'd.jpg' });
+        assert.equal(added.created, true);
+        assert.equal(added.entry.moveThreshold, 5);
+
+        const updated = await addToWatchlist({ id: 'drake01', name: 'Drake', imageUrl: 'd.jpg' }, { moveThreshold: 2 });
+        assert.equal(updated.created, false);
+        assert.deepEqual((await listWatchlist()).map(a => [a.id, a.moveThreshold]), [['drake01', 2]]);
+
+        assert.equal(await removeFromWatchlist('drake01'), true);
+        assert.equal(await removeFromWatchlist('drake01'), false);
+        assert.deepEqual(await listWatchlist(), []);
+    });
+
+    it('keeps concurrent additions', async () => {
+        await Promise.all(['a1', 'b2', 'c3'].map(id => addToWatchlist({ id, name: id })));
+        assert.deepEqual((await listWatchlist()).map(a => a.id).sort(), ['a1', 'b2', 'c3']);
+        await Promise.all(['a1', 'b2', 'c3'].map(removeFromWatchlist));
+    });
+
+    it('lives in Redis when the cache does, and on Vercel only in Redis or an explicit file', () => {
+        assert.equal(watchlistStorage({}), 'file');
+        assert.equal(watchlistStorage({ REDIS_URL: 'redis://cache:6379' }), 'redis');
+        assert.equal(watchlistStorage({ REDIS_URL: 'redis://cache:6379', CACHE_BACKEND: 'file' }), 'file');
+        assert.equal(watchlistStorage({ VERCEL: '1', REDIS_URL: 'redis://cache:6379' }), 'redis');
+        assert.equal(watchlistStorage({ VERCEL: '1', WATCHLIST_FILE: '/mnt/shared/watchlist.json' }), 'file');
+        assert.equal(watchlistStorage({ VERCEL: '1' }), null);
+    });
+
+    it('refuses with 503 on Vercel without Redis', async () => {
+        const file = process.env.WATCHLIST_FILE;
+        delete process.env.WATCHLIST_FILE;
+        process.env.VERCEL = '1';
+        try {
+            await assert.rejects(listWatchlist(), err => err instanceof WatchlistError && err.status === 503);
+            await assert.rejects(addToWatchlist({ id: 'drake01', name: 'Drake' }), err => err.status === 503);
+            const snapshot = { generatedAt: '2026-01-01T00:00:00.000Z', artists: [artist('drake01', 1)] };
+            assert.equal(await notifyWatchlist(snapshot, snapshot, { ranking: 'default', market: null }), null);
+        } finally {
+            delete process.env.VERCEL;
+            process.env.WATCHLIST_FILE = file;
+        }
+    });
+
+    it('refuses more than the maximum', async () => {
+        for (let i = 0; i < MAX_WATCHED_ARTISTS; i++) await addToWatchlist({ id: `x${i}`, name: `X${i}` });
+        await assert.rejects(addToWatchlist({ id: 'one-more', name: 'One More' }), err => err instanceof WatchlistError && err.status === 409);
+        for (let i = 0; i < MAX_WATCHED_ARTISTS; i++) await removeFromWatchlist(`x${i}`);
+    });
+});
+
+describe('notifyWatchlist', () => {
+    let receiver;
+    const received = [];
+
+    before(async () => {
+        receiver = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.end('ok');
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        process.env.WEBHOOK_URLS = `http://127.0.0.1:${receiver.address().port}/hook`;
+        process.env.WEBHOOK_SECRET = 'test-secret';
+    });
+
+    after(() => new Promise(resolve => receiver.close(resolve)));
+
+    it('sends a signed payload with the watched artists that changed', async () => {
+        await addToWatchlist({ id: 'b2', name: 'B2' });
+        const previousSnapshot = { generatedAt: '2026-01-01T00:00:00.000Z', artists: [artist('a1', 1), artist('b2', 2)] };
+        const snapshot = { generatedAt: '2026-01-01T01:00:00.000Z', artists: [artist('a1', 1)] };
+
+        const payload = await notifyWatchlist(previousSnapshot, snapshot, { ranking: 'default', market: 'KE' });
+        assert.equal(payload.type, 'watchlist.rank_changes');
+        assert.deepEqual(payload.events.map(e => [e.type, e.id]), [['left', 'b2']]);
+
+        assert.equal(received.length, 1);
+        const { headers, body } = received[0];
+        assert.deepEqual(JSON.parse(body), payload);
+        assert.equal(headers['x-webhook-id'], payload.id);
+        assert.equal(headers['x-webhook-signature'], signPayload(body, headers['x-webhook-timestamp'], 'test-secret'));
+        await removeFromWatchlist('b2');
+    });
+
+    it('sends nothing on Vercel without Redis, where each instance has its own snapshots', async () => {
+        await addToWatchlist({ id: 'b2', name: 'B2' });
+        const previousSnapshot = { generatedAt: '2026-01-01T00:00:00.000Z', artists: [artist('a1', 1), artist('b2', 2)] };
+        const snapshot = { generatedAt: '2026-01-01T01:00:00.000Z', artists: [artist('a1', 1)] };
+        const sent = received.length;
+
+        process.env.VERCEL = '1';
+        try {
+            assert.equal(await notifyWatchlist(previousSnapshot, snapshot, { ranking: 'default', market: null }), null);
+        } finally {
+            delete process.env.VERCEL;
+            await removeFromWatchlist('b2');
+        }
+        assert.equal(received.length, sent);
+    });
+
+    it('sends nothing when no watched artist changed', async () => {
+        const snapshot = { generatedAt: '2026-01-01T00:00:00.000Z', artists: [artist('a1', 1)] };
+        assert.equal(await notifyWatchlist(snapshot, snapshot, { ranking: 'default', market: null }), null);
+    });
+});
@@ -0,0 +1,91 @@
+// test/webhooks.test.js
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createHmac } from 'crypto';
+import { deliverWebhook, signPayload, webhookUrls, sendWebhooks } from '../lib/webhooks.js';
+
+const PAYLOAD = { id: 'payload-1', type: 'watchlist.rank_changes', events: [] };
+
+// Answers each request with the next status from `statuses` (the last one repeats)
+let server;
+let baseUrl;
+let statuses = [];
+let attempts = [];
+
+before(async () => {
+    process.env.LOG_LEVEL = 'silent';
+    server = http.createServer((req, res) => {
+        attempts.push(req.headers);
+        req.resume();
+        res.statusCode = statuses.length > 1 ? statuses.shift() : statuses[0];
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function reset(...next) {
+    statuses = next;
+    attempts = [];
+}
+
+describe('signPayload', () => {
+    it('is an HMAC-SHA256 of the timestamp and body', () => {
+        const expected = createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+        assert.equal(signPayload('{"a":1}', 1700000000, 'secret'), `sha256=${expected}`);
+    });
+});
+
+describe('deliverWebhook', () => {
+    it('retries 5xx and 429 answers until one is accepted', async () => {
+        reset(500, 429, 204);
+        const result = await deliverWebhook(`${baseUrl}/hook`, PAYLOAD, { secret: 's', baseBackoff: 1 });
+        assert.deepEqual(result, { delivered: true, attempts: 3, status: 204 });
+        assert.equal(attempts.length, 3);
+        assert.ok(attempts.every(headers => headers['x-webhook-id'] === 'payload-1'));
+    });
+
+    it('gives up after the last attempt', async () => {
+        reset(503);
+        const result = await deliverWebhook(`${baseUrl}/hook`, PAYLOAD, { secret: 's', maxAttempts: 3, baseBackoff: 1 });
+        assert.deepEqual(result, { delivered: false, status: 503 });
+        assert.equal(attempts.length, 3);
+    });
+
+    it('does not retry a client error', async () => {
+        reset(410);
+        const result = await deliverWebhook(`${baseUrl}/hook`, PAYLOAD, { secret: 's', baseBackoff: 1 });
+        assert.equal(result.delivered, false);
+        assert.equal(attempts.length, 1);
+    });
+
+    it('stops retrying at the deadline', async () => {
+        reset(503);
+        const started = Date.now();
+        const result = await deliverWebhook(`${baseUrl}/hook`, PAYLOAD, { secret: 's', baseBackoff: 200, deadline: started + 500 });
+        assert.deepEqual(result, { delivered: false, status: 503 });
+        assert.equal(attempts.length, 2, 'the third attempt would start after the deadline');
+        assert.ok(Date.now() - started < 500);
+    });
+
+    it('retries network errors', async () => {
+        const result = await deliverWebhook('http://127.0.0.1:9/hook', PAYLOAD, { secret: 's', maxAttempts: 2, baseBackoff: 1 });
+        assert.deepEqual(result, { delivered: false, status: null });
+    });
+});
+
+describe('sendWebhooks', () => {
+    it('reads the URL list from WEBHOOK_URLS', () => {
+        assert.deepEqual(webhookUrls({ WEBHOOK_URLS: ' https://a.example/hook, ,https://b.example/hook ' }), ['https://a.example/hook', 'https://b.example/hook']);
+        assert.deepEqual(webhookUrls({}), []);
+    });
+
+    it('never sends unsigned payloads', async () => {
+        reset(200);
+        assert.deepEqual(await sendWebhooks(PAYLOAD, { WEBHOOK_URLS: `${baseUrl}/hook` }), []);
+        assert.equal(attempts.length, 0);
+    });
+});